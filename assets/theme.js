@@ -29,7 +29,9 @@
     /** Default minimum quantity for products */
     MIN_QUANTITY: 1,
     /** Default maximum quantity for products */
-    MAX_QUANTITY: 99999
+    MAX_QUANTITY: 99999,
+    /** How long a removed cart line can be restored, in milliseconds */
+    UNDO_DURATION: 6000
   };
 
   /**
@@ -336,6 +338,63 @@
       window.history.replaceState({}, '', url);
     },
 
+    /**
+     * Escape text for use as HTML content
+     * @param {*} text - Text to escape
+     * @returns {string} Escaped HTML
+     * @example
+     * el.innerHTML = '<span>' + Sallety.utils.escapeHtml(product.title) + '</span>';
+     */
+    escapeHtml: function (text) {
+      return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+    },
+
+    /**
+     * Escape text for use inside a quoted HTML attribute
+     * @param {*} text - Text to escape
+     * @returns {string} Escaped attribute value
+     * @example
+     * html += '<img alt="' + Sallety.utils.escapeAttr(product.title) + '">';
+     */
+    escapeAttr: function (text) {
+      return Sallety.utils.escapeHtml(text)
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Copy text to the clipboard, falling back to execCommand where the
+     * Clipboard API isn't available, and confirm with a success toast
+     * @param {string} text - Text to copy
+     * @param {string} [message] - Toast shown once copied
+     * @returns {Promise<void>}
+     * @example
+     * Sallety.utils.copyToClipboard(url, button.dataset.copiedMessage);
+     */
+    copyToClipboard: function (text, message) {
+      const copied = () => {
+        if (message) Sallety.notify.success(message);
+      };
+
+      if (navigator.clipboard) {
+        return navigator.clipboard.writeText(text).then(copied).catch(err => {
+          console.error('[Sallety] Copy to clipboard failed:', err);
+        });
+      }
+
+      const input = document.createElement('input');
+      input.value = text;
+      document.body.appendChild(input);
+      input.select();
+      document.execCommand('copy');
+      document.body.removeChild(input);
+      copied();
+      return Promise.resolve();
+    },
+
     /**
      * Trap focus within an element (for modals/drawers)
      * @param {HTMLElement} element - The element to trap focus within
@@ -392,6 +451,48 @@
       return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
     },
 
+    /**
+     * Pause every video, YouTube/Vimeo embed and 3D model inside an element
+     * @param {HTMLElement|Document} container - The element to search
+     */
+    pauseMedia: function (container) {
+      if (!container) return;
+
+      container.querySelectorAll('video').forEach(video => video.pause());
+      container.querySelectorAll('iframe.js-youtube').forEach(frame => {
+        frame.contentWindow?.postMessage('{"event":"command","func":"pauseVideo","args":""}', '*');
+      });
+      container.querySelectorAll('iframe.js-vimeo').forEach(frame => {
+        frame.contentWindow?.postMessage('{"method":"pause"}', '*');
+      });
+      container.querySelectorAll('model-viewer').forEach(model => {
+        if (model.modelViewerUI) model.modelViewerUI.pause();
+      });
+    },
+
+    /**
+     * Load Shopify's 3D model viewer and attach its controls to every
+     * <model-viewer> inside an element
+     * @param {HTMLElement} container - The element holding the models
+     */
+    loadModelViewer: function (container) {
+      if (!container?.querySelector('model-viewer') || !window.Shopify?.loadFeatures) return;
+
+      window.Shopify.loadFeatures([{
+        name: 'model-viewer-ui',
+        version: '1.0',
+        onLoad: (error) => {
+          if (error) {
+            console.error('[Sallety] loadModelViewer: Could not load the 3D viewer', error);
+            return;
+          }
+          container.querySelectorAll('model-viewer').forEach(model => {
+            if (!model.modelViewerUI) model.modelViewerUI = new window.Shopify.ModelViewerUI(model);
+          });
+        }
+      }]);
+    },
+
     /**
      * Dispatch a custom event
      * @param {string} eventName - The event name
@@ -412,15 +513,393 @@
     }
   };
 
+  // ============================================================================
+  // NOTIFICATIONS
+  // ============================================================================
+
+  /**
+   * Toast notifications - stacked, auto-dismissing messages with optional
+   * action buttons, announced through ARIA live regions
+   * @namespace Sallety.notify
+   */
+  Sallety.notify = {
+    /** @type {number} Most toasts shown at once; the oldest is dismissed first */
+    MAX_VISIBLE: 3,
+
+    /** @type {Object<string, number>} Auto-dismiss delay per type in milliseconds */
+    DURATIONS: {
+      success: 4000,
+      info: 4000,
+      warning: 6000,
+      error: 7000
+    },
+
+    /** @type {HTMLElement|null} Toast stack container */
+    _container: null,
+
+    /** @type {Object<string, HTMLElement>} Polite and assertive live regions */
+    _liveRegions: {},
+
+    /** @type {Array<Object>} Handles of the toasts currently shown */
+    _toasts: [],
+
+    /**
+     * Create the live regions up front - screen readers only announce
+     * changes to regions that already exist
+     */
+    init: function () {
+      ['polite', 'assertive'].forEach(politeness => {
+        if (this._liveRegions[politeness]) return;
+
+        const region = document.createElement('div');
+        region.className = 'visually-hidden';
+        region.setAttribute('aria-live', politeness);
+        region.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(region);
+
+        this._liveRegions[politeness] = region;
+      });
+    },
+
+    /**
+     * Show a toast
+     * @param {string} message - Message text
+     * @param {Object} [options={}] - Toast options
+     * @param {string} [options.type='info'] - success, info, warning or error
+     * @param {number} [options.duration] - Auto-dismiss delay in milliseconds, 0 keeps it until closed
+     * @param {Array<Object>} [options.actions] - Buttons shown in the toast
+     * @param {string} options.actions[].label - Button text
+     * @param {string} [options.actions[].href] - Render the action as a link
+     * @param {Function} [options.actions[].onClick] - Click handler, the toast closes afterwards
+     * @returns {{element: HTMLElement, dismiss: Function}} Handle to the toast
+     * @example
+     * Sallety.notify.show('Item removed', { type: 'info', actions: [{ label: 'Undo', onClick: restore }] });
+     */
+    show: function (message, options = {}) {
+      const type = this.DURATIONS.hasOwnProperty(options.type) ? options.type : 'info';
+      const duration = typeof options.duration === 'number' ? options.duration : this.DURATIONS[type];
+      const actions = Array.isArray(options.actions) ? options.actions : [];
+
+      const toast = document.createElement('div');
+      toast.className = 'sallety-toast sallety-toast--' + type;
+      toast.innerHTML =
+        '<span class="sallety-toast__icon" aria-hidden="true">' + this._getIcon(type) + '</span>' +
+        '<p class="sallety-toast__message"></p>' +
+        '<button type="button" class="sallety-toast__close">' +
+        '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">' +
+        '<line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line>' +
+        '</svg>' +
+        '</button>';
+
+      toast.querySelector('.sallety-toast__message').textContent = message;
+
+      const closeBtn = toast.querySelector('.sallety-toast__close');
+      closeBtn.setAttribute('aria-label', window.notifyStrings?.close || 'إغلاق');
+
+      let timer = null;
+      const handle = {
+        element: toast,
+        dismiss: () => this.dismiss(handle)
+      };
+
+      if (actions.length) {
+        const actionsEl = document.createElement('div');
+        actionsEl.className = 'sallety-toast__actions';
+
+        actions.forEach(action => {
+          const actionEl = document.createElement(action.href ? 'a' : 'button');
+          actionEl.className = 'sallety-toast__action';
+          actionEl.textContent = action.label;
+
+          if (action.href) {
+            actionEl.href = action.href;
+          } else {
+            actionEl.type = 'button';
+          }
+
+          actionEl.addEventListener('click', (e) => {
+            if (typeof action.onClick === 'function') {
+              action.onClick(e);
+            }
+            handle.dismiss();
+          });
+
+          actionsEl.appendChild(actionEl);
+        });
+
+        toast.insertBefore(actionsEl, closeBtn);
+      }
+
+      closeBtn.addEventListener('click', handle.dismiss);
+
+      // Hold the toast while it is hovered or focused so actions stay reachable
+      const startTimer = () => {
+        if (duration > 0) timer = setTimeout(handle.dismiss, duration);
+      };
+      const stopTimer = () => clearTimeout(timer);
+
+      toast.addEventListener('mouseenter', stopTimer);
+      toast.addEventListener('mouseleave', startTimer);
+      toast.addEventListener('focusin', stopTimer);
+      toast.addEventListener('focusout', startTimer);
+      handle._stopTimer = stopTimer;
+
+      this._getContainer().appendChild(toast);
+      this._toasts.push(handle);
+
+      while (this._toasts.length > this.MAX_VISIBLE) {
+        this.dismiss(this._toasts[0]);
+      }
+
+      this._announce(message, type === 'error' ? 'assertive' : 'polite');
+      startTimer();
+
+      return handle;
+    },
+
+    /**
+     * Show a success toast
+     * @param {string} message - Message text
+     * @param {Object} [options] - See show()
+     * @returns {{element: HTMLElement, dismiss: Function}} Handle to the toast
+     */
+    success: function (message, options) {
+      return this.show(message, { ...options, type: 'success' });
+    },
+
+    /**
+     * Show an info toast
+     * @param {string} message - Message text
+     * @param {Object} [options] - See show()
+     * @returns {{element: HTMLElement, dismiss: Function}} Handle to the toast
+     */
+    info: function (message, options) {
+      return this.show(message, { ...options, type: 'info' });
+    },
+
+    /**
+     * Show a warning toast
+     * @param {string} message - Message text
+     * @param {Object} [options] - See show()
+     * @returns {{element: HTMLElement, dismiss: Function}} Handle to the toast
+     */
+    warning: function (message, options) {
+      return this.show(message, { ...options, type: 'warning' });
+    },
+
+    /**
+     * Show an error toast
+     * @param {string} message - Message text
+     * @param {Object} [options] - See show()
+     * @returns {{element: HTMLElement, dismiss: Function}} Handle to the toast
+     */
+    error: function (message, options) {
+      return this.show(message, { ...options, type: 'error' });
+    },
+
+    /**
+     * Dismiss a toast
+     * @param {Object} handle - Handle returned by show()
+     */
+    dismiss: function (handle) {
+      const index = this._toasts.indexOf(handle);
+      if (index === -1) return;
+
+      this._toasts.splice(index, 1);
+      handle._stopTimer();
+
+      const toast = handle.element;
+      toast.classList.add('is-leaving');
+      setTimeout(() => toast.remove(), 300);
+    },
+
+    /**
+     * Dismiss every toast
+     */
+    dismissAll: function () {
+      this._toasts.slice().forEach(handle => this.dismiss(handle));
+    },
+
+    /**
+     * Get the toast container, creating it on first use
+     * @private
+     * @returns {HTMLElement} The container
+     */
+    _getContainer: function () {
+      if (!this._container || !this._container.isConnected) {
+        this._container = document.createElement('section');
+        this._container.className = 'sallety-toasts';
+        this._container.setAttribute('aria-label', window.notifyStrings?.label || 'الإشعارات');
+        document.body.appendChild(this._container);
+      }
+
+      // Follow the document direction so the stack sits on the reading-start side
+      this._container.dir = document.documentElement.dir || 'ltr';
+
+      return this._container;
+    },
+
+    /**
+     * Announce a message through a live region
+     * @private
+     * @param {string} message - Message text
+     * @param {string} politeness - polite or assertive
+     */
+    _announce: function (message, politeness) {
+      this.init();
+
+      const region = this._liveRegions[politeness];
+
+      // Clear first so repeating the same message is announced again
+      region.textContent = '';
+      setTimeout(() => {
+        region.textContent = message;
+      }, 100);
+    },
+
+    /**
+     * Get the icon markup for a toast type
+     * @private
+     * @param {string} type - Toast type
+     * @returns {string} SVG markup
+     */
+    _getIcon: function (type) {
+      const paths = {
+        success: '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path><polyline points="22 4 12 14.01 9 11.01"></polyline>',
+        info: '<circle cx="12" cy="12" r="10"></circle><line x1="12" y1="16" x2="12" y2="12"></line><line x1="12" y1="8" x2="12.01" y2="8"></line>',
+        warning: '<path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"></path><line x1="12" y1="9" x2="12" y2="13"></line><line x1="12" y1="17" x2="12.01" y2="17"></line>',
+        error: '<circle cx="12" cy="12" r="10"></circle><line x1="12" y1="8" x2="12" y2="12"></line><line x1="12" y1="16" x2="12.01" y2="16"></line>'
+      };
+
+      return '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">' +
+        paths[type] + '</svg>';
+    }
+  };
+
   // ============================================================================
   // CART FUNCTIONALITY
   // ============================================================================
 
   /**
-   * Cart API wrapper
+   * Cart store - owns the latest cart JSON and runs every Cart API request
+   * through a single queue so responses can never arrive out of order.
    * @namespace Sallety.cart
    */
   Sallety.cart = {
+    /** @type {Object|null} Latest cart JSON returned by the Cart API */
+    _state: null,
+
+    /** @type {Promise} Tail of the request queue */
+    _queue: Promise.resolve(),
+
+    /** @type {number} Requests queued or in flight */
+    _pending: 0,
+
+    /** @type {boolean} Whether a mutation landed since the last cart:updated event */
+    _dirty: false,
+
+    /** @type {Map<number|string, Object>} Queued line changes that have not been sent yet */
+    _pendingChanges: new Map(),
+
+    /** @type {Array<Function>} State change subscribers */
+    _subscribers: [],
+
+    /** @type {Array<Object>} Sections re-rendered from cart mutation responses */
+    _sections: [],
+
+    /** @type {Object|null} Section HTML from the latest mutation, rendered when the queue drains */
+    _sectionsHtml: null,
+
+    /** @type {Object<string, string|null>} Restored line keys mapped to the key of the line they sat before */
+    _positions: {},
+
+    /**
+     * Register the sections every page can show cart data in
+     */
+    init: function () {
+      // The header lives in a section group, so its ID is only known from the DOM
+      const headerCount = document.querySelector('.shopify-section ' + SELECTORS.CART_COUNT);
+      if (headerCount) {
+        this.registerSection({
+          id: headerCount.closest('.shopify-section').id.replace('shopify-section-', ''),
+          selector: SELECTORS.CART_COUNT
+        });
+      }
+
+      if (document.querySelector('[data-free-shipping-bar]')) {
+        this.registerSection({ id: 'cart-drawer-content', selector: '[data-free-shipping-bar]' });
+      }
+    },
+
+    /**
+     * Register a section to be requested with every cart mutation and
+     * re-rendered from the response
+     * @param {Object} options - Section options
+     * @param {string} options.id - Section ID to request
+     * @param {string} [options.selector] - Elements to refresh from the same selector in the section HTML
+     * @param {Function} [options.render] - Custom renderer, called with the section HTML or null when the response has none
+     * @example
+     * Sallety.cart.registerSection({ id: 'cart-drawer-content', render: html => drawer.render(html) });
+     */
+    registerSection: function (options) {
+      if (!options || !options.id || (!options.selector && typeof options.render !== 'function')) {
+        console.error('[Sallety] cart.registerSection: Expected an id and a selector or render function');
+        return;
+      }
+
+      this._sections.push(options);
+    },
+
+    /**
+     * Get the IDs of all registered sections
+     * @returns {Array<string>} Unique section IDs, capped at the five the API renders per request
+     */
+    getSectionIds: function () {
+      const ids = [];
+
+      this._sections.forEach(section => {
+        if (!ids.includes(section.id)) ids.push(section.id);
+      });
+
+      return ids.slice(0, 5);
+    },
+
+    /**
+     * Get the latest known cart without making a request
+     * @returns {Object|null} The cart object, or null before the first response
+     */
+    getState: function () {
+      return this._state;
+    },
+
+    /**
+     * Check whether cart requests are queued or in flight
+     * @returns {boolean} True while the queue is busy
+     */
+    isBusy: function () {
+      return this._pending > 0;
+    },
+
+    /**
+     * Subscribe to cart state changes
+     * @param {Function} callback - Called with (cart, action) after every response
+     * @returns {Function} Unsubscribe function
+     * @example
+     * const unsubscribe = Sallety.cart.subscribe((cart, action) => console.log(action, cart.item_count));
+     */
+    subscribe: function (callback) {
+      if (typeof callback !== 'function') {
+        console.error('[Sallety] cart.subscribe: Expected a function');
+        return function () { };
+      }
+
+      this._subscribers.push(callback);
+
+      return () => {
+        this._subscribers = this._subscribers.filter(fn => fn !== callback);
+      };
+    },
+
     /**
      * Get the current cart
      * @async
@@ -428,7 +907,7 @@
      */
     get: async function () {
       try {
-        return await Sallety.utils.fetchJSON(window.routes?.cart_url + '.js' || '/cart.js');
+        return await this._enqueue('get', () => this._fetchCart());
       } catch (error) {
         console.error('[Sallety] cart.get error:', error);
         throw error;
@@ -438,20 +917,24 @@
     /**
      * Add items to cart
      * @async
-     * @param {Array<Object>} items - Array of items to add
+     * @param {Array<Object>|FormData} items - Array of items to add, or a product form's FormData
      * @param {number} items[].id - Variant ID
      * @param {number} items[].quantity - Quantity to add
+     * @param {Array<string>} [sections] - Section IDs to render, defaults to the registered sections
      * @returns {Promise<Object>} The updated cart
      */
-    add: async function (items) {
-      if (!Array.isArray(items) || items.length === 0) {
+    add: async function (items, sections) {
+      const isFormData = items instanceof FormData;
+
+      if (!isFormData && (!Array.isArray(items) || items.length === 0)) {
         throw new Error('[Sallety] cart.add: Expected non-empty items array');
       }
 
       try {
-        return await Sallety.utils.fetchJSON(window.routes?.cart_add_url + '.js' || '/cart/add.js', {
-          method: 'POST',
-          body: JSON.stringify({ items })
+        return await this._enqueue('add', async () => {
+          await this._mutate(window.routes?.cart_add_url + '.js' || '/cart/add.js', isFormData ? items : { items }, sections);
+          // add.js only returns the added lines, so read the full cart in the same slot
+          return this._fetchCart();
         });
       } catch (error) {
         console.error('[Sallety] cart.add error:', error);
@@ -463,17 +946,17 @@
      * Update cart items
      * @async
      * @param {Object} updates - Object with line item keys and quantities
+     * @param {Array<string>} [sections] - Section IDs to render, defaults to the registered sections
      * @returns {Promise<Object>} The updated cart
      */
-    update: async function (updates) {
+    update: async function (updates, sections) {
       if (!updates || typeof updates !== 'object') {
         throw new Error('[Sallety] cart.update: Expected updates object');
       }
 
       try {
-        return await Sallety.utils.fetchJSON(window.routes?.cart_update_url + '.js' || '/cart/update.js', {
-          method: 'POST',
-          body: JSON.stringify({ updates })
+        return await this._enqueue('update', () => {
+          return this._mutate(window.routes?.cart_update_url + '.js' || '/cart/update.js', { updates }, sections);
         });
       } catch (error) {
         console.error('[Sallety] cart.update error:', error);
@@ -482,14 +965,35 @@
     },
 
     /**
-     * Change a cart item's quantity
+     * Update the cart note
+     * @async
+     * @param {string} note - Cart note text
+     * @returns {Promise<Object>} The updated cart
+     */
+    updateNote: async function (note) {
+      try {
+        return await this._enqueue('note', () => {
+          return this._post(window.routes?.cart_update_url + '.js' || '/cart/update.js', { note: note || '' });
+        });
+      } catch (error) {
+        console.error('[Sallety] cart.updateNote error:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Change a cart item's quantity. Calls for the same line that are still
+     * waiting in the queue are merged, so only the last quantity is sent.
      * @async
-     * @param {number} line - The line item index (1-based)
+     * @param {number|string} line - The line item index (1-based) or line item key
      * @param {number} quantity - The new quantity
+     * @param {Array<string>} [sections] - Section IDs to render, defaults to the registered sections
      * @returns {Promise<Object>} The updated cart
      */
-    change: async function (line, quantity) {
-      if (typeof line !== 'number' || line < 1) {
+    change: async function (line, quantity, sections) {
+      const isKey = typeof line === 'string' && line !== '';
+
+      if (!isKey && (typeof line !== 'number' || line < 1)) {
         throw new Error('[Sallety] cart.change: Invalid line number');
       }
 
@@ -497,76 +1001,408 @@
         throw new Error('[Sallety] cart.change: Invalid quantity');
       }
 
-      try {
-        return await Sallety.utils.fetchJSON(window.routes?.cart_change_url + '.js' || '/cart/change.js', {
-          method: 'POST',
-          body: JSON.stringify({ line, quantity })
-        });
-      } catch (error) {
+      const queued = this._pendingChanges.get(line);
+      if (queued) {
+        queued.quantity = quantity;
+        queued.sections = sections;
+        return queued.promise;
+      }
+
+      const entry = { quantity, sections };
+      this._pendingChanges.set(line, entry);
+
+      entry.promise = this._enqueue('change', () => {
+        this._pendingChanges.delete(line);
+        const body = isKey ? { id: line, quantity: entry.quantity } : { line, quantity: entry.quantity };
+        return this._mutate(window.routes?.cart_change_url + '.js' || '/cart/change.js', body, entry.sections);
+      }).catch(error => {
         console.error('[Sallety] cart.change error:', error);
         throw error;
-      }
+      });
+
+      return entry.promise;
     },
 
     /**
-     * Clear all items from cart
+     * Add a removed line back with the same variant, quantity, properties
+     * and selling plan
      * @async
-     * @returns {Promise<Object>} The empty cart
+     * @param {Object} line - Line described by describeLine()
+     * @param {Array<string>} [sections] - Section IDs to render, defaults to the registered sections
+     * @returns {Promise<Object>} The updated cart
      */
-    clear: async function () {
+    restore: async function (line, sections) {
+      const item = { id: line.id, quantity: line.quantity };
+      if (line.properties && Object.keys(line.properties).length) item.properties = line.properties;
+      if (line.selling_plan) item.selling_plan = line.selling_plan;
+
       try {
-        return await Sallety.utils.fetchJSON('/cart/clear.js', {
-          method: 'POST'
+        return await this._enqueue('add', async () => {
+          await this._mutate(window.routes?.cart_add_url + '.js' || '/cart/add.js', { items: [item] }, sections);
+          const cart = await this._fetchCart();
+          this._rememberPosition(cart, line);
+          return cart;
         });
       } catch (error) {
-        console.error('[Sallety] cart.clear error:', error);
+        console.error('[Sallety] cart.restore error:', error);
         throw error;
       }
     },
 
     /**
-     * Update cart count display elements
-     * @param {number} count - The new cart count
+     * Describe a rendered cart line so it can be restored after removal
+     * @param {HTMLElement} itemEl - Element with [data-cart-item]
+     * @returns {Object|null} Variant ID, quantity, properties, selling plan and the next line's key
      */
-    updateCount: function (count) {
-      if (typeof count !== 'number' || count < 0) {
-        console.warn('[Sallety] cart.updateCount: Invalid count value');
-        return;
+    describeLine: function (itemEl) {
+      if (!itemEl || !itemEl.dataset.variantId) return null;
+
+      const input = itemEl.querySelector(SELECTORS.QUANTITY_INPUT);
+      let properties = {};
+
+      try {
+        properties = JSON.parse(itemEl.dataset.properties || '{}') || {};
+      } catch (error) {
+        properties = {};
       }
 
-      document.querySelectorAll(SELECTORS.CART_COUNT).forEach(el => {
-        el.textContent = count;
-        el.classList.toggle(CLASSES.HIDDEN, count === 0);
-      });
+      let next = itemEl.nextElementSibling;
+      while (next && !next.hasAttribute('data-cart-item')) {
+        next = next.nextElementSibling;
+      }
+
+      return {
+        id: parseInt(itemEl.dataset.variantId, 10),
+        quantity: parseInt(input ? input.value : itemEl.dataset.quantity, 10) || 1,
+        properties: properties,
+        selling_plan: parseInt(itemEl.dataset.sellingPlan, 10) || null,
+        nextKey: next ? next.dataset.itemKey : null
+      };
     },
 
     /**
-     * Show loading spinner on the header cart icon
+     * Offer to undo a line removal with a toast
+     * @param {Object} line - Line described by describeLine()
      */
-    setIconLoading: function () {
-      var cartBtn = document.querySelector('.header__action-btn--cart');
-      if (cartBtn) {
-        cartBtn.classList.add('is-cart-loading');
-      }
+    offerUndo: function (line) {
+      if (!line) return;
+
+      Sallety.notify.info(window.cartStrings?.item_removed || 'تمت إزالة المنتج من السلة', {
+        duration: CONFIG.UNDO_DURATION,
+        actions: [{
+          label: window.cartStrings?.undo || 'تراجع',
+          onClick: () => {
+            this.setIconLoading();
+            this.restore(line)
+              .catch(error => {
+                Sallety.notify.error(error.message || window.cartStrings?.error || 'تعذرت استعادة المنتج');
+              })
+              .finally(() => this.clearIconLoading());
+          }
+        }]
+      });
     },
 
     /**
-     * Remove loading spinner from the header cart icon
+     * Move restored lines back to where they were before removal. The Cart
+     * API has no way to reorder lines, so this only affects the rendered order.
+     * @param {HTMLElement} container - Element holding the [data-cart-item] lines
      */
-    clearIconLoading: function () {
-      var cartBtn = document.querySelector('.header__action-btn--cart');
-      if (cartBtn) {
-        cartBtn.classList.remove('is-cart-loading');
-      }
-    }
-  };
+    applyLineOrder: function (container) {
+      if (!container) return;
 
-  // ============================================================================
-  // DRAWER FUNCTIONALITY
-  // ============================================================================
+      const findLine = key => container.querySelector('[data-cart-item][data-item-key="' + CSS.escape(key) + '"]');
 
-  /**
-   * Drawer component manager
+      Object.keys(this._positions).forEach(key => {
+        const lineEl = findLine(key);
+        if (!lineEl) return;
+
+        const nextKey = this._positions[key];
+
+        if (nextKey) {
+          const nextEl = findLine(nextKey);
+          if (nextEl && nextEl.parentElement === lineEl.parentElement) {
+            nextEl.before(lineEl);
+          }
+          return;
+        }
+
+        // The line was last
+        const lines = lineEl.parentElement.querySelectorAll(':scope > [data-cart-item]');
+        const lastLine = lines[lines.length - 1];
+        if (lastLine !== lineEl) {
+          lastLine.after(lineEl);
+        }
+      });
+    },
+
+    /**
+     * Remember where a restored line belongs
+     * @private
+     * @param {Object} cart - Cart after the restore
+     * @param {Object} line - Line described by describeLine()
+     */
+    _rememberPosition: function (cart, line) {
+      const properties = JSON.stringify(line.properties || {});
+      const item = cart.items.find(cartItem => {
+        const sellingPlan = cartItem.selling_plan_allocation ? cartItem.selling_plan_allocation.selling_plan.id : null;
+        return cartItem.variant_id === line.id &&
+          sellingPlan === line.selling_plan &&
+          JSON.stringify(cartItem.properties || {}) === properties;
+      });
+
+      if (item) {
+        this._positions[item.key] = line.nextKey;
+      }
+    },
+
+    /**
+     * Clear all items from cart
+     * @async
+     * @param {Array<string>} [sections] - Section IDs to render, defaults to the registered sections
+     * @returns {Promise<Object>} The empty cart
+     */
+    clear: async function (sections) {
+      try {
+        return await this._enqueue('clear', () => this._mutate('/cart/clear.js', {}, sections));
+      } catch (error) {
+        console.error('[Sallety] cart.clear error:', error);
+        throw error;
+      }
+    },
+
+    /**
+     * Run a request after every request queued before it. The task must
+     * resolve to the full cart JSON, which becomes the new state.
+     * @private
+     * @param {string} action - Name passed to subscribers (get, add, change...)
+     * @param {Function} task - Function returning a promise for the cart
+     * @returns {Promise<Object>} The cart returned by the task
+     */
+    _enqueue: function (action, task) {
+      this._pending++;
+
+      const run = this._queue
+        .then(task)
+        .then(cart => {
+          this._setState(cart, action);
+          return cart;
+        })
+        .finally(() => {
+          this._pending--;
+          if (this._pending === 0) this._flush();
+        });
+
+      // Keep the queue running after a failed request
+      this._queue = run.catch(() => { });
+
+      return run;
+    },
+
+    /**
+     * Store a new cart and notify subscribers
+     * @private
+     * @param {Object} cart - The cart JSON
+     * @param {string} action - The request that produced it
+     */
+    _setState: function (cart, action) {
+      if (!cart || typeof cart !== 'object') return;
+
+      this._state = cart;
+      // Reads and note edits don't change anything the theme renders
+      if (action !== 'get' && action !== 'note') this._dirty = true;
+
+      // Forget positions of restored lines that have since been removed
+      Object.keys(this._positions).forEach(key => {
+        if (!(cart.items || []).some(item => item.key === key)) delete this._positions[key];
+      });
+
+      this.updateCount(cart.item_count);
+
+      this._subscribers.forEach(callback => {
+        try {
+          callback(cart, action);
+        } catch (error) {
+          console.error('[Sallety] cart subscriber error:', error);
+        }
+      });
+    },
+
+    /**
+     * Dispatch a single cart:updated event once the queue has drained
+     * @private
+     */
+    _flush: function () {
+      if (!this._dirty || !this._state) return;
+      this._dirty = false;
+
+      this._renderSections(this._sectionsHtml || {});
+      this._sectionsHtml = null;
+
+      Sallety.utils.dispatchEvent(EVENTS.CART_UPDATED, this._state);
+    },
+
+    /**
+     * Re-render registered sections from a Cart API `sections` response
+     * @private
+     * @param {Object} sectionsHtml - Section HTML keyed by section ID
+     */
+    _renderSections: function (sectionsHtml) {
+      const docs = {};
+
+      this._sections.forEach(section => {
+        const html = sectionsHtml[section.id] || null;
+
+        try {
+          if (section.render) {
+            section.render(html);
+            return;
+          }
+
+          if (!html) return;
+
+          // Registrations sharing a section ID share one parse
+          if (!docs[section.id]) {
+            docs[section.id] = new DOMParser().parseFromString(html, 'text/html');
+          }
+
+          const source = docs[section.id].querySelector(section.selector);
+          if (!source) return;
+
+          document.querySelectorAll(section.selector).forEach(el => {
+            el.innerHTML = source.innerHTML;
+          });
+        } catch (error) {
+          console.error('[Sallety] cart section render error:', section.id, error);
+        }
+      });
+    },
+
+    /**
+     * POST a cart mutation, asking for sections to be rendered in the same
+     * response. The section HTML is kept aside and the rest is returned.
+     * @private
+     * @param {string} url - The endpoint URL
+     * @param {Object|FormData} body - JSON payload or form data
+     * @param {Array<string>} [sections] - Section IDs, defaults to the registered sections
+     * @returns {Promise<Object>} The parsed response without its sections
+     */
+    _mutate: async function (url, body, sections) {
+      const sectionIds = Array.isArray(sections) ? sections : this.getSectionIds();
+
+      if (sectionIds.length) {
+        if (body instanceof FormData) {
+          body.set('sections', sectionIds.join(','));
+          body.set('sections_url', window.location.pathname);
+        } else {
+          body = { ...body, sections: sectionIds.join(','), sections_url: window.location.pathname };
+        }
+      }
+
+      const { sections: sectionsHtml, ...data } = await this._post(url, body);
+      this._sectionsHtml = sectionsHtml || null;
+
+      return data;
+    },
+
+    /**
+     * Fetch the cart JSON
+     * @private
+     * @returns {Promise<Object>} The cart object
+     */
+    _fetchCart: function () {
+      return Sallety.utils.fetchJSON(window.routes?.cart_url + '.js' || '/cart.js');
+    },
+
+    /**
+     * POST to a Cart API endpoint and surface Shopify's error description
+     * @private
+     * @param {string} url - The endpoint URL
+     * @param {Object|FormData} body - JSON payload or form data
+     * @returns {Promise<Object>} The parsed response
+     */
+    _post: async function (url, body) {
+      const isFormData = body instanceof FormData;
+      const headers = { 'Accept': 'application/json' };
+      if (!isFormData) headers['Content-Type'] = 'application/json';
+
+      const response = await fetch(url, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers,
+        body: isFormData ? body : JSON.stringify(body)
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.description || data.message || 'Cart update failed');
+      }
+
+      return data;
+    },
+
+    /**
+     * Reveal the cart after an add - the drawer when the theme has one,
+     * otherwise a toast linking to the cart page
+     */
+    showAdded: function () {
+      if (document.querySelector(SELECTORS.CART_DRAWER)) {
+        Sallety.drawer.open('cart-drawer');
+        return;
+      }
+
+      Sallety.notify.success(window.cartStrings?.added || 'تمت الإضافة إلى السلة', {
+        actions: [{
+          label: window.cartStrings?.view_cart || 'عرض السلة',
+          href: window.routes?.cart_url || '/cart'
+        }]
+      });
+    },
+
+    /**
+     * Update cart count display elements
+     * @param {number} count - The new cart count
+     */
+    updateCount: function (count) {
+      if (typeof count !== 'number' || count < 0) {
+        console.warn('[Sallety] cart.updateCount: Invalid count value');
+        return;
+      }
+
+      document.querySelectorAll(SELECTORS.CART_COUNT).forEach(el => {
+        el.textContent = count;
+        el.classList.toggle(CLASSES.HIDDEN, count === 0);
+      });
+    },
+
+    /**
+     * Show loading spinner on the header cart icon
+     */
+    setIconLoading: function () {
+      var cartBtn = document.querySelector('.header__action-btn--cart');
+      if (cartBtn) {
+        cartBtn.classList.add('is-cart-loading');
+      }
+    },
+
+    /**
+     * Remove loading spinner from the header cart icon
+     */
+    clearIconLoading: function () {
+      var cartBtn = document.querySelector('.header__action-btn--cart');
+      if (cartBtn) {
+        cartBtn.classList.remove('is-cart-loading');
+      }
+    }
+  };
+
+  // ============================================================================
+  // DRAWER FUNCTIONALITY
+  // ============================================================================
+
+  /**
+   * Drawer component manager
    * @namespace Sallety.drawer
    */
   Sallety.drawer = {
@@ -1060,6 +1896,9 @@
         const minusBtn = e.target.closest(SELECTORS.QUANTITY_MINUS);
         const plusBtn = e.target.closest(SELECTORS.QUANTITY_PLUS);
 
+        // Cart line buttons are handled by the cart drawer and cart page
+        if ((minusBtn || plusBtn)?.hasAttribute('data-line')) return;
+
         if (minusBtn) {
           this._handleDecrease(minusBtn);
         } else if (plusBtn) {
@@ -1206,6 +2045,9 @@
         return;
       }
 
+      if (!this.validateProperties(form)) return;
+      this.prepareFormData(formData);
+
       try {
         // Set loading state
         if (submitButton) {
@@ -1217,35 +2059,16 @@
         // Show loading on cart icon
         Sallety.cart.setIconLoading();
 
-        const response = await fetch(window.routes?.cart_add_url + '.js' || '/cart/add.js', {
-          method: 'POST',
-          body: formData
-        });
-
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          throw new Error(errorData.description || 'Add to cart failed');
-        }
-
-        // Update cart count
-        const cart = await Sallety.cart.get();
-        Sallety.cart.updateCount(cart.item_count);
+        // The cart store updates the count and dispatches cart:updated
+        await Sallety.cart.add(formData);
 
         // Open cart drawer if enabled
-        const cartDrawer = document.querySelector(SELECTORS.CART_DRAWER);
-        if (cartDrawer) {
-          Sallety.drawer.open('cart-drawer');
-        }
-
-        // Dispatch custom event
-        Sallety.utils.dispatchEvent(EVENTS.CART_UPDATED, cart);
+        Sallety.cart.showAdded();
 
       } catch (error) {
         console.error('[Sallety] Add to cart error:', error);
 
-        // Show error to user (you could also dispatch an event here)
-        const errorMessage = error.message || 'Unable to add to cart. Please try again.';
-        alert(errorMessage); // Replace with your preferred notification system
+        Sallety.notify.error(error.message || window.cartStrings?.error || 'تعذرت الإضافة إلى السلة. يرجى المحاولة مرة أخرى.');
 
       } finally {
         // Reset loading state
@@ -1257,6 +2080,181 @@
         // Clear cart icon loading
         Sallety.cart.clearIconLoading();
       }
+    },
+
+    /**
+     * Check the required line-item property fields in a container.
+     * Shows an inline error on each empty field and focuses the first one.
+     * @param {HTMLElement} container - Form or modal holding the fields
+     * @returns {boolean} True when every visible required field has a value
+     */
+    validateProperties: function (container) {
+      const message = window.variantStrings?.propertyRequired || 'يرجى تعبئة هذا الحقل';
+      let firstInvalid = null;
+
+      container.querySelectorAll('[data-property-field]').forEach(field => {
+        const input = field.querySelector('[name^="properties["]');
+        const errorEl = field.querySelector('[data-property-error]');
+        if (!input || input.disabled) return;
+
+        const isEmpty = input.type === 'file' ? !input.files.length : !input.value.trim();
+        const isInvalid = input.required && isEmpty;
+        const errorClass = input.tagName === 'TEXTAREA' ? 'form-textarea--error' : 'form-input--error';
+
+        input.setAttribute('aria-invalid', isInvalid ? 'true' : 'false');
+        input.classList.toggle(errorClass, isInvalid);
+        if (errorEl) {
+          errorEl.textContent = isInvalid ? message : '';
+          errorEl.classList.toggle('hidden', !isInvalid);
+        }
+
+        if (isInvalid) {
+          if (!firstInvalid) firstInvalid = input;
+          input.addEventListener(input.type === 'file' ? 'change' : 'input', () => {
+            input.setAttribute('aria-invalid', 'false');
+            input.classList.remove(errorClass);
+            if (errorEl) errorEl.classList.add('hidden');
+          }, { once: true });
+        }
+      });
+
+      if (firstInvalid) firstInvalid.focus();
+      return !firstInvalid;
+    },
+
+    /**
+     * Show only the property fields that apply to a product.
+     * Fields limited to a tag the product doesn't have are hidden, disabled
+     * (so they are left out of the form data) and reset.
+     * @param {HTMLElement} container - Form or modal holding the fields
+     * @param {Object} product - Product JSON from /products/{handle}.js
+     */
+    filterProperties: function (container, product) {
+      const wrapper = container.querySelector('[data-line-item-properties]');
+      if (!wrapper) return;
+
+      const tags = (product?.tags || []).map(tag => String(tag).toLowerCase());
+      let visibleCount = 0;
+
+      wrapper.querySelectorAll('[data-property-field]').forEach(field => {
+        const tag = (field.dataset.propertyTag || '').toLowerCase();
+        const applies = !tag || tags.includes(tag);
+        const input = field.querySelector('[name^="properties["]');
+        const errorEl = field.querySelector('[data-property-error]');
+
+        field.classList.toggle('hidden', !applies);
+        if (input) {
+          input.disabled = !applies;
+          input.value = '';
+          input.removeAttribute('aria-invalid');
+          input.classList.remove('form-input--error', 'form-textarea--error');
+        }
+        if (errorEl) errorEl.classList.add('hidden');
+        if (applies) visibleCount++;
+      });
+
+      wrapper.classList.toggle('hidden', visibleCount === 0);
+    },
+
+    /**
+     * Render the purchase options select for a variant.
+     * Only plans with an allocation for the variant are listed; the one-time
+     * option is left out when the product requires a selling plan.
+     * @param {HTMLElement} container - Form or modal holding [data-selling-plan-picker]
+     * @param {Object} product - Product JSON with selling_plan_groups
+     * @param {Object} variant - The selected variant
+     */
+    renderSellingPlans: function (container, product, variant) {
+      const picker = container.querySelector('[data-selling-plan-picker]');
+      if (!picker) return;
+
+      const allocations = variant?.selling_plan_allocations || [];
+      const groups = product?.selling_plan_groups || [];
+      const previous = picker.querySelector('select')?.value;
+
+      picker.innerHTML = '';
+      if (!groups.length || !allocations.length) {
+        picker.classList.add('hidden');
+        return;
+      }
+
+      const priceByPlan = new Map(allocations.map(allocation => [String(allocation.selling_plan_id), allocation.price]));
+
+      const label = document.createElement('label');
+      label.className = 'form-label';
+      label.textContent = window.variantStrings?.purchaseOptions || 'خيارات الشراء';
+
+      const select = document.createElement('select');
+      select.className = 'form-select';
+      select.name = 'selling_plan';
+
+      if (!product.requires_selling_plan) {
+        select.appendChild(new Option(
+          (window.variantStrings?.oneTimePurchase || 'شراء لمرة واحدة') + ' - ' + Sallety.utils.formatMoney(variant.price),
+          ''
+        ));
+      }
+
+      groups.forEach(group => {
+        const plans = (group.selling_plans || []).filter(plan => priceByPlan.has(String(plan.id)));
+        if (!plans.length) return;
+
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = group.name;
+        plans.forEach(plan => {
+          optgroup.appendChild(new Option(
+            plan.name + ' - ' + Sallety.utils.formatMoney(priceByPlan.get(String(plan.id))),
+            plan.id
+          ));
+        });
+        select.appendChild(optgroup);
+      });
+
+      if (previous && select.querySelector('option[value="' + previous + '"]')) {
+        select.value = previous;
+      }
+
+      label.appendChild(select);
+      picker.appendChild(label);
+      picker.classList.remove('hidden');
+    },
+
+    /**
+     * Append the property and selling plan fields in a container to form data.
+     * Used where the fields don't live inside a form element.
+     * @param {HTMLElement} container - Element holding the fields
+     * @param {FormData} formData - Form data to append to
+     * @returns {FormData} The same form data
+     */
+    collectLineItemFields: function (container, formData) {
+      container.querySelectorAll('[data-line-item-properties] [name], [data-selling-plan-picker] [name]').forEach(field => {
+        if (field.disabled) return;
+        if (field.type === 'file') {
+          if (field.files.length) formData.append(field.name, field.files[0]);
+        } else {
+          formData.append(field.name, field.value);
+        }
+      });
+
+      return this.prepareFormData(formData);
+    },
+
+    /**
+     * Drop empty properties and the one-time selling plan value so they
+     * don't end up on the cart line.
+     * @param {FormData} formData - Form data to clean
+     * @returns {FormData} The same form data
+     */
+    prepareFormData: function (formData) {
+      const emptyKeys = [];
+      formData.forEach((value, key) => {
+        if (key !== 'selling_plan' && !key.startsWith('properties[')) return;
+        const isEmpty = value instanceof File ? !value.size : !String(value).trim();
+        if (isEmpty) emptyKeys.push(key);
+      });
+      emptyKeys.forEach(key => formData.delete(key));
+
+      return formData;
     }
   };
 
@@ -1276,6 +2274,10 @@
       document.querySelectorAll(SELECTORS.VARIANT_SELECTOR).forEach(selector => {
         this._setupSelector(selector);
       });
+
+      document.querySelectorAll(SELECTORS.PRODUCT_FORM).forEach(form => {
+        this._setupSellingPlans(form);
+      });
     },
 
     /**
@@ -1308,39 +2310,159 @@
       inputs.forEach(input => {
         input.addEventListener('change', () => {
           const selectedOptions = this._getSelectedOptions(selector);
-          const variant = this._findVariant(product.variants, selectedOptions);
-
-          if (variant) {
-            this._updateVariant(selector, variant, product);
+          let variant = this._findVariant(product.variants, selectedOptions);
+          let adjusted = false;
+
+          // The combination doesn't exist - keep the value just picked and move the others
+          if (!variant) {
+            const optionGroup = input.closest(SELECTORS.OPTION_GROUP);
+            const changedIndex = parseInt(optionGroup?.dataset.optionIndex || '0', 10);
+            variant = this._findClosestVariant(product.variants, selectedOptions, changedIndex);
+            if (!variant) return;
+
+            this._selectOptions(selector, variant.options);
+            adjusted = true;
           }
+
+          this._updateVariant(selector, variant, product);
+          this._announceVariant(selector, variant, adjusted);
         });
       });
+
+      this._updateOptionAvailability(selector, product);
     },
 
     /**
-     * Get selected options from the selector
+     * Setup the purchase options (selling plans) of a product form.
+     * Works without a variant picker so single-variant products can
+     * still switch between one-time purchase and a subscription.
      * @private
-     * @param {HTMLElement} selector - The selector container
-     * @returns {Array<string>} Array of selected option values
+     * @param {HTMLFormElement} form - The product form
      */
-    _getSelectedOptions: function (selector) {
-      const options = [];
-      selector.querySelectorAll(SELECTORS.OPTION_GROUP).forEach(optionGroup => {
-        const checkedInput = optionGroup.querySelector('input:checked');
-        const selectEl = optionGroup.querySelector('select, [data-option-select]');
-        if (checkedInput) {
-          options.push(checkedInput.value);
-        } else if (selectEl) {
-          options.push(selectEl.value);
-        }
+    _setupSellingPlans: function (form) {
+      if (form.dataset.sellingPlansInitialized) return;
+
+      const planInputs = form.querySelectorAll('[data-selling-plan-input]');
+      if (!planInputs.length) return;
+      form.dataset.sellingPlansInitialized = 'true';
+
+      const section = form.closest('.product-page__info') || form.closest('.main-product');
+      const productJson = section?.querySelector(SELECTORS.PRODUCT_JSON) ||
+        document.querySelector(SELECTORS.PRODUCT_JSON);
+      if (!productJson) return;
+
+      let product;
+      try {
+        product = JSON.parse(productJson.textContent);
+      } catch (error) {
+        console.error('[Sallety] variantSelector: Invalid product JSON', error);
+        return;
+      }
+
+      planInputs.forEach(input => {
+        input.addEventListener('change', () => {
+          const variantInput = form.querySelector(SELECTORS.VARIANT_INPUT);
+          const variant = product.variants.find(item => String(item.id) === String(variantInput?.value)) ||
+            product.variants[0];
+          const { sellingPlan, allocation } = this._getSellingPlan(form, variant, product);
+
+          Sallety.utils.updateUrlParam('selling_plan', sellingPlan?.id);
+          this._updatePrices(variant, allocation);
+          Sallety.utils.dispatchEvent(EVENTS.VARIANT_CHANGED, {
+            variant,
+            product,
+            sellingPlan,
+            sellingPlanAllocation: allocation
+          });
+        });
       });
-      return options;
     },
 
     /**
-     * Find a variant by selected options
+     * Enable the plans the variant can be bought with and show their prices.
+     * Falls back to the first enabled option when the checked plan has no
+     * allocation for the new variant.
      * @private
-     * @param {Array<Object>} variants - Array of variant objects
+     * @param {HTMLFormElement} form - The product form
+     * @param {Object} variant - The selected variant
+     */
+    _syncSellingPlans: function (form, variant) {
+      const planInputs = form?.querySelectorAll('[data-selling-plan-input]');
+      if (!planInputs?.length) return;
+
+      const allocations = variant.selling_plan_allocations || [];
+      let needsFallback = false;
+
+      planInputs.forEach(input => {
+        const priceEl = input.closest('label')?.querySelector('[data-selling-plan-price]');
+
+        if (!input.value) {
+          if (priceEl) priceEl.innerHTML = Sallety.utils.formatMoney(variant.price);
+          return;
+        }
+
+        const allocation = allocations.find(item => String(item.selling_plan_id) === input.value);
+        input.disabled = !allocation;
+        if (priceEl) priceEl.innerHTML = allocation ? Sallety.utils.formatMoney(allocation.price) : '';
+        if (!allocation && input.checked) {
+          input.checked = false;
+          needsFallback = true;
+        }
+      });
+
+      if (needsFallback) {
+        const fallback = Array.from(planInputs).find(input => !input.disabled);
+        if (fallback) fallback.checked = true;
+      }
+    },
+
+    /**
+     * Get the checked selling plan and its allocation for a variant
+     * @private
+     * @param {HTMLFormElement} form - The product form
+     * @param {Object} variant - The selected variant
+     * @param {Object} product - The product object
+     * @returns {{sellingPlan: Object|null, allocation: Object|null}} Nulls for a one-time purchase
+     */
+    _getSellingPlan: function (form, variant, product) {
+      const planId = form?.querySelector('[data-selling-plan-input]:checked')?.value;
+      if (!planId) return { sellingPlan: null, allocation: null };
+
+      const allocation = (variant.selling_plan_allocations || [])
+        .find(item => String(item.selling_plan_id) === planId) || null;
+      let sellingPlan = null;
+      (product.selling_plan_groups || []).some(group => {
+        sellingPlan = (group.selling_plans || []).find(plan => String(plan.id) === planId) || null;
+        return sellingPlan;
+      });
+
+      return { sellingPlan, allocation };
+    },
+
+    /**
+     * Get selected options from the selector
+     * @private
+     * @param {HTMLElement} selector - The selector container
+     * @returns {Array<string>} Array of selected option values
+     */
+    _getSelectedOptions: function (selector) {
+      const options = [];
+      selector.querySelectorAll(SELECTORS.OPTION_GROUP).forEach(optionGroup => {
+        const checkedInput = optionGroup.querySelector('input:checked');
+        const selectEl = optionGroup.querySelector('select, [data-option-select]');
+        if (checkedInput) {
+          options.push(checkedInput.value);
+        } else if (selectEl) {
+          options.push(selectEl.value);
+        }
+      });
+      return options;
+    },
+
+    /**
+     * Find a variant by selected options
+     * @private
+     * @param {Array<Object>} variants - Array of variant objects
      * @param {Array<string>} selectedOptions - Array of selected option values
      * @returns {Object|undefined} The matching variant or undefined
      */
@@ -1350,6 +2472,124 @@
       });
     },
 
+    /**
+     * Find the variant nearest to a selection that has no exact match.
+     * Keeps the value that was just changed, prefers available variants,
+     * then the one sharing the most options (earlier options weigh more).
+     * @private
+     * @param {Array<Object>} variants - Array of variant objects
+     * @param {Array<string>} selectedOptions - Array of selected option values
+     * @param {number} changedIndex - Index of the option the customer changed
+     * @returns {Object|null} The closest variant or null
+     */
+    _findClosestVariant: function (variants, selectedOptions, changedIndex) {
+      const score = variant => variant.options.reduce((total, option, index) => {
+        return option === selectedOptions[index] ? total + Math.pow(2, variant.options.length - index) : total;
+      }, 0);
+
+      return variants
+        .filter(variant => variant.options[changedIndex] === selectedOptions[changedIndex])
+        .reduce((best, variant) => {
+          if (!best) return variant;
+          if (variant.available !== best.available) return variant.available ? variant : best;
+          return score(variant) > score(best) ? variant : best;
+        }, null);
+    },
+
+    /**
+     * Check the inputs (or set the selects) for a list of option values
+     * @private
+     * @param {HTMLElement} selector - The selector container
+     * @param {Array<string>} options - Option values in option order
+     */
+    _selectOptions: function (selector, options) {
+      selector.querySelectorAll(SELECTORS.OPTION_GROUP).forEach((optionGroup, index) => {
+        const selectEl = optionGroup.querySelector('select, [data-option-select]');
+        if (selectEl) {
+          selectEl.value = options[index];
+          return;
+        }
+
+        optionGroup.querySelectorAll('input[type="radio"]').forEach(input => {
+          input.checked = input.value === options[index];
+        });
+      });
+    },
+
+    /**
+     * Cross out sold-out values and disable values with no variant at all.
+     * Each option is narrowed only by the options before it, so the first
+     * option always offers every value the product has.
+     * @private
+     * @param {HTMLElement} selector - The selector container
+     * @param {Object} product - The product object
+     */
+    _updateOptionAvailability: function (selector, product) {
+      const selectedOptions = this._getSelectedOptions(selector);
+      const soldOutText = window.variantStrings?.soldOut || 'نفذت الكمية';
+      const unavailableText = window.variantStrings?.unavailable || 'غير متوفر';
+
+      selector.querySelectorAll(SELECTORS.OPTION_GROUP).forEach((optionGroup, index) => {
+        const matching = product.variants.filter(variant => {
+          return selectedOptions.slice(0, index).every((value, i) => variant.options[i] === value);
+        });
+
+        const getState = value => {
+          const variants = matching.filter(variant => variant.options[index] === value);
+          if (!variants.length) return 'missing';
+          return variants.some(variant => variant.available) ? 'available' : 'sold-out';
+        };
+
+        const getLabel = (value, state) => {
+          if (state === 'available') return value;
+          return value + ' - ' + (state === 'missing' ? unavailableText : soldOutText);
+        };
+
+        optionGroup.querySelectorAll('.variant-picker__button, .variant-picker__color').forEach(label => {
+          const input = label.querySelector('input');
+          if (!input) return;
+
+          const state = getState(input.value);
+          label.classList.toggle('is-unavailable', state !== 'available');
+          label.classList.toggle('is-disabled', state === 'missing');
+          input.disabled = state === 'missing';
+          input.setAttribute('aria-label', getLabel(input.value, state));
+        });
+
+        optionGroup.querySelectorAll('select option').forEach(option => {
+          const state = getState(option.value);
+          option.disabled = state === 'missing';
+          option.textContent = getLabel(option.value, state);
+        });
+      });
+    },
+
+    /**
+     * Announce the selected variant and its availability to screen readers
+     * @private
+     * @param {HTMLElement} selector - The selector container
+     * @param {Object} variant - The selected variant
+     * @param {boolean} adjusted - Whether the selection was moved to the closest variant
+     */
+    _announceVariant: function (selector, variant, adjusted) {
+      const statusEl = selector.querySelector('[data-variant-status]');
+      if (!statusEl) return;
+
+      const availability = variant.available
+        ? (window.variantStrings?.inStock || 'متوفر')
+        : (window.variantStrings?.soldOut || 'نفذت الكمية');
+      let message = (window.variantStrings?.variantStatus || '[variant]: [availability]')
+        .replace('[variant]', variant.title)
+        .replace('[availability]', availability);
+
+      if (adjusted) {
+        message = (window.variantStrings?.variantAdjusted || 'هذا الخيار غير متوفر. تم اختيار [variant] بدلاً منه.')
+          .replace('[variant]', variant.title) + ' ' + message;
+      }
+
+      statusEl.textContent = message;
+    },
+
     /**
      * Update the UI with the selected variant
      * @private
@@ -1366,30 +2606,16 @@
         variantInput.value = variant.id;
       }
 
+      // Keep the purchase options valid for this variant
+      this._syncSellingPlans(form, variant);
+      const { sellingPlan, allocation } = this._getSellingPlan(form, variant, product);
+
       // Update URL
       Sallety.utils.updateUrlParam('variant', variant.id);
+      Sallety.utils.updateUrlParam('selling_plan', sellingPlan?.id);
 
-      // Update price display (only target price display spans, not wishlist buttons that use data-product-price as a data attribute)
-      document.querySelectorAll(SELECTORS.PRODUCT_PRICE).forEach(el => {
-        if (el.tagName === 'BUTTON' || el.closest('[data-wishlist-add]')) {
-          // For wishlist buttons, update the data attribute value, not innerHTML
-          el.setAttribute('data-product-price', variant.price);
-        } else {
-          el.innerHTML = Sallety.utils.formatMoney(variant.price);
-        }
-      });
-
-      // Update compare price display
-      document.querySelectorAll(SELECTORS.PRODUCT_COMPARE_PRICE).forEach(el => {
-        if (variant.compare_at_price && variant.compare_at_price > variant.price) {
-          el.innerHTML = Sallety.utils.formatMoney(variant.compare_at_price);
-          el.style.display = '';
-          el.setAttribute('aria-hidden', 'false');
-        } else {
-          el.style.display = 'none';
-          el.setAttribute('aria-hidden', 'true');
-        }
-      });
+      // Update price, compare price and installments
+      this._updatePrices(variant, allocation);
 
       // Update button state
       const addButton = form?.querySelector('[type="submit"]');
@@ -1430,14 +2656,8 @@
         }
       });
 
-      // Update installment amounts
-      document.querySelectorAll('[data-installment-amount]').forEach(el => {
-        const installmentsEl = el.closest('[data-installments]');
-        if (installmentsEl) {
-          const count = parseInt(installmentsEl.dataset.installmentsCount || '4', 10);
-          el.innerHTML = Sallety.utils.formatMoney(Math.round(variant.price / count));
-        }
-      });
+      // Re-check which values can still be picked with this selection
+      this._updateOptionAvailability(selector, product);
 
       // Update SKU display
       document.querySelectorAll('[data-product-sku]').forEach(el => {
@@ -1449,268 +2669,428 @@
       });
 
       // Dispatch custom event (gallery listens for this to switch images)
-      Sallety.utils.dispatchEvent(EVENTS.VARIANT_CHANGED, { variant, product });
-    }
-  };
-
-  // ============================================================================
-  // PRODUCT GALLERY FUNCTIONALITY
-  // ============================================================================
-
-  /**
-   * Product gallery handler - thumbnails, navigation, zoom, variant image switching
-   * @namespace Sallety.productGallery
-   */
-  Sallety.productGallery = {
-    /** @type {number} Current active slide index */
-    _currentIndex: 0,
-    /** @type {HTMLElement|null} Gallery container */
-    _gallery: null,
-    /** @type {NodeList|null} All slides */
-    _slides: null,
-    /** @type {NodeList|null} All thumbnails */
-    _thumbs: null,
-    /** @type {NodeList|null} All dots */
-    _dots: null,
-    /** @type {HTMLElement|null} Lightbox element */
-    _lightbox: null,
-
-    /**
-     * Initialize all product galleries on the page
-     */
-    init: function () {
-      document.querySelectorAll('[data-product-gallery]').forEach(gallery => {
-        this._setupGallery(gallery);
-      });
-
-      // Listen for variant changes to switch images
-      document.addEventListener(EVENTS.VARIANT_CHANGED, (e) => {
-        if (e.detail && e.detail.variant && e.detail.variant.featured_media) {
-          this._switchToMedia(e.detail.variant.featured_media.id);
-        }
+      Sallety.utils.dispatchEvent(EVENTS.VARIANT_CHANGED, {
+        variant,
+        product,
+        sellingPlan,
+        sellingPlanAllocation: allocation
       });
     },
 
     /**
-     * Setup a single product gallery
+     * Update the price, compare price and installment displays.
+     * A selling plan allocation overrides the variant's own prices.
      * @private
-     * @param {HTMLElement} gallery - The gallery container element
+     * @param {Object} variant - The selected variant
+     * @param {Object|null} allocation - The selected plan's allocation, if any
      */
-    _setupGallery: function (gallery) {
-      if (gallery.dataset.galleryInitialized) return;
-      gallery.dataset.galleryInitialized = 'true';
-
-      const slides = gallery.querySelectorAll('[data-gallery-slide]');
-      const thumbs = gallery.querySelectorAll('[data-thumb-trigger]');
-      const dots = gallery.querySelectorAll('[data-dot-index]');
-      const mainArea = gallery.querySelector('[data-gallery-main]');
-
-      if (slides.length === 0) return;
-
-      this._gallery = gallery;
-      this._slides = slides;
-      this._thumbs = thumbs;
-      this._dots = dots;
+    _updatePrices: function (variant, allocation) {
+      const price = allocation ? allocation.price : variant.price;
+      const compareAtPrice = allocation && allocation.compare_at_price > allocation.price
+        ? allocation.compare_at_price
+        : variant.compare_at_price;
 
-      // Find initial active index
-      slides.forEach((slide, i) => {
-        if (slide.classList.contains(CLASSES.ACTIVE)) {
-          this._currentIndex = i;
+      // Update price display (only target price display spans, not wishlist buttons that use data-product-price as a data attribute)
+      document.querySelectorAll(SELECTORS.PRODUCT_PRICE).forEach(el => {
+        if (el.tagName === 'BUTTON' || el.closest('[data-wishlist-add]')) {
+          // For wishlist buttons, update the data attribute value, not innerHTML
+          el.setAttribute('data-product-price', variant.price);
+        } else {
+          el.innerHTML = Sallety.utils.formatMoney(price);
         }
       });
 
-      // Thumbnail click handlers
-      thumbs.forEach(thumb => {
-        thumb.addEventListener('click', () => {
-          const index = parseInt(thumb.dataset.index, 10);
-          this._goToSlide(index);
-        });
+      // Update compare price display
+      document.querySelectorAll(SELECTORS.PRODUCT_COMPARE_PRICE).forEach(el => {
+        if (compareAtPrice && compareAtPrice > price) {
+          el.innerHTML = Sallety.utils.formatMoney(compareAtPrice);
+          el.style.display = '';
+          el.setAttribute('aria-hidden', 'false');
+        } else {
+          el.style.display = 'none';
+          el.setAttribute('aria-hidden', 'true');
+        }
       });
 
-      // Dot click handlers
-      dots.forEach(dot => {
-        dot.addEventListener('click', () => {
-          const index = parseInt(dot.dataset.dotIndex, 10);
-          this._goToSlide(index);
-        });
+      // Update installment amounts
+      document.querySelectorAll('[data-installment-amount]').forEach(el => {
+        const installmentsEl = el.closest('[data-installments]');
+        if (installmentsEl) {
+          const count = parseInt(installmentsEl.dataset.installmentsCount || '4', 10);
+          el.innerHTML = Sallety.utils.formatMoney(Math.round(price / count));
+        }
       });
+    }
+  };
 
-      // Main nav arrow handlers
-      const prevBtn = gallery.querySelector('[data-gallery-prev]');
-      const nextBtn = gallery.querySelector('[data-gallery-next]');
-
-      if (prevBtn) {
-        prevBtn.addEventListener('click', () => {
-          this._goToSlide(this._currentIndex - 1);
-        });
-      }
-
-      if (nextBtn) {
-        nextBtn.addEventListener('click', () => {
-          this._goToSlide(this._currentIndex + 1);
-        });
-      }
-
-      // Thumbnail scroll handlers
-      const thumbPrev = gallery.querySelector('[data-thumb-prev]');
-      const thumbNext = gallery.querySelector('[data-thumb-next]');
-      const thumbTrack = gallery.querySelector('[data-thumb-list]');
-
-      if (thumbPrev && thumbTrack) {
-        thumbPrev.addEventListener('click', () => {
-          this._scrollThumbs(thumbTrack, -1);
-          this._updateThumbScrollState(gallery);
-        });
-      }
-
-      if (thumbNext && thumbTrack) {
-        thumbNext.addEventListener('click', () => {
-          this._scrollThumbs(thumbTrack, 1);
-          this._updateThumbScrollState(gallery);
-        });
-      }
+  // ============================================================================
+  // PRODUCT GALLERY FUNCTIONALITY
+  // ============================================================================
 
-      // Auto-update scroll button state as thumbs scroll
-      if (thumbTrack) {
-        thumbTrack.addEventListener('scroll', () => {
-          this._updateThumbScrollState(gallery);
-        }, { passive: true });
-        // Initial check
-        setTimeout(() => this._updateThumbScrollState(gallery), 100);
-      }
+  /**
+   * Product gallery custom element - thumbnails, navigation, zoom, lightbox
+   * and variant image switching. Each <product-gallery> keeps its own state,
+   * so several galleries on one page never drive each other.
+   * @class ProductGallery
+   * @extends HTMLElement
+   */
+  class ProductGallery extends HTMLElement {
+    /**
+     * Lightbox zoom settings
+     * @static
+     * @readonly
+     */
+    static get ZOOM() {
+      return {
+        /** Largest pinch scale */
+        MAX_SCALE: 4,
+        /** Scale a double tap or double click zooms to */
+        DOUBLE_TAP_SCALE: 2.5,
+        /** Max time between taps of a double tap, in milliseconds */
+        DOUBLE_TAP_DELAY: 300,
+        /** Max finger travel for a touch to count as a tap, in pixels */
+        TAP_SLOP: 10,
+        /** Velocity kept per frame while a pan glides to a stop */
+        FRICTION: 0.92
+      };
+    }
 
-      // Setup zoom functionality
-      if (gallery.dataset.zoomEnabled === 'true') {
-        this._setupZoom(gallery);
-      }
+    constructor() {
+      super();
+
+      /** @type {number} Current active slide index */
+      this._currentIndex = 0;
+      /** @type {NodeList|Array} All slides */
+      this._slides = [];
+      /** @type {NodeList|Array} All thumbnails */
+      this._thumbs = [];
+      /** @type {NodeList|Array} All dots */
+      this._dots = [];
+      /** @type {HTMLElement|null} This gallery's lightbox */
+      this._lightbox = null;
+      /** @type {NodeList|Array} Lightbox slides */
+      this._lightboxSlides = [];
+      /** @type {number} Current lightbox slide index */
+      this._lightboxIndex = 0;
+      /** @type {Function|null} Releases the lightbox focus trap */
+      this._releaseFocus = null;
+      /** @type {HTMLElement|null} Element focused before the lightbox opened */
+      this._lightboxTrigger = null;
+      /** @type {{scale: number, x: number, y: number}} Zoom of the current lightbox image */
+      this._zoom = { scale: 1, x: 0, y: 0 };
+      /** @type {number|null} Pan momentum animation frame */
+      this._momentumFrame = null;
+
+      this._onVariantChanged = this._onVariantChanged.bind(this);
+      this._onLightboxKeydown = this._onLightboxKeydown.bind(this);
+    }
 
-      // Setup lightbox
-      this._setupLightbox(gallery);
+    connectedCallback() {
+      document.addEventListener(EVENTS.VARIANT_CHANGED, this._onVariantChanged);
 
-      // Touch/swipe support for mobile
-      this._setupSwipe(mainArea);
+      if (this.dataset.galleryInitialized) return;
+      this.dataset.galleryInitialized = 'true';
+      this._setup();
+    }
 
-      // Keyboard navigation
-      gallery.addEventListener('keydown', (e) => {
-        if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
-          e.preventDefault();
-          const dir = document.documentElement.dir === 'rtl' ? 1 : -1;
-          this._goToSlide(this._currentIndex + dir);
-        } else if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
-          e.preventDefault();
-          const dir = document.documentElement.dir === 'rtl' ? -1 : 1;
-          this._goToSlide(this._currentIndex + dir);
-        }
-      });
-    },
+    disconnectedCallback() {
+      document.removeEventListener(EVENTS.VARIANT_CHANGED, this._onVariantChanged);
+      if (this.isLightboxOpen()) this.closeLightbox();
+    }
 
     /**
      * Go to a specific slide
-     * @private
-     * @param {number} index - The target slide index
+     * @param {number} index - The target slide index (wraps around)
      */
-    _goToSlide: function (index) {
-      if (!this._slides || this._slides.length === 0) return;
+    goToSlide(index) {
+      if (!this._slides.length) return;
 
       // Wrap around
       if (index < 0) index = this._slides.length - 1;
       if (index >= this._slides.length) index = 0;
 
+      // Stop videos and models on the slide being left
+      if (index !== this._currentIndex) {
+        Sallety.utils.pauseMedia(this._slides[this._currentIndex]);
+      }
+
       // Update slides
       this._slides.forEach(slide => slide.classList.remove(CLASSES.ACTIVE));
       this._slides[index].classList.add(CLASSES.ACTIVE);
 
       // Update thumbnails
-      if (this._thumbs) {
-        this._thumbs.forEach(thumb => thumb.classList.remove(CLASSES.ACTIVE));
-        if (this._thumbs[index]) {
-          this._thumbs[index].classList.add(CLASSES.ACTIVE);
-          // Scroll thumbnail into view
-          this._thumbs[index].scrollIntoView({ block: 'nearest', inline: 'nearest', behavior: 'smooth' });
-        }
+      this._thumbs.forEach(thumb => thumb.classList.remove(CLASSES.ACTIVE));
+      if (this._thumbs[index]) {
+        this._thumbs[index].classList.add(CLASSES.ACTIVE);
+        // Scroll thumbnail into view
+        this._thumbs[index].scrollIntoView({ block: 'nearest', inline: 'nearest', behavior: 'smooth' });
       }
 
       // Update dots
-      if (this._dots) {
-        this._dots.forEach(dot => dot.classList.remove(CLASSES.ACTIVE));
-        if (this._dots[index]) {
-          this._dots[index].classList.add(CLASSES.ACTIVE);
-        }
+      this._dots.forEach(dot => dot.classList.remove(CLASSES.ACTIVE));
+      if (this._dots[index]) {
+        this._dots[index].classList.add(CLASSES.ACTIVE);
       }
 
       this._currentIndex = index;
 
       // Update counter
-      const counter = this._gallery?.querySelector('[data-gallery-current]');
+      const counter = this.querySelector('[data-gallery-current]');
       if (counter) {
         counter.textContent = index + 1;
       }
 
-      // Update thumbnail scroll state
-      if (this._gallery) {
-        this._updateThumbScrollState(this._gallery);
-      }
-    },
+      this._updateThumbScrollState();
+    }
 
     /**
      * Switch to a specific media by ID (used for variant changes)
-     * @private
      * @param {number} mediaId - The media ID to switch to
      */
-    _switchToMedia: function (mediaId) {
-      if (!this._slides) return;
-
+    switchToMedia(mediaId) {
       this._slides.forEach((slide, index) => {
         if (parseInt(slide.dataset.mediaId, 10) === mediaId) {
-          this._goToSlide(index);
+          this.goToSlide(index);
         }
       });
-    },
+    }
 
     /**
-     * Scroll thumbnails in a direction (horizontal)
-     * @private
-     * @param {HTMLElement} thumbTrack - The thumbnail track container
-     * @param {number} direction - -1 for left, 1 for right
+     * Open the lightbox on the current slide
      */
-    _scrollThumbs: function (thumbTrack, direction) {
-      const scrollAmount = 160;
-      const isRTL = document.documentElement.dir === 'rtl';
-      thumbTrack.scrollLeft += direction * scrollAmount * (isRTL ? -1 : 1);
-    },
+    openLightbox() {
+      const lightbox = this._lightbox;
+      if (!lightbox || this.isLightboxOpen()) return;
+
+      this._lightboxTrigger = document.activeElement;
+      Sallety.utils.pauseMedia(this.querySelector('[data-gallery-track]'));
+
+      // Move lightbox to body to escape any stacking context (e.g. position: sticky parents)
+      document.body.appendChild(lightbox);
+      lightbox.setAttribute('aria-hidden', 'false');
+      document.body.style.overflow = 'hidden';
+
+      // Open on the lightbox slide for the current media
+      const slides = Array.from(this._lightboxSlides);
+      const matchIndex = slides.findIndex(slide => parseInt(slide.dataset.index, 10) === this._currentIndex);
+      this._goToLightboxSlide(matchIndex >= 0 ? matchIndex : 0);
+
+      document.addEventListener('keydown', this._onLightboxKeydown);
+      this._releaseFocus = Sallety.utils.trapFocus(lightbox);
+    }
 
     /**
-     * Update thumbnail scroll button disabled states
-     * @private
-     * @param {HTMLElement} gallery - The gallery container
+     * Close the lightbox and put it back inside the gallery
      */
-    _updateThumbScrollState: function (gallery) {
-      const thumbTrack = gallery.querySelector('[data-thumb-list]');
-      const prevBtn = gallery.querySelector('[data-thumb-prev]');
-      const nextBtn = gallery.querySelector('[data-thumb-next]');
+    closeLightbox() {
+      const lightbox = this._lightbox;
+      if (!lightbox) return;
 
-      if (!thumbTrack || !prevBtn || !nextBtn) return;
+      this._resetZoom();
+      Sallety.utils.pauseMedia(lightbox);
+      lightbox.setAttribute('aria-hidden', 'true');
+      document.body.style.overflow = '';
+      document.removeEventListener('keydown', this._onLightboxKeydown);
 
-      const isRTL = document.documentElement.dir === 'rtl';
-      const scrollLeft = Math.abs(thumbTrack.scrollLeft);
-      const maxScroll = thumbTrack.scrollWidth - thumbTrack.clientWidth;
+      if (this._releaseFocus) {
+        this._releaseFocus();
+        this._releaseFocus = null;
+      }
 
-      if (isRTL) {
-        prevBtn.disabled = scrollLeft >= maxScroll - 2;
-        nextBtn.disabled = scrollLeft <= 2;
+      // Restore lightbox to the gallery, or drop it if the gallery was removed
+      if (this.isConnected) {
+        this.appendChild(lightbox);
       } else {
-        prevBtn.disabled = scrollLeft <= 2;
-        nextBtn.disabled = scrollLeft >= maxScroll - 2;
+        lightbox.remove();
       }
-    },
+
+      if (this._lightboxTrigger && this.contains(this._lightboxTrigger)) {
+        this._lightboxTrigger.focus();
+      }
+      this._lightboxTrigger = null;
+    }
+
+    /**
+     * @returns {boolean} Whether this gallery's lightbox is open
+     */
+    isLightboxOpen() {
+      return this._lightbox?.getAttribute('aria-hidden') === 'false';
+    }
+
+    /**
+     * Wire up slides, navigation, zoom, lightbox, swipe and keyboard
+     * @private
+     */
+    _setup() {
+      this._slides = this.querySelectorAll('[data-gallery-slide]');
+      this._thumbs = this.querySelectorAll('[data-thumb-trigger]');
+      this._dots = this.querySelectorAll('[data-dot-index]');
+
+      if (this._slides.length === 0) return;
+
+      // Find initial active index
+      this._slides.forEach((slide, i) => {
+        if (slide.classList.contains(CLASSES.ACTIVE)) {
+          this._currentIndex = i;
+        }
+      });
+
+      // Thumbnail click handlers
+      this._thumbs.forEach(thumb => {
+        thumb.addEventListener('click', () => {
+          this.goToSlide(parseInt(thumb.dataset.index, 10));
+        });
+      });
+
+      // Dot click handlers
+      this._dots.forEach(dot => {
+        dot.addEventListener('click', () => {
+          this.goToSlide(parseInt(dot.dataset.dotIndex, 10));
+        });
+      });
+
+      // Main nav arrow handlers
+      this.querySelector('[data-gallery-prev]')?.addEventListener('click', () => {
+        this.goToSlide(this._currentIndex - 1);
+      });
+      this.querySelector('[data-gallery-next]')?.addEventListener('click', () => {
+        this.goToSlide(this._currentIndex + 1);
+      });
+
+      // Thumbnail scroll handlers
+      const thumbTrack = this.querySelector('[data-thumb-list]');
+      if (thumbTrack) {
+        this.querySelector('[data-thumb-prev]')?.addEventListener('click', () => {
+          this._scrollThumbs(thumbTrack, -1);
+          this._updateThumbScrollState();
+        });
+        this.querySelector('[data-thumb-next]')?.addEventListener('click', () => {
+          this._scrollThumbs(thumbTrack, 1);
+          this._updateThumbScrollState();
+        });
+
+        // Auto-update scroll button state as thumbs scroll
+        thumbTrack.addEventListener('scroll', () => {
+          this._updateThumbScrollState();
+        }, { passive: true });
+        // Initial check
+        setTimeout(() => this._updateThumbScrollState(), 100);
+      }
+
+      // Setup zoom functionality
+      if (this.dataset.zoomEnabled === 'true') {
+        this._setupZoom();
+      }
+
+      this._setupLightbox();
+      this._setupSwipe(this.querySelector('[data-gallery-main]'));
+
+      // 3D models and the "view in your space" AR button
+      Sallety.utils.loadModelViewer(this);
+      this._setupXR();
+
+      // Keyboard navigation (only while focus is inside this gallery)
+      this.addEventListener('keydown', (e) => {
+        // Arrow keys seek videos and turn models
+        if (e.target.closest('video, model-viewer')) return;
+
+        if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
+          e.preventDefault();
+          this.goToSlide(this._currentIndex + (document.documentElement.dir === 'rtl' ? 1 : -1));
+        } else if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
+          e.preventDefault();
+          this.goToSlide(this._currentIndex + (document.documentElement.dir === 'rtl' ? -1 : 1));
+        }
+      });
+    }
+
+    /**
+     * Register this gallery's 3D models with Shopify XR so the AR buttons work
+     * @private
+     */
+    _setupXR() {
+      const modelsJson = this.querySelector('[data-gallery-models]');
+      if (!modelsJson || !window.Shopify?.loadFeatures) return;
+
+      const addModels = () => {
+        if (!window.ShopifyXR) {
+          document.addEventListener('shopify_xr_initialized', addModels, { once: true });
+          return;
+        }
+        try {
+          window.ShopifyXR.addModels(JSON.parse(modelsJson.textContent));
+          window.ShopifyXR.setupXRElements();
+        } catch (error) {
+          console.error('[Sallety] productGallery: Invalid 3D model JSON', error);
+        }
+      };
+
+      window.Shopify.loadFeatures([{
+        name: 'shopify-xr',
+        version: '1.0',
+        onLoad: (error) => {
+          if (error) {
+            console.error('[Sallety] productGallery: Could not load AR support', error);
+            return;
+          }
+          addModels();
+        }
+      }]);
+    }
+
+    /**
+     * Switch to the selected variant's image, ignoring other products' events
+     * @private
+     * @param {CustomEvent} e - The variant:changed event
+     */
+    _onVariantChanged(e) {
+      const { variant, product } = e.detail || {};
+      if (!variant?.featured_media) return;
+      if (this.dataset.productId && product && String(product.id) !== this.dataset.productId) return;
+
+      this.switchToMedia(variant.featured_media.id);
+    }
+
+    /**
+     * Scroll thumbnails in a direction (horizontal)
+     * @private
+     * @param {HTMLElement} thumbTrack - The thumbnail track container
+     * @param {number} direction - -1 for left, 1 for right
+     */
+    _scrollThumbs(thumbTrack, direction) {
+      const scrollAmount = 160;
+      thumbTrack.scrollLeft += direction * scrollAmount * (document.documentElement.dir === 'rtl' ? -1 : 1);
+    }
+
+    /**
+     * Update thumbnail scroll button disabled states
+     * @private
+     */
+    _updateThumbScrollState() {
+      const thumbTrack = this.querySelector('[data-thumb-list]');
+      const prevBtn = this.querySelector('[data-thumb-prev]');
+      const nextBtn = this.querySelector('[data-thumb-next]');
+
+      if (!thumbTrack || !prevBtn || !nextBtn) return;
+
+      const scrollLeft = Math.abs(thumbTrack.scrollLeft);
+      const maxScroll = thumbTrack.scrollWidth - thumbTrack.clientWidth;
+
+      if (document.documentElement.dir === 'rtl') {
+        prevBtn.disabled = scrollLeft >= maxScroll - 2;
+        nextBtn.disabled = scrollLeft <= 2;
+      } else {
+        prevBtn.disabled = scrollLeft <= 2;
+        nextBtn.disabled = scrollLeft >= maxScroll - 2;
+      }
+    }
 
     /**
      * Setup image zoom on hover
      * @private
-     * @param {HTMLElement} gallery - The gallery container
      */
-    _setupZoom: function (gallery) {
-      gallery.querySelectorAll('[data-zoom-wrapper]').forEach(wrapper => {
+    _setupZoom() {
+      this.querySelectorAll('[data-zoom-wrapper]').forEach(wrapper => {
         const lens = wrapper.querySelector('[data-zoom-lens]');
         const img = wrapper.querySelector('.product-gallery__image');
         const zoomSrc = wrapper.dataset.zoomSrc;
@@ -1738,85 +3118,31 @@
           lens.style.backgroundPosition = '';
         });
       });
-    },
+    }
 
     /**
-     * Setup fullscreen lightbox
+     * Setup this gallery's fullscreen lightbox
      * @private
-     * @param {HTMLElement} gallery - The gallery container
      */
-    _setupLightbox: function (gallery) {
-      const fullscreenBtn = gallery.querySelector('[data-gallery-fullscreen]');
-      // Look for the lightbox in the next sibling (it's rendered right after the gallery div)
-      const lightbox = gallery.parentElement?.querySelector('[data-gallery-lightbox]');
-
+    _setupLightbox() {
+      const lightbox = this.querySelector('[data-gallery-lightbox]');
       if (!lightbox) return;
 
       this._lightbox = lightbox;
-
-      // Store the original parent so we can restore the lightbox on close
-      const lightboxOriginalParent = lightbox.parentElement;
-      const lightboxNextSibling = lightbox.nextSibling;
-
-      const lightboxSlides = lightbox.querySelectorAll('[data-lightbox-slide]');
-      const lightboxPrev = lightbox.querySelector('[data-lightbox-prev]');
-      const lightboxNext = lightbox.querySelector('[data-lightbox-next]');
-      const lightboxCounter = lightbox.querySelector('[data-lightbox-current]');
-      const closeButtons = lightbox.querySelectorAll('[data-lightbox-close]');
-
-      let currentLightboxIndex = 0;
-
-      const openLightbox = () => {
-        // Move lightbox to body to escape any stacking context (e.g. position: sticky parents)
-        document.body.appendChild(lightbox);
-        lightbox.setAttribute('aria-hidden', 'false');
-        document.body.style.overflow = 'hidden';
-        currentLightboxIndex = this._currentIndex;
-        goToLightboxSlide(currentLightboxIndex);
-      };
-
-      const closeLightbox = () => {
-        lightbox.setAttribute('aria-hidden', 'true');
-        document.body.style.overflow = '';
-        // Restore lightbox to its original position in the DOM
-        if (lightboxOriginalParent) {
-          if (lightboxNextSibling) {
-            lightboxOriginalParent.insertBefore(lightbox, lightboxNextSibling);
-          } else {
-            lightboxOriginalParent.appendChild(lightbox);
-          }
-        }
-      };
-
-      const goToLightboxSlide = (index) => {
-        if (lightboxSlides.length === 0) return;
-        if (index < 0) index = lightboxSlides.length - 1;
-        if (index >= lightboxSlides.length) index = 0;
-
-        lightboxSlides.forEach(s => s.classList.remove(CLASSES.ACTIVE));
-        lightboxSlides[index].classList.add(CLASSES.ACTIVE);
-        currentLightboxIndex = index;
-
-        if (lightboxCounter) {
-          lightboxCounter.textContent = index + 1;
-        }
-      };
+      this._lightboxSlides = lightbox.querySelectorAll('[data-lightbox-slide]');
 
       // Open lightbox on fullscreen button or double-click on image
-      if (fullscreenBtn) {
-        fullscreenBtn.addEventListener('click', openLightbox);
-      }
+      this.querySelector('[data-gallery-fullscreen]')?.addEventListener('click', () => this.openLightbox());
 
-      // Double-click on main image to open lightbox
-      gallery.querySelector('[data-gallery-track]')?.addEventListener('dblclick', (e) => {
+      this.querySelector('[data-gallery-track]')?.addEventListener('dblclick', (e) => {
         if (e.target.closest('.product-gallery__image-wrapper')) {
-          openLightbox();
+          this.openLightbox();
         }
       });
 
       // Close buttons
-      closeButtons.forEach(btn => {
-        btn.addEventListener('click', closeLightbox);
+      lightbox.querySelectorAll('[data-lightbox-close]').forEach(btn => {
+        btn.addEventListener('click', () => this.closeLightbox());
       });
 
       // Close lightbox when clicking on the overlay (outside the image)
@@ -1829,63 +3155,350 @@
           target.classList.contains('product-gallery__lightbox-content') ||
           target.classList.contains('product-gallery__lightbox-track')
         ) {
-          closeLightbox();
+          this.closeLightbox();
         }
       });
 
       // Lightbox navigation
-      if (lightboxPrev) {
-        lightboxPrev.addEventListener('click', () => {
-          goToLightboxSlide(currentLightboxIndex - 1);
-        });
-      }
-
-      if (lightboxNext) {
-        lightboxNext.addEventListener('click', () => {
-          goToLightboxSlide(currentLightboxIndex + 1);
-        });
-      }
-
-      // Keyboard navigation for lightbox
-      document.addEventListener('keydown', (e) => {
-        if (lightbox.getAttribute('aria-hidden') !== 'false') return;
-
-        if (e.key === 'Escape') {
-          closeLightbox();
-        } else if (e.key === 'ArrowLeft') {
-          const dir = document.documentElement.dir === 'rtl' ? 1 : -1;
-          goToLightboxSlide(currentLightboxIndex + dir);
-        } else if (e.key === 'ArrowRight') {
-          const dir = document.documentElement.dir === 'rtl' ? -1 : 1;
-          goToLightboxSlide(currentLightboxIndex + dir);
-        }
+      lightbox.querySelector('[data-lightbox-prev]')?.addEventListener('click', () => {
+        this._goToLightboxSlide(this._lightboxIndex - 1);
       });
+      lightbox.querySelector('[data-lightbox-next]')?.addEventListener('click', () => {
+        this._goToLightboxSlide(this._lightboxIndex + 1);
+      });
+
+      this._setupLightboxZoom(lightbox);
 
-      // Touch/swipe in lightbox
+      // Touch/swipe in lightbox (only single-finger swipes on an unzoomed image)
       let startX = 0;
+      let canSwipe = false;
       lightbox.addEventListener('touchstart', (e) => {
         startX = e.touches[0].clientX;
+        // Dragging a 3D model rotates it rather than changing slides
+        canSwipe = e.touches.length === 1 && this._zoom.scale === 1 && !e.target.closest('model-viewer');
       }, { passive: true });
 
       lightbox.addEventListener('touchend', (e) => {
+        if (!canSwipe || this._zoom.scale !== 1) return;
+
         const diffX = e.changedTouches[0].clientX - startX;
         if (Math.abs(diffX) > 50) {
           const isRTL = document.documentElement.dir === 'rtl';
           if (diffX < 0) {
-            goToLightboxSlide(currentLightboxIndex + (isRTL ? -1 : 1));
+            this._goToLightboxSlide(this._lightboxIndex + (isRTL ? -1 : 1));
           } else {
-            goToLightboxSlide(currentLightboxIndex + (isRTL ? 1 : -1));
+            this._goToLightboxSlide(this._lightboxIndex + (isRTL ? 1 : -1));
           }
         }
       }, { passive: true });
-    },
+    }
+
+    /**
+     * Go to a lightbox slide
+     * @private
+     * @param {number} index - The target lightbox slide index (wraps around)
+     */
+    _goToLightboxSlide(index) {
+      const slides = this._lightboxSlides;
+      if (slides.length === 0) return;
+      if (index < 0) index = slides.length - 1;
+      if (index >= slides.length) index = 0;
+
+      this._resetZoom();
+      if (index !== this._lightboxIndex) {
+        Sallety.utils.pauseMedia(slides[this._lightboxIndex]);
+      }
+
+      slides.forEach(s => s.classList.remove(CLASSES.ACTIVE));
+      slides[index].classList.add(CLASSES.ACTIVE);
+      this._lightboxIndex = index;
+
+      const counter = this._lightbox.querySelector('[data-lightbox-current]');
+      if (counter) {
+        counter.textContent = index + 1;
+      }
+    }
+
+    /**
+     * Pinch to zoom, double-tap (or double-click) to zoom and drag to pan
+     * with momentum. Off when the shopper prefers reduced motion, which
+     * also leaves the browser's own pinch zoom available (see component.css).
+     * @private
+     * @param {HTMLElement} lightbox - The lightbox element
+     */
+    _setupLightboxZoom(lightbox) {
+      const { MAX_SCALE, DOUBLE_TAP_DELAY, TAP_SLOP } = ProductGallery.ZOOM;
+      const distance = (a, b) => Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+
+      let pinch = null;
+      let pan = null;
+      let velocity = { x: 0, y: 0 };
+      let tapStart = null;
+      let lastTap = null;
+      let lastTouchEnd = 0;
+
+      const startPan = (point, time) => {
+        pan = { x: point.clientX, y: point.clientY, time: time };
+        velocity = { x: 0, y: 0 };
+      };
+
+      const movePan = (point, time) => {
+        const dx = point.clientX - pan.x;
+        const dy = point.clientY - pan.y;
+        const dt = Math.max(1, time - pan.time);
+
+        velocity = { x: dx / dt, y: dy / dt };
+        pan = { x: point.clientX, y: point.clientY, time: time };
+        this._setZoom(this._zoom.scale, this._zoom.x + dx, this._zoom.y + dy);
+      };
+
+      lightbox.addEventListener('touchstart', (e) => {
+        if (!this._canZoom() || !this._getLightboxImage()) return;
+        this._stopMomentum();
+
+        if (e.touches.length === 2) {
+          const [a, b] = e.touches;
+          pinch = {
+            distance: distance(a, b),
+            center: this._toImagePoint((a.clientX + b.clientX) / 2, (a.clientY + b.clientY) / 2),
+            scale: this._zoom.scale,
+            x: this._zoom.x,
+            y: this._zoom.y
+          };
+          pan = null;
+          tapStart = null;
+        } else if (e.touches.length === 1) {
+          tapStart = { clientX: e.touches[0].clientX, clientY: e.touches[0].clientY };
+          if (this._zoom.scale > 1) startPan(e.touches[0], e.timeStamp);
+        }
+      }, { passive: true });
+
+      lightbox.addEventListener('touchmove', (e) => {
+        if (!pinch && !pan) return;
+        e.preventDefault();
+
+        if (pinch && e.touches.length === 2) {
+          const scale = Math.min(MAX_SCALE, Math.max(1, pinch.scale * distance(e.touches[0], e.touches[1]) / pinch.distance));
+          const ratio = scale / pinch.scale;
+          // Keep the point between the fingers under the fingers
+          this._setZoom(
+            scale,
+            pinch.center.x - (pinch.center.x - pinch.x) * ratio,
+            pinch.center.y - (pinch.center.y - pinch.y) * ratio
+          );
+        } else if (pan && e.touches.length === 1) {
+          movePan(e.touches[0], e.timeStamp);
+        }
+      }, { passive: false });
+
+      lightbox.addEventListener('touchend', (e) => {
+        lastTouchEnd = e.timeStamp;
+
+        if (pinch) {
+          if (e.touches.length >= 2) return;
+          pinch = null;
+          if (this._zoom.scale < 1.05) {
+            this._resetZoom();
+          } else if (e.touches.length === 1) {
+            // Keep panning with the finger that stayed down
+            startPan(e.touches[0], e.timeStamp);
+          }
+          return;
+        }
+
+        if (pan && e.touches.length === 0) {
+          pan = null;
+          this._startMomentum(velocity);
+        }
+
+        // Double tap toggles zoom at the tapped point
+        const touch = e.changedTouches[0];
+        if (!tapStart || e.touches.length || distance(touch, tapStart) > TAP_SLOP) return;
+        tapStart = null;
+
+        if (lastTap && e.timeStamp - lastTap.time < DOUBLE_TAP_DELAY && distance(touch, lastTap) < TAP_SLOP * 3) {
+          lastTap = null;
+          this._stopMomentum();
+          this._toggleZoomAt(touch.clientX, touch.clientY);
+        } else {
+          lastTap = { clientX: touch.clientX, clientY: touch.clientY, time: e.timeStamp };
+        }
+      });
+
+      // Mouse: double-click to zoom, drag to pan
+      lightbox.addEventListener('dblclick', (e) => {
+        // Some browsers follow a touch double tap with a dblclick; the tap already zoomed
+        if (e.timeStamp - lastTouchEnd < 500) return;
+        if (!e.target.closest('.product-gallery__lightbox-image') || !this._canZoom()) return;
+        this._toggleZoomAt(e.clientX, e.clientY);
+      });
+
+      lightbox.addEventListener('pointerdown', (e) => {
+        if (e.pointerType !== 'mouse' || this._zoom.scale === 1) return;
+        if (!e.target.closest('.product-gallery__lightbox-image')) return;
+        e.preventDefault();
+        this._stopMomentum();
+        startPan(e, e.timeStamp);
+
+        const onMove = (moveEvent) => movePan(moveEvent, moveEvent.timeStamp);
+        const onUp = () => {
+          document.removeEventListener('pointermove', onMove);
+          document.removeEventListener('pointerup', onUp);
+          pan = null;
+          this._startMomentum(velocity);
+        };
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onUp);
+      });
+    }
+
+    /**
+     * @private
+     * @returns {boolean} Whether gesture zoom is allowed
+     */
+    _canZoom() {
+      return !Sallety.utils.prefersReducedMotion();
+    }
+
+    /**
+     * @private
+     * @returns {HTMLImageElement|null} The image on the active lightbox slide
+     */
+    _getLightboxImage() {
+      return this._lightboxSlides[this._lightboxIndex]?.querySelector('.product-gallery__lightbox-image') || null;
+    }
+
+    /**
+     * Convert a viewport point to an offset from the lightbox image's resting center
+     * @private
+     * @param {number} clientX - Viewport X
+     * @param {number} clientY - Viewport Y
+     * @returns {{x: number, y: number}} Offset in pixels
+     */
+    _toImagePoint(clientX, clientY) {
+      const rect = this._getLightboxImage().parentElement.getBoundingClientRect();
+      return {
+        x: clientX - (rect.left + rect.width / 2),
+        y: clientY - (rect.top + rect.height / 2)
+      };
+    }
+
+    /**
+     * Apply a zoom level and offset, keeping the image edges inside the viewport
+     * @private
+     * @param {number} scale - Zoom scale (1 = fit)
+     * @param {number} x - Horizontal offset in pixels
+     * @param {number} y - Vertical offset in pixels
+     * @returns {{x: boolean, y: boolean}} Which axes hit an edge
+     */
+    _setZoom(scale, x, y) {
+      const image = this._getLightboxImage();
+      if (!image) return { x: true, y: true };
+
+      const maxX = image.offsetWidth * (scale - 1) / 2;
+      const maxY = image.offsetHeight * (scale - 1) / 2;
+      const clampedX = Math.min(maxX, Math.max(-maxX, x));
+      const clampedY = Math.min(maxY, Math.max(-maxY, y));
+
+      this._zoom = { scale: scale, x: clampedX, y: clampedY };
+      image.style.transform = scale === 1 ? '' : 'translate(' + clampedX + 'px, ' + clampedY + 'px) scale(' + scale + ')';
+      this._lightbox.classList.toggle('is-zoomed', scale > 1);
+
+      return { x: clampedX !== x, y: clampedY !== y };
+    }
+
+    /**
+     * Zoom in on a point, or back out when already zoomed
+     * @private
+     * @param {number} clientX - Viewport X
+     * @param {number} clientY - Viewport Y
+     */
+    _toggleZoomAt(clientX, clientY) {
+      const image = this._getLightboxImage();
+      if (!image) return;
+
+      image.classList.add('is-animating');
+      image.addEventListener('transitionend', () => image.classList.remove('is-animating'), { once: true });
+
+      if (this._zoom.scale > 1) {
+        this._setZoom(1, 0, 0);
+        return;
+      }
+
+      const scale = ProductGallery.ZOOM.DOUBLE_TAP_SCALE;
+      const point = this._toImagePoint(clientX, clientY);
+      this._setZoom(scale, point.x * (1 - scale), point.y * (1 - scale));
+    }
+
+    /**
+     * Let a pan glide to a stop
+     * @private
+     * @param {{x: number, y: number}} velocity - Release velocity in pixels per millisecond
+     */
+    _startMomentum(velocity) {
+      this._stopMomentum();
+      if (this._zoom.scale === 1) return;
+
+      const friction = ProductGallery.ZOOM.FRICTION;
+      let vx = velocity.x * 16;
+      let vy = velocity.y * 16;
+      const step = () => {
+        vx *= friction;
+        vy *= friction;
+        const hitEdge = this._setZoom(this._zoom.scale, this._zoom.x + vx, this._zoom.y + vy);
+        if (hitEdge.x) vx = 0;
+        if (hitEdge.y) vy = 0;
+
+        this._momentumFrame = Math.abs(vx) > 0.2 || Math.abs(vy) > 0.2 ? requestAnimationFrame(step) : null;
+      };
+      this._momentumFrame = requestAnimationFrame(step);
+    }
+
+    /**
+     * @private
+     */
+    _stopMomentum() {
+      if (this._momentumFrame) {
+        cancelAnimationFrame(this._momentumFrame);
+        this._momentumFrame = null;
+      }
+    }
+
+    /**
+     * Reset zoom on every lightbox image
+     * @private
+     */
+    _resetZoom() {
+      this._stopMomentum();
+      this._zoom = { scale: 1, x: 0, y: 0 };
+      this._lightboxSlides.forEach(slide => {
+        const image = slide.querySelector('.product-gallery__lightbox-image');
+        if (image) image.style.transform = '';
+      });
+      this._lightbox?.classList.remove('is-zoomed');
+    }
+
+    /**
+     * Keyboard navigation while this gallery's lightbox is open
+     * @private
+     * @param {KeyboardEvent} e - The keydown event
+     */
+    _onLightboxKeydown(e) {
+      if (e.key === 'Escape') {
+        this.closeLightbox();
+      } else if (e.key === 'ArrowLeft') {
+        this._goToLightboxSlide(this._lightboxIndex + (document.documentElement.dir === 'rtl' ? 1 : -1));
+      } else if (e.key === 'ArrowRight') {
+        this._goToLightboxSlide(this._lightboxIndex + (document.documentElement.dir === 'rtl' ? -1 : 1));
+      }
+    }
 
     /**
      * Setup touch swipe support for mobile
      * @private
      * @param {HTMLElement} mainArea - The main gallery area
      */
-    _setupSwipe: function (mainArea) {
+    _setupSwipe(mainArea) {
       if (!mainArea) return;
 
       let startX = 0;
@@ -1895,42 +3508,198 @@
       mainArea.addEventListener('touchstart', (e) => {
         startX = e.touches[0].clientX;
         startY = e.touches[0].clientY;
-        isDragging = true;
+        // Dragging a 3D model rotates it rather than changing slides
+        isDragging = !e.target.closest('model-viewer');
       }, { passive: true });
 
       mainArea.addEventListener('touchend', (e) => {
         if (!isDragging) return;
         isDragging = false;
 
-        const endX = e.changedTouches[0].clientX;
-        const endY = e.changedTouches[0].clientY;
-        const diffX = endX - startX;
-        const diffY = endY - startY;
+        const diffX = e.changedTouches[0].clientX - startX;
+        const diffY = e.changedTouches[0].clientY - startY;
 
         // Only trigger if horizontal swipe is dominant and significant
         if (Math.abs(diffX) > 50 && Math.abs(diffX) > Math.abs(diffY)) {
           const isRTL = document.documentElement.dir === 'rtl';
           if (diffX < 0) {
             // Swiped left
-            this._goToSlide(this._currentIndex + (isRTL ? -1 : 1));
+            this.goToSlide(this._currentIndex + (isRTL ? -1 : 1));
           } else {
             // Swiped right
-            this._goToSlide(this._currentIndex + (isRTL ? 1 : -1));
+            this.goToSlide(this._currentIndex + (isRTL ? 1 : -1));
           }
         }
       }, { passive: true });
     }
+  }
+
+  /**
+   * Product gallery registration
+   * @namespace Sallety.productGallery
+   */
+  Sallety.productGallery = {
+    /**
+     * Define the <product-gallery> element; existing galleries upgrade immediately
+     */
+    init: function () {
+      if (!customElements.get('product-gallery')) {
+        customElements.define('product-gallery', ProductGallery);
+      }
+    }
   };
 
   // ============================================================================
-  // INITIALIZATION
+  // PRICE RANGE FACET
   // ============================================================================
 
   /**
-   * Initialize all theme components
+   * Dual-handle price slider for price_range filters (collection and search facets).
+   * Handles are native range inputs in cents; the filter's number inputs hold
+   * the submitted amounts and stay empty while a handle sits at its bound.
+   * @namespace Sallety.priceRange
    */
-  Sallety.init = function () {
-    // Initialize components
+  Sallety.priceRange = {
+    /**
+     * Set up every price range inside a container
+     * @param {HTMLElement|Document} [container=document] - Where to look for [data-price-range]
+     */
+    init: function (container = document) {
+      container.querySelectorAll('[data-price-range]').forEach(range => {
+        if (range.dataset.priceRangeInit) return;
+        range.dataset.priceRangeInit = 'true';
+        this._setup(range);
+      });
+    },
+
+    /**
+     * Bind one price range
+     * @private
+     * @param {HTMLElement} range - The [data-price-range] element
+     */
+    _setup: function (range) {
+      const minSlider = range.querySelector('[data-price-range-min]');
+      const maxSlider = range.querySelector('[data-price-range-max]');
+      const minInput = range.querySelector('[data-price-min]');
+      const maxInput = range.querySelector('[data-price-max]');
+      if (!minSlider || !maxSlider || !minInput || !maxInput) return;
+
+      const bound = parseInt(maxSlider.max, 10);
+      const form = range.closest('form');
+
+      // Forms marked [data-price-range-submit] have no change listener, so submit
+      // them; elsewhere one change event is enough: listeners read the whole form
+      const apply = Sallety.utils.debounce(() => {
+        if (form && form.hasAttribute('data-price-range-submit')) {
+          form.requestSubmit();
+        } else {
+          minInput.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+      }, CONFIG.DEBOUNCE_DELAY);
+
+      const onSlide = (e) => {
+        let min = parseInt(minSlider.value, 10);
+        let max = parseInt(maxSlider.value, 10);
+
+        // Handles can meet but not cross
+        if (min > max) {
+          if (e.target === minSlider) {
+            min = max;
+            minSlider.value = min;
+          } else {
+            max = min;
+            maxSlider.value = max;
+          }
+        }
+
+        minInput.value = min > 0 ? this._toAmount(min) : '';
+        maxInput.value = max < bound ? this._toAmount(max) : '';
+        this._render(range);
+        apply();
+      };
+
+      minSlider.addEventListener('input', onSlide);
+      maxSlider.addEventListener('input', onSlide);
+
+      // Typing an amount moves the matching handle
+      const onType = () => {
+        const min = this._toCents(minInput.value);
+        const max = this._toCents(maxInput.value);
+        minSlider.value = min === null ? 0 : Math.min(min, bound);
+        maxSlider.value = max === null ? bound : Math.min(max, bound);
+        this._render(range);
+      };
+
+      minInput.addEventListener('input', onType);
+      maxInput.addEventListener('input', onType);
+
+      this._render(range);
+    },
+
+    /**
+     * Update the track fill, handle stacking and money labels
+     * @private
+     * @param {HTMLElement} range - The [data-price-range] element
+     */
+    _render: function (range) {
+      const minSlider = range.querySelector('[data-price-range-min]');
+      const maxSlider = range.querySelector('[data-price-range-max]');
+      const fill = range.querySelector('[data-price-range-fill]');
+      const output = range.querySelector('[data-price-range-output]');
+
+      const bound = parseInt(maxSlider.max, 10) || 1;
+      const min = parseInt(minSlider.value, 10);
+      const max = parseInt(maxSlider.value, 10);
+
+      // Logical insets follow the slider's direction, so RTL mirrors for free
+      if (fill) {
+        fill.style.insetInlineStart = (min / bound) * 100 + '%';
+        fill.style.insetInlineEnd = (100 - (max / bound) * 100) + '%';
+      }
+
+      // When the handles meet near the top, keep the min handle reachable
+      minSlider.classList.toggle('is-raised', min === max && min > bound / 2);
+
+      const minLabel = Sallety.utils.formatMoney(min);
+      const maxLabel = Sallety.utils.formatMoney(max);
+      minSlider.setAttribute('aria-valuetext', minLabel);
+      maxSlider.setAttribute('aria-valuetext', maxLabel);
+      if (output) output.textContent = minLabel + ' – ' + maxLabel;
+    },
+
+    /**
+     * Convert cents to the amount the filter URL expects
+     * @private
+     * @param {number} cents - Amount in cents
+     * @returns {string} Amount in the store currency, e.g. "25"
+     */
+    _toAmount: function (cents) {
+      return String(cents / 100);
+    },
+
+    /**
+     * Convert a typed amount to cents
+     * @private
+     * @param {string} value - Amount from a number input
+     * @returns {number|null} Cents, or null when empty or invalid
+     */
+    _toCents: function (value) {
+      const amount = parseFloat(value);
+      return isNaN(amount) ? null : Math.max(0, Math.round(amount * 100));
+    }
+  };
+
+  // ============================================================================
+  // INITIALIZATION
+  // ============================================================================
+
+  /**
+   * Initialize all theme components
+   */
+  Sallety.init = function () {
+    // Initialize components
+    Sallety.notify.init();
+    Sallety.cart.init();
     Sallety.accordion.init();
     Sallety.tabs.init();
     Sallety.backToTop.init();
@@ -1938,6 +3707,7 @@
     Sallety.productForm.init();
     Sallety.variantSelector.init();
     Sallety.productGallery.init();
+    Sallety.priceRange.init();
 
     // Setup drawer event listeners using event delegation
     document.addEventListener('click', (e) => {
@@ -2010,8 +3780,38 @@
    * load more, and infinite scroll.
    */
   Sallety.collection = {
-    /** @type {boolean} Whether an AJAX request is in progress */
-    _isLoading: false,
+    /** @type {AbortController|null} Controller for the request in flight */
+    _abortController: null,
+
+    /** @type {Map<string, string>} Recently rendered section HTML by URL */
+    _cache: new Map(),
+
+    /** @type {number} Maximum number of filter states kept in the cache */
+    _cacheLimit: 10,
+
+    /** @type {string} localStorage key prefix for the saved filter state, one per collection path */
+    _stateKeyPrefix: 'sallety-collection-state:',
+
+    /** @type {string} sessionStorage key prefix for loaded pages and scroll position */
+    _scrollKeyPrefix: 'sallety-collection-scroll:',
+
+    /** @type {Object|null} Range of pages currently in the grid: { first, last } */
+    _pages: null,
+
+    /** @type {boolean} Whether pages are being reloaded after Back */
+    _restoring: false,
+
+    /** @type {IntersectionObserver|null} Tracks the page at the middle of the viewport */
+    _pageObserver: null,
+
+    /** @type {IntersectionObserver|null} Parks cards far outside the viewport */
+    _recycleObserver: null,
+
+    /** @type {Map<HTMLElement, DocumentFragment>} Contents of recycled cards */
+    _recycled: new Map(),
+
+    /** @type {number} Cards in the grid before recycling kicks in */
+    _recycleFrom: 48,
 
     /** Initialize collection page features */
     init: function () {
@@ -2031,6 +3831,10 @@
       this._initActiveFilters();
       this._initPagination();
       this._initPopState();
+      this._initCopyLink();
+      this._initSavedState();
+      this._initVirtualScroll();
+      this._initScrollRestore();
     },
 
     // ========================================================================
@@ -2039,89 +3843,260 @@
 
     /**
      * Fetch a URL and swap collection content without page reload.
-     * Updates the product grid, toolbar, active filters, facets drawer,
-     * and pagination. Pushes state to browser history.
+     * Any request still in flight is aborted so a slow response can't
+     * overwrite a newer one, and recently viewed states are served from cache.
      * @param {string} url - The URL to fetch
      * @param {boolean} [pushState=true] - Whether to push to browser history
+     * @param {boolean} [remember=true] - Whether to save the state for this collection
      */
-    _fetchAndRender: function (url, pushState) {
+    _fetchAndRender: function (url, pushState, remember) {
       if (pushState === undefined) pushState = true;
-      if (this._isLoading) return;
-      this._isLoading = true;
+      if (remember === undefined) remember = true;
+
+      // Links rendered inside a section response can carry section_id; keep it out of history
+      var pageUrl = new URL(url, window.location.origin);
+      pageUrl.searchParams.delete('section_id');
+      url = pageUrl.toString();
+
+      if (this._abortController) this._abortController.abort();
+
+      var cacheKey = this._getCacheKey(url);
+      var cached = this._cache.get(cacheKey);
+      if (cached) {
+        // Refresh its position so the most recent states are evicted last
+        this._cache.delete(cacheKey);
+        this._cache.set(cacheKey, cached);
+        this._abortController = null;
+        this._setLoading(false);
+        this._renderSection(cached, url, pushState);
+        if (remember) this._saveState(url);
+        return;
+      }
 
-      var productsWrapper = this.section.querySelector('[data-collection-products]');
+      var controller = new AbortController();
+      this._abortController = controller;
+      this._setLoading(true);
+
+      this._fetchPage(url, controller.signal).then(function (html) {
+        this._cacheSection(cacheKey, html);
+        this._renderSection(html, url, pushState);
+        if (remember) this._saveState(url);
+      }.bind(this)).catch(function (err) {
+        if (err.name === 'AbortError') return;
+        console.error('[Sallety] AJAX filter/sort failed:', err);
+      }).finally(function () {
+        // A newer request owns the loading state now
+        if (this._abortController !== controller) return;
+        this._abortController = null;
+        this._setLoading(false);
+      }.bind(this));
+    },
+
+    /**
+     * Swap the collection content with a rendered section.
+     * Updates the product grid, toolbar, active filters, facets drawer,
+     * and pagination, then pushes state to browser history.
+     * @param {string} html - Section HTML from the Section Rendering API
+     * @param {string} url - The page URL the HTML belongs to
+     * @param {boolean} pushState - Whether to push to browser history
+     */
+    _renderSection: function (html, url, pushState) {
+      var parser = new DOMParser();
+      var doc = parser.parseFromString(html, 'text/html');
+
+      // Swap main collection content (toolbar + active filters + grid + pagination)
+      var newContent = doc.querySelector('[data-collection-content]');
+      var currentContent = document.querySelector('[data-collection-content]');
+      if (newContent && currentContent) {
+        currentContent.innerHTML = newContent.innerHTML;
+      }
+
+      // Swap filter drawer facets
+      var newFacetsContent = doc.querySelector('[data-filter-drawer-content]');
+      var currentFacetsContent = document.querySelector('[data-filter-drawer-content]');
+      if (newFacetsContent && currentFacetsContent) {
+        currentFacetsContent.innerHTML = newFacetsContent.innerHTML;
+      }
+
+      // Swap filter drawer footer (result count + clear link)
+      var newDrawerFooter = doc.querySelector('[data-filter-drawer-footer]');
+      var currentDrawerFooter = document.querySelector('[data-filter-drawer-footer]');
+      if (newDrawerFooter && currentDrawerFooter) {
+        currentDrawerFooter.innerHTML = newDrawerFooter.innerHTML;
+      }
+
+      // Update filter toggle badge count
+      var newFilterToggle = doc.querySelector('[data-filter-toggle]');
+      var currentFilterToggle = document.querySelector('[data-filter-toggle]');
+      if (newFilterToggle && currentFilterToggle) {
+        currentFilterToggle.innerHTML = newFilterToggle.innerHTML;
+      }
+
+      // Push state
+      if (pushState) {
+        window.history.pushState({ collectionUrl: url }, '', url);
+      }
+
+      // The shopper has moved on from the restore offer
+      var restoreBar = this.section.querySelector('[data-filter-restore]');
+      if (restoreBar) restoreBar.classList.add('hidden');
+
+      // Re-cache references and re-bind events
+      this.productGrid = this.section.querySelector('[data-product-grid]');
+      this._initSort();
+      this._initFacets();
+      this._initActiveFilters();
+      this._initLoadMore();
+      this._initInfiniteScroll();
+      this._initLayoutSwitch();
+      this._initPagination();
+      this._initCopyLink();
+      this._initVirtualScroll();
+
+      // Re-init product forms inside the new grid
+      Sallety.productForm.init();
+
+      // Scroll to top of collection section
+      this.section.scrollIntoView({ behavior: pushState ? 'smooth' : 'auto', block: 'start' });
+    },
+
+    /**
+     * Toggle the loading overlay on the product grid
+     * @param {boolean} isLoading - Whether a request is in progress
+     */
+    _setLoading: function (isLoading) {
+      var productsWrapper = this.section ? this.section.querySelector('[data-collection-products]') : null;
       if (productsWrapper) {
-        productsWrapper.classList.add('collection__loading');
+        productsWrapper.classList.toggle('collection__loading', isLoading);
       }
+    },
 
-      this._fetchPage(url).then(function (html) {
-        var parser = new DOMParser();
-        var doc = parser.parseFromString(html, 'text/html');
+    /**
+     * Normalize a URL into a cache key so equivalent filter states share an entry
+     * @param {string} url - Page URL
+     * @returns {string} Path plus sorted query string
+     */
+    _getCacheKey: function (url) {
+      var parsed = new URL(url, window.location.origin);
+      parsed.searchParams.delete('section_id');
+      parsed.searchParams.sort();
+      return parsed.pathname + parsed.search;
+    },
 
-        // Swap main collection content (toolbar + active filters + grid + pagination)
-        var newContent = doc.querySelector('[data-collection-content]');
-        var currentContent = document.querySelector('[data-collection-content]');
-        if (newContent && currentContent) {
-          currentContent.innerHTML = newContent.innerHTML;
-        }
+    /**
+     * Store section HTML, dropping the least recently used entry when full
+     * @param {string} key - Cache key from _getCacheKey
+     * @param {string} html - Section HTML
+     */
+    _cacheSection: function (key, html) {
+      this._cache.delete(key);
+      this._cache.set(key, html);
+      if (this._cache.size > this._cacheLimit) {
+        this._cache.delete(this._cache.keys().next().value);
+      }
+    },
 
-        // Swap filter drawer facets
-        var newFacetsContent = doc.querySelector('[data-filter-drawer-content]');
-        var currentFacetsContent = document.querySelector('[data-filter-drawer-content]');
-        if (newFacetsContent && currentFacetsContent) {
-          currentFacetsContent.innerHTML = newFacetsContent.innerHTML;
-        }
+    // ========================================================================
+    // SAVED STATE
+    // ========================================================================
 
-        // Swap filter drawer footer (result count + clear link)
-        var newDrawerFooter = doc.querySelector('[data-filter-drawer-footer]');
-        var currentDrawerFooter = document.querySelector('[data-filter-drawer-footer]');
-        if (newDrawerFooter && currentDrawerFooter) {
-          currentDrawerFooter.innerHTML = newDrawerFooter.innerHTML;
+    /**
+     * Keep only the params that describe what the shopper is looking at
+     * @param {string} url - Page URL
+     * @returns {URLSearchParams} Filter, sort and page params
+     */
+    _getStateParams: function (url) {
+      var params = new URL(url, window.location.origin).searchParams;
+      var state = new URLSearchParams();
+      params.forEach(function (value, key) {
+        if (key.indexOf('filter.') === 0 || key === 'sort_by' || key === 'page') {
+          state.append(key, value);
         }
+      });
+      return state;
+    },
 
-        // Update filter toggle badge count
-        var newFilterToggle = doc.querySelector('[data-filter-toggle]');
-        var currentFilterToggle = document.querySelector('[data-filter-toggle]');
-        if (newFilterToggle && currentFilterToggle) {
-          currentFilterToggle.innerHTML = newFilterToggle.innerHTML;
+    /**
+     * Remember the filter, sort and page state for the current collection
+     * @param {string} url - Page URL being shown
+     */
+    _saveState: function (url) {
+      var query = this._getStateParams(url).toString();
+      try {
+        var key = this._stateKeyPrefix + window.location.pathname;
+        if (query) {
+          localStorage.setItem(key, query);
+        } else {
+          localStorage.removeItem(key);
         }
+      } catch (e) { /* ignore */ }
+    },
 
-        // Push state
-        if (pushState) {
-          window.history.pushState({ collectionUrl: url }, '', url);
-        }
+    /**
+     * Saved state for the current collection
+     * @returns {string|null} Query string without the leading "?"
+     */
+    _getSavedState: function () {
+      try {
+        return localStorage.getItem(this._stateKeyPrefix + window.location.pathname);
+      } catch (e) {
+        return null;
+      }
+    },
 
-        // Re-cache references and re-bind events
-        Sallety.collection.productGrid = Sallety.collection.section.querySelector('[data-product-grid]');
-        Sallety.collection._initSort();
-        Sallety.collection._initFacets();
-        Sallety.collection._initActiveFilters();
-        Sallety.collection._initLoadMore();
-        Sallety.collection._initInfiniteScroll();
-        Sallety.collection._initLayoutSwitch();
-        Sallety.collection._initPagination();
+    /** Forget the saved state for the current collection */
+    _clearSavedState: function () {
+      try {
+        localStorage.removeItem(this._stateKeyPrefix + window.location.pathname);
+      } catch (e) { /* ignore */ }
+    },
 
-        // Re-init product forms inside the new grid
-        Sallety.productForm.init();
+    /**
+     * Save the state of a filtered landing URL, or offer to restore the saved
+     * state when the collection is opened without any
+     */
+    _initSavedState: function () {
+      if (this._getStateParams(window.location.href).toString()) {
+        this._saveState(window.location.href);
+        return;
+      }
 
-        // Scroll to top of collection section
-        Sallety.collection.section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      var saved = this._getSavedState();
+      var restoreBar = this.section.querySelector('[data-filter-restore]');
+      if (!saved || !restoreBar) return;
 
-      }.bind(this)).catch(function (err) {
-        console.error('[Sallety] AJAX filter/sort failed:', err);
-      }).finally(function () {
-        this._isLoading = false;
-        var productsWrapper = this.section ? this.section.querySelector('[data-collection-products]') : null;
-        if (productsWrapper) {
-          productsWrapper.classList.remove('collection__loading');
-        }
-      }.bind(this));
+      var self = this;
+      restoreBar.classList.remove('hidden');
+
+      restoreBar.querySelector('[data-filter-restore-apply]').addEventListener('click', function () {
+        restoreBar.classList.add('hidden');
+        self._fetchAndRender(window.location.pathname + '?' + saved);
+      });
+
+      restoreBar.querySelector('[data-filter-restore-dismiss]').addEventListener('click', function () {
+        restoreBar.classList.add('hidden');
+        self._clearSavedState();
+      });
+    },
+
+    /** Copy a link to the current results (filters, sort and page) */
+    _initCopyLink: function () {
+      var button = this.section.querySelector('[data-copy-results-link]');
+      if (!button || button.dataset.copyInit) return;
+      button.dataset.copyInit = 'true';
+
+      button.addEventListener('click', function () {
+        var url = new URL(window.location.href);
+        url.search = Sallety.collection._getStateParams(url.href).toString();
+
+        Sallety.utils.copyToClipboard(url.toString(), button.dataset.copiedMessage);
+      });
     },
 
-    /** Listen for browser back/forward to re-render via AJAX */
+    /** Listen for browser back/forward to re-render via AJAX; history moves leave the saved state alone */
     _initPopState: function () {
       window.addEventListener('popstate', function () {
-        Sallety.collection._fetchAndRender(window.location.href, false);
+        Sallety.collection._fetchAndRender(window.location.href, false, false);
       });
     },
 
@@ -2155,6 +4130,7 @@
           var value = btn.dataset.sortValue;
           var url = new URL(window.location.href);
           url.searchParams.set('sort_by', value);
+          url.searchParams.delete('page');
           dropdown.classList.add('hidden');
           toggle.setAttribute('aria-expanded', 'false');
           Sallety.collection._fetchAndRender(url.toString());
@@ -2216,6 +4192,12 @@
         link.dataset.ajaxInit = 'true';
         link.addEventListener('click', function (e) {
           e.preventDefault();
+          // Clearing everything also forgets the saved state for this collection
+          if (link.classList.contains('collection__clear-filters')) {
+            self._clearSavedState();
+            self._fetchAndRender(link.href, true, false);
+            return;
+          }
           self._fetchAndRender(link.href);
         });
       });
@@ -2227,7 +4209,8 @@
         drawerClear.addEventListener('click', function (e) {
           e.preventDefault();
           Sallety.drawer.close('filter-drawer');
-          self._fetchAndRender(drawerClear.href);
+          self._clearSavedState();
+          self._fetchAndRender(drawerClear.href, true, false);
         });
       }
     },
@@ -2258,6 +4241,9 @@
 
           var layout = btn.dataset.layout;
 
+          // Recycled cards hold the old height; bring them back before reflowing
+          Sallety.collection._restoreAllItems();
+
           if (layout === 'list') {
             grid.classList.add('collection__grid--list');
           } else {
@@ -2295,7 +4281,6 @@
       if (loadMoreBtn.dataset.loadInit) return;
       loadMoreBtn.dataset.loadInit = 'true';
 
-      var grid = this.productGrid;
       var self = this;
       var textEl = loadMoreBtn.querySelector('.collection__load-more-text');
       var spinnerEl = loadMoreBtn.querySelector('.collection__load-more-spinner');
@@ -2311,12 +4296,9 @@
         self._fetchPage(nextUrl).then(function (html) {
           var parser = new DOMParser();
           var doc = parser.parseFromString(html, 'text/html');
-          var newItems = doc.querySelectorAll('[data-product-item]');
           var newPaginationWrapper = doc.querySelector('[data-pagination-wrapper]');
 
-          newItems.forEach(function (item) {
-            grid.appendChild(item);
-          });
+          self._appendPage(doc);
 
           var paginationWrapper = self.section.querySelector('[data-pagination-wrapper]');
           if (paginationWrapper && newPaginationWrapper) {
@@ -2326,12 +4308,6 @@
             paginationWrapper.remove();
           }
 
-          var progressEl = self.section.querySelector('.collection__progress');
-          var newProgressEl = doc.querySelector('.collection__progress');
-          if (progressEl && newProgressEl) {
-            progressEl.innerHTML = newProgressEl.innerHTML;
-          }
-
           Sallety.productForm.init();
         }).catch(function (err) {
           console.error('[Sallety] Load more failed:', err);
@@ -2354,13 +4330,12 @@
       if (trigger.dataset.scrollInit) return;
       trigger.dataset.scrollInit = 'true';
 
-      var grid = this.productGrid;
       var self = this;
       var isLoading = false;
 
       var observer = new IntersectionObserver(function (entries) {
         entries.forEach(function (entry) {
-          if (!entry.isIntersecting || isLoading) return;
+          if (!entry.isIntersecting || isLoading || self._restoring) return;
           isLoading = true;
 
           var nextUrl = trigger.dataset.nextUrl;
@@ -2372,18 +4347,9 @@
           self._fetchPage(nextUrl).then(function (html) {
             var parser = new DOMParser();
             var doc = parser.parseFromString(html, 'text/html');
-            var newItems = doc.querySelectorAll('[data-product-item]');
             var newTrigger = doc.querySelector('[data-infinite-trigger]');
 
-            newItems.forEach(function (item) {
-              grid.appendChild(item);
-            });
-
-            var progressEl = self.section.querySelector('.collection__progress');
-            var newProgressEl = doc.querySelector('.collection__progress');
-            if (progressEl && newProgressEl) {
-              progressEl.innerHTML = newProgressEl.innerHTML;
-            }
+            self._appendPage(doc);
 
             if (newTrigger) {
               trigger.dataset.nextUrl = newTrigger.dataset.nextUrl;
@@ -2405,2936 +4371,5051 @@
     },
 
     // ========================================================================
-    // FACETS (AJAX)
+    // PAGE TRACKING & VIRTUALIZATION
     // ========================================================================
 
-    /** Facets accordion, search, and AJAX filter application */
-    _initFacets: function () {
-      var facetsForm = document.querySelector('[data-facets-form]');
-      if (!facetsForm) return;
+    /**
+     * Track loaded pages for load-more and infinite scroll: keep the URL's page
+     * param on the page in view and recycle cards far from the viewport
+     */
+    _initVirtualScroll: function () {
+      if (this._pageObserver) this._pageObserver.disconnect();
+      if (this._recycleObserver) this._recycleObserver.disconnect();
+      this._recycled.clear();
+      this._pages = null;
+
+      var productsWrapper = this.section.querySelector('[data-collection-products]');
+      if (!this.productGrid || !productsWrapper || productsWrapper.dataset.paginationType === 'default') return;
 
       var self = this;
+      var current = parseInt(new URL(window.location.href).searchParams.get('page'), 10) || 1;
+      this._pages = { first: current, last: current };
 
-      facetsForm.querySelectorAll('[data-accordion-item]').forEach(function (item) {
-        var header = item.querySelector('[data-accordion-header]');
-        var content = item.querySelector('[data-accordion-content]');
-        var isDefaultOpen = item.hasAttribute('data-default-open');
+      // A line across the middle of the viewport decides the current page
+      this._pageObserver = new IntersectionObserver(function (entries) {
+        entries.forEach(function (entry) {
+          if (entry.isIntersecting) self._setPageParam(parseInt(entry.target.dataset.page, 10));
+        });
+      }, { rootMargin: '-50% 0px -50% 0px' });
 
-        if (!header || !content) return;
+      this._recycleObserver = new IntersectionObserver(function (entries) {
+        entries.forEach(function (entry) {
+          if (entry.isIntersecting) {
+            self._restoreItem(entry.target);
+          } else {
+            self._recycleItem(entry.target, entry.boundingClientRect.height);
+          }
+        });
+      }, { rootMargin: '300% 0px' });
+
+      this._observeItems(this.productGrid.querySelectorAll('[data-product-item]'));
+
+      if (!this._resizeBound) {
+        this._resizeBound = true;
+        // Only width changes reflow the grid; mobile browsers also fire resize
+        // when the URL bar shows or hides
+        var lastWidth = window.innerWidth;
+        window.addEventListener('resize', Sallety.utils.debounce(function () {
+          if (window.innerWidth === lastWidth) return;
+          lastWidth = window.innerWidth;
+          Sallety.collection._restoreAllItems();
+        }, 200));
+      }
+    },
 
-        if (isDefaultOpen) {
-          item.classList.add('is-open');
-          content.classList.remove('hidden');
-          header.setAttribute('aria-expanded', 'true');
-        }
+    /**
+     * Start tracking newly added cards
+     * @param {NodeList|Array<HTMLElement>} items - Product items
+     */
+    _observeItems: function (items) {
+      if (!this._pageObserver) return;
 
-        if (header.dataset.facetAccInit) return;
-        header.dataset.facetAccInit = 'true';
+      var self = this;
+      items.forEach(function (item) {
+        self._pageObserver.observe(item);
+      });
 
-        header.addEventListener('click', function () {
-          var isOpen = item.classList.contains('is-open');
-          item.classList.toggle('is-open');
-          content.classList.toggle('hidden');
-          header.setAttribute('aria-expanded', !isOpen);
-        });
+      // Cards only get recycled once the grid is big enough to need it; the
+      // first time it is, observe everything again so cards already far away
+      // report in
+      var count = this.productGrid.childElementCount;
+      if (count < this._recycleFrom) return;
+      var targets = items;
+      if (count - items.length < this._recycleFrom) {
+        this._recycleObserver.disconnect();
+        targets = this.productGrid.querySelectorAll('[data-product-item]');
+      }
+      targets.forEach(function (item) {
+        self._recycleObserver.observe(item);
       });
+    },
 
-      facetsForm.querySelectorAll('[data-facet-search]').forEach(function (searchInput) {
-        if (searchInput.dataset.facetSearchInit) return;
-        searchInput.dataset.facetSearchInit = 'true';
+    /**
+     * Swap a far-off card for an empty box of the same height
+     * @param {HTMLElement} item - Product item
+     * @param {number} height - Rendered height of the card
+     */
+    _recycleItem: function (item, height) {
+      if (this._recycled.has(item) || !height) return;
 
-        var list = searchInput.closest('.facets__content').querySelector('[data-facet-list]');
-        if (!list) return;
+      var fragment = document.createDocumentFragment();
+      while (item.firstChild) fragment.appendChild(item.firstChild);
+      item.style.height = height + 'px';
+      this._recycled.set(item, fragment);
+    },
 
-        searchInput.addEventListener('input', Sallety.utils.debounce(function () {
-          var query = searchInput.value.toLowerCase().trim();
-          list.querySelectorAll('[data-facet-item]').forEach(function (item) {
-            var label = item.dataset.label || '';
-            item.style.display = label.includes(query) ? '' : 'none';
-          });
-        }, 200));
+    /**
+     * Put a recycled card's content back
+     * @param {HTMLElement} item - Product item
+     */
+    _restoreItem: function (item) {
+      var fragment = this._recycled.get(item);
+      if (!fragment) return;
+
+      item.appendChild(fragment);
+      item.style.height = '';
+      this._recycled.delete(item);
+    },
+
+    /**
+     * Put every recycled card back, e.g. before the grid reflows. The observer
+     * only reports changes, so cards are observed afresh afterwards to let the
+     * ones still far from the viewport be recycled again at their new height.
+     */
+    _restoreAllItems: function () {
+      var self = this;
+      Array.from(this._recycled.keys()).forEach(function (item) {
+        self._restoreItem(item);
       });
 
-      facetsForm.querySelectorAll('[data-facet-input]').forEach(function (input) {
-        if (input.dataset.facetInputInit) return;
-        input.dataset.facetInputInit = 'true';
+      if (!this._pages || this.productGrid.childElementCount < this._recycleFrom) return;
 
-        input.addEventListener('change', function () {
-          self._applyFacets(facetsForm);
-        });
+      this._recycleObserver.disconnect();
+      this.productGrid.querySelectorAll('[data-product-item]').forEach(function (item) {
+        self._recycleObserver.observe(item);
       });
     },
 
-    /** Build URL from facets form and render via AJAX */
-    _applyFacets: function (form) {
-      var formData = new FormData(form);
-      var url = new URL(window.location.href);
-
-      url.search = '';
+    /**
+     * Add a fetched page's cards to the end of the grid
+     * @param {Document} doc - Parsed section HTML
+     */
+    _appendPage: function (doc) {
+      var grid = this.productGrid;
+      var items = Array.from(doc.querySelectorAll('[data-product-item]'));
 
-      var sortBy = new URL(window.location.href).searchParams.get('sort_by');
-      if (sortBy) url.searchParams.set('sort_by', sortBy);
+      items.forEach(function (item) {
+        grid.appendChild(item);
+      });
 
-      for (var pair of formData) {
-        if (pair[1]) {
-          url.searchParams.append(pair[0], pair[1]);
-        }
+      if (this._pages && items.length) {
+        this._pages.last = parseInt(items[0].dataset.page, 10) || this._pages.last + 1;
       }
+      this._observeItems(items);
 
-      this._fetchAndRender(url.toString());
+      var progressEl = this.section.querySelector('.collection__progress');
+      var newProgressEl = doc.querySelector('.collection__progress');
+      if (progressEl && newProgressEl) {
+        progressEl.innerHTML = newProgressEl.innerHTML;
+      }
     },
 
-    // ========================================================================
-    // NUMBERED PAGINATION (AJAX)
-    // ========================================================================
-
-    /** Intercept default numbered pagination links and use AJAX */
-    _initPagination: function () {
-      var self = this;
-      var paginationWrapper = this.section.querySelector('[data-pagination-wrapper]');
-      if (!paginationWrapper) return;
-
-      paginationWrapper.querySelectorAll('[data-pagination-link]').forEach(function (link) {
-        if (link.dataset.paginationInit) return;
-        link.dataset.paginationInit = 'true';
-
-        link.addEventListener('click', function (e) {
-          e.preventDefault();
-          self._fetchAndRender(link.href);
-        });
-      });
-    },
-
-    // ========================================================================
-    // FETCH HELPER
-    // ========================================================================
+    /**
+     * Add a fetched page's cards to the start of the grid
+     * @param {Document} doc - Parsed section HTML
+     */
+    _prependPage: function (doc) {
+      var grid = this.productGrid;
+      var items = Array.from(doc.querySelectorAll('[data-product-item]'));
+      var firstItem = grid.firstElementChild;
 
-    /** Fetch a page via AJAX */
-    _fetchPage: function (url) {
-      return fetch(url, {
-        headers: { 'X-Requested-With': 'XMLHttpRequest' }
-      }).then(function (response) {
-        if (!response.ok) throw new Error('HTTP ' + response.status);
-        return response.text();
+      items.forEach(function (item) {
+        grid.insertBefore(item, firstItem);
       });
-    }
-  };
-
-  // ============================================================================
-  // SEARCH MODAL
-  // ============================================================================
 
-  /**
-   * Search Modal Module
-   * Handles the search modal with predictive search functionality
-   */
-  Sallety.searchModal = {
-    modal: null,
-    overlay: null,
-    input: null,
-    clearBtn: null,
-    closeBtn: null,
-    resultsContainer: null,
-    loadingEl: null,
-    emptyEl: null,
-    searchTimeout: null,
+      if (this._pages && items.length) {
+        this._pages.first = parseInt(items[0].dataset.page, 10) || this._pages.first - 1;
+      }
+      this._observeItems(items);
+    },
 
     /**
-     * Initialize the search modal
+     * Reflect the page in view in the URL without adding history entries
+     * @param {number} page - Page number
      */
-    init: function () {
-      this.modal = document.getElementById('search-modal');
-      this.overlay = document.getElementById('search-modal-overlay');
+    _setPageParam: function (page) {
+      if (!page || this._restoring) return;
 
-      if (!this.modal) return;
+      var url = new URL(window.location.href);
+      var current = parseInt(url.searchParams.get('page'), 10) || 1;
+      if (current === page) return;
 
-      this.input = this.modal.querySelector('[data-predictive-search-input]');
-      this.clearBtn = this.modal.querySelector('[data-search-clear]');
-      this.closeBtn = this.modal.querySelector('[data-search-close]');
-      this.resultsContainer = this.modal.querySelector('[data-predictive-search-results]');
-      this.loadingEl = this.modal.querySelector('.search-modal__loading');
-      this.emptyEl = this.modal.querySelector('.search-modal__empty');
+      if (page > 1) {
+        url.searchParams.set('page', page);
+      } else {
+        url.searchParams.delete('page');
+      }
+      window.history.replaceState(window.history.state, '', url.toString());
+    },
 
-      this._bindEvents();
+    /**
+     * sessionStorage key for the loaded pages of this collection and filter state
+     * @returns {string} Storage key
+     */
+    _getScrollKey: function () {
+      var params = this._getStateParams(window.location.href);
+      params.delete('page');
+      params.sort();
+      return this._scrollKeyPrefix + window.location.pathname + '?' + params.toString();
     },
 
     /**
-     * Bind event listeners
+     * Remember the loaded pages and scroll position when leaving, and bring
+     * them back when the shopper returns with Back/Forward
      */
-    _bindEvents: function () {
+    _initScrollRestore: function () {
       var self = this;
 
-      // Open search modal triggers
-      document.querySelectorAll('[data-search-open], [data-modal-open="search-modal"]').forEach(function (trigger) {
-        trigger.addEventListener('click', function (e) {
-          e.preventDefault();
-          self.open();
-        });
+      window.addEventListener('pagehide', function () {
+        if (!self._pages) return;
+        try {
+          sessionStorage.setItem(self._getScrollKey(), JSON.stringify({
+            first: self._pages.first,
+            last: self._pages.last,
+            scrollY: window.scrollY
+          }));
+        } catch (e) { /* ignore */ }
       });
 
-      // Close button
-      if (this.closeBtn) {
-        this.closeBtn.addEventListener('click', function () {
-          self.close();
-        });
-      }
-
-      // Overlay click
-      if (this.overlay) {
-        this.overlay.addEventListener('click', function () {
-          self.close();
-        });
-      }
+      if (!this._pages) return;
 
-      // Clear button
-      if (this.clearBtn) {
-        this.clearBtn.addEventListener('click', function () {
-          self._clearInput();
-        });
-      }
+      var navigation = performance.getEntriesByType ? performance.getEntriesByType('navigation')[0] : null;
+      if (!navigation || navigation.type !== 'back_forward') return;
 
-      // Input events
-      if (this.input) {
-        this.input.addEventListener('input', Sallety.utils.debounce(function () {
-          self._handleInput();
-        }, 300));
+      var saved = null;
+      try {
+        saved = JSON.parse(sessionStorage.getItem(this._getScrollKey()));
+      } catch (e) { /* ignore */ }
+      if (!saved || saved.first > this._pages.first || saved.last < this._pages.last) return;
 
-        this.input.addEventListener('keydown', function (e) {
-          if (e.key === 'Escape') {
-            self.close();
-          }
-        });
+      if ('scrollRestoration' in window.history) {
+        window.history.scrollRestoration = 'manual';
       }
-
-      // Keyboard shortcut (Ctrl/Cmd + K)
-      document.addEventListener('keydown', function (e) {
-        if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
-          e.preventDefault();
-          self.toggle();
-        }
-      });
+      this._restorePages(saved);
     },
 
     /**
-     * Open the search modal
+     * Reload the pages around the landing page, then return to the saved position
+     * @param {Object} saved - { first, last, scrollY } from sessionStorage
      */
-    open: function () {
-      if (!this.modal) return;
-
-      this.modal.classList.add('is-open');
-      if (this.overlay) this.overlay.classList.add('is-open');
-      document.body.style.overflow = 'hidden';
-
-      // Focus input after animation
+    _restorePages: function (saved) {
       var self = this;
-      setTimeout(function () {
-        if (self.input) self.input.focus();
-      }, 100);
-    },
+      var landing = this._pages.first;
+      var before = [];
+      var after = [];
+      var page;
+      for (page = landing - 1; page >= saved.first; page--) before.push(page);
+      for (page = landing + 1; page <= saved.last; page++) after.push(page);
+
+      if (!before.length && !after.length) {
+        window.scrollTo(0, saved.scrollY);
+        return;
+      }
 
-    /**
-     * Close the search modal
-     */
-    close: function () {
-      if (!this.modal) return;
+      this._restoring = true;
 
-      this.modal.classList.remove('is-open');
-      if (this.overlay) this.overlay.classList.remove('is-open');
-      document.body.style.overflow = '';
+      this._fetchPagesInOrder(after).then(function (afterDocs) {
+        return self._fetchPagesInOrder(before).then(function (beforeDocs) {
+          // Earlier pages go on top nearest-first, later pages below in order
+          beforeDocs.forEach(function (doc) {
+            self._prependPage(doc);
+          });
+          afterDocs.forEach(function (doc) {
+            self._appendPage(doc);
+          });
 
-      // Clear search on close
-      this._clearInput();
-    },
+          if (afterDocs.length) self._syncPagination(afterDocs[afterDocs.length - 1]);
+          self._syncLoadPrevious();
+          Sallety.productForm.init();
 
-    /**
-     * Toggle the search modal
-     */
-    toggle: function () {
-      if (this.modal && this.modal.classList.contains('is-open')) {
-        this.close();
-      } else {
-        this.open();
-      }
+          // The saved position is only right with every page above it back
+          if (beforeDocs.length === before.length) window.scrollTo(0, saved.scrollY);
+        });
+      }).catch(function (err) {
+        console.error('[Sallety] Restoring loaded pages failed:', err);
+      }).finally(function () {
+        self._restoring = false;
+      });
     },
 
     /**
-     * Handle input changes
+     * Fetch pages one at a time, so going back doesn't fire a render per page
+     * at once. A failed page stops the run; the pages fetched before it are kept.
+     * @param {Array<number>} pages - Page numbers, nearest to the landing page first
+     * @returns {Promise<Array<Document>>} Parsed section HTML of the pages fetched
      */
-    _handleInput: function () {
-      var query = this.input ? this.input.value.trim() : '';
+    _fetchPagesInOrder: function (pages) {
+      var self = this;
+      var docs = [];
 
-      // Toggle clear button visibility
-      if (this.clearBtn) {
-        if (query.length > 0) {
-          this.clearBtn.classList.add('is-visible');
-        } else {
-          this.clearBtn.classList.remove('is-visible');
-        }
-      }
+      return pages.reduce(function (chain, page) {
+        return chain.then(function (ok) {
+          if (!ok) return false;
 
-      // Perform search
-      if (query.length >= 2) {
-        this._performSearch(query);
-      } else {
-        this._showEmpty();
-      }
+          var url = new URL(window.location.href);
+          url.searchParams.set('page', page);
+          return self._fetchPage(url.toString()).then(function (html) {
+            docs.push(new DOMParser().parseFromString(html, 'text/html'));
+            return true;
+          }).catch(function (err) {
+            console.error('[Sallety] Restoring page ' + page + ' failed:', err);
+            return false;
+          });
+        });
+      }, Promise.resolve(true)).then(function () {
+        return docs;
+      });
     },
 
     /**
-     * Clear the search input
+     * Take load-more / infinite scroll state from the last loaded page
+     * @param {Document} doc - Parsed section HTML of the last page
      */
-    _clearInput: function () {
-      if (this.input) {
-        this.input.value = '';
-        this.input.focus();
-      }
-      if (this.clearBtn) {
-        this.clearBtn.classList.remove('is-visible');
+    _syncPagination: function (doc) {
+      var paginationWrapper = this.section.querySelector('[data-pagination-wrapper]');
+      var newPaginationWrapper = doc.querySelector('[data-pagination-wrapper]');
+      if (!paginationWrapper) return;
+
+      if (newPaginationWrapper) {
+        paginationWrapper.innerHTML = newPaginationWrapper.innerHTML;
+        this._initLoadMore();
+        this._initInfiniteScroll();
+      } else {
+        paginationWrapper.remove();
       }
-      this._showEmpty();
     },
 
-    /**
-     * Show loading state
-     */
-    _showLoading: function () {
-      if (this.loadingEl) this.loadingEl.classList.add('is-visible');
-      if (this.emptyEl) this.emptyEl.classList.add('is-hidden');
-    },
+    /** Point "load previous" at the page before the first loaded one */
+    _syncLoadPrevious: function () {
+      var link = this.section.querySelector('[data-load-prev]');
+      if (!link || !this._pages) return;
 
-    /**
-     * Show empty state
-     */
-    _showEmpty: function () {
-      if (this.loadingEl) this.loadingEl.classList.remove('is-visible');
-      if (this.emptyEl) this.emptyEl.classList.remove('is-hidden');
+      if (this._pages.first <= 1) {
+        var wrapper = link.closest('.collection__load-prev');
+        (wrapper || link).remove();
+        return;
+      }
 
-      // Clear results
-      var existingResults = this.resultsContainer ? this.resultsContainer.querySelector('.predictive-search__results') : null;
-      if (existingResults) existingResults.remove();
+      var url = new URL(link.href, window.location.origin);
+      url.searchParams.set('page', this._pages.first - 1);
+      link.href = url.toString();
     },
 
-    /**
-     * Perform predictive search
-     */
-    _performSearch: function (query) {
-      var self = this;
-      this._showLoading();
-
-      var searchUrl = window.Shopify.routes.root + 'search/suggest.json?q=' + encodeURIComponent(query) + '&resources[type]=product,article,page&resources[limit]=10&resources[options][unavailable_products]=last';
+    // ========================================================================
+    // FACETS (AJAX)
+    // ========================================================================
 
-      fetch(searchUrl)
-        .then(function (response) {
-          return response.json();
-        })
-        .then(function (data) {
-          self._renderResults(data, query);
-        })
-        .catch(function (error) {
-          console.error('[Sallety] Search error:', error);
-          self._showEmpty();
-        });
-    },
+    /** Facets accordion, search, and AJAX filter application */
+    _initFacets: function () {
+      var facetsForm = document.querySelector('[data-facets-form]');
+      if (!facetsForm) return;
 
-    /**
-     * Render search results
-     */
-    _renderResults: function (data, query) {
       var self = this;
 
-      if (this.loadingEl) this.loadingEl.classList.remove('is-visible');
-      if (this.emptyEl) this.emptyEl.classList.add('is-hidden');
+      facetsForm.querySelectorAll('[data-accordion-item]').forEach(function (item) {
+        var header = item.querySelector('[data-accordion-header]');
+        var content = item.querySelector('[data-accordion-content]');
+        var isDefaultOpen = item.hasAttribute('data-default-open');
 
-      var resources = data.resources || {};
-      var results = resources.results || {};
-      var products = results.products || [];
-      var articles = results.articles || [];
-      var pages = results.pages || [];
+        if (!header || !content) return;
 
-      var hasResults = products.length > 0 || articles.length > 0 || pages.length > 0;
+        if (isDefaultOpen) {
+          item.classList.add('is-open');
+          content.classList.remove('hidden');
+          header.setAttribute('aria-expanded', 'true');
+        }
 
-      // Remove existing results
-      var existingResults = this.resultsContainer ? this.resultsContainer.querySelector('.predictive-search__results') : null;
-      if (existingResults) existingResults.remove();
+        if (header.dataset.facetAccInit) return;
+        header.dataset.facetAccInit = 'true';
 
-      if (!hasResults) {
-        this._renderNoResults(query);
-        return;
-      }
-
-      var html = '<div class="predictive-search__results" dir="rtl">';
-      html += '<div class="predictive-search__results-groups">';
-
-      // Products
-      if (products.length > 0) {
-        html += '<div class="predictive-search__result-group">';
-        html += '<h4 class="predictive-search__result-group-title">' + (window.theme?.strings?.products || 'المنتجات') + '</h4>';
-        products.forEach(function (product) {
-          var imageUrl = product.image ? product.image.replace(/(\.[^.]+)$/, '_200x$1') : '';
-          html += '<a href="' + product.url + '" class="predictive-search__result-item">';
-          if (imageUrl) {
-            html += '<img src="' + imageUrl + '" alt="' + self._escapeHtml(product.title) + '" class="predictive-search__result-item-image" loading="lazy">';
-          } else {
-            html += '<div class="predictive-search__result-item-image flex items-center justify-center text-secondary"><svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5"><rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect><circle cx="8.5" cy="8.5" r="1.5"></circle><polyline points="21 15 16 10 5 21"></polyline></svg></div>';
-          }
-          html += '<div class="predictive-search__result-item-content">';
-          html += '<p class="predictive-search__result-item-title">' + self._escapeHtml(product.title) + '</p>';
-          html += '<p class="predictive-search__result-item-price">' + product.price + '</p>';
-          if (product.vendor) {
-            html += '<p class="predictive-search__result-item-vendor">' + self._escapeHtml(product.vendor) + '</p>';
-          }
-          html += '</div>';
-          html += '</a>';
+        header.addEventListener('click', function () {
+          var isOpen = item.classList.contains('is-open');
+          item.classList.toggle('is-open');
+          content.classList.toggle('hidden');
+          header.setAttribute('aria-expanded', !isOpen);
         });
-        html += '</div>';
-      }
+      });
 
-      // Articles
-      if (articles.length > 0) {
-        html += '<div class="predictive-search__result-group">';
-        html += '<h4 class="predictive-search__result-group-title">' + (window.theme?.strings?.articles || 'المقالات') + '</h4>';
-        articles.forEach(function (article) {
-          var imageUrl = article.image ? article.image.replace(/(\.[^.]+)$/, '_200x$1') : '';
-          html += '<a href="' + article.url + '" class="predictive-search__result-item">';
-          if (imageUrl) {
-            html += '<img src="' + imageUrl + '" alt="' + self._escapeHtml(article.title) + '" class="predictive-search__result-item-image" loading="lazy">';
-          }
-          html += '<div class="predictive-search__result-item-content">';
-          html += '<p class="predictive-search__result-item-title">' + self._escapeHtml(article.title) + '</p>';
-          html += '</div>';
-          html += '</a>';
-        });
-        html += '</div>';
-      }
+      facetsForm.querySelectorAll('[data-facet-search]').forEach(function (searchInput) {
+        if (searchInput.dataset.facetSearchInit) return;
+        searchInput.dataset.facetSearchInit = 'true';
 
-      // Pages
-      if (pages.length > 0) {
-        html += '<div class="predictive-search__result-group">';
-        html += '<h4 class="predictive-search__result-group-title">' + (window.theme?.strings?.pages || 'الصفحات') + '</h4>';
-        pages.forEach(function (page) {
-          html += '<a href="' + page.url + '" class="predictive-search__result-item">';
-          html += '<div class="predictive-search__result-item-content">';
-          html += '<p class="predictive-search__result-item-title">' + self._escapeHtml(page.title) + '</p>';
-          html += '</div>';
-          html += '</a>';
-        });
-        html += '</div>';
-      }
+        var list = searchInput.closest('.facets__content').querySelector('[data-facet-list]');
+        if (!list) return;
 
-      html += '</div>';
+        searchInput.addEventListener('input', Sallety.utils.debounce(function () {
+          var query = searchInput.value.toLowerCase().trim();
+          list.querySelectorAll('[data-facet-item]').forEach(function (item) {
+            var label = item.dataset.label || '';
+            item.style.display = label.includes(query) ? '' : 'none';
+          });
+        }, 200));
+      });
 
-      // View all link (RTL: arrow should point left)
-      html += '<a href="' + window.Shopify.routes.root + 'search?q=' + encodeURIComponent(query) + '" class="predictive-search__view-all">';
-      html += '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="rtl-flip"><line x1="19" y1="12" x2="5" y2="12"></line><polyline points="12 19 5 12 12 5"></polyline></svg>';
-      html += '<span>' + (window.theme?.strings?.view_all || 'عرض جميع النتائج') + '</span>';
-      html += '</a>';
+      // Price sliders swapped in by AJAX need binding again
+      Sallety.priceRange.init(facetsForm);
+      this._initSwatches(facetsForm);
 
-      html += '</div>';
+      facetsForm.querySelectorAll('[data-facet-input]').forEach(function (input) {
+        if (input.dataset.facetInputInit) return;
+        input.dataset.facetInputInit = 'true';
 
-      if (this.resultsContainer) {
-        this.resultsContainer.insertAdjacentHTML('beforeend', html);
-      }
+        input.addEventListener('change', function () {
+          self._applyFacets(facetsForm);
+        });
+      });
     },
 
     /**
-     * Render no results state
+     * Paint swatches that have no Shopify swatch metafield from their value name,
+     * using the same color names the quick view understands
+     * @param {HTMLElement} form - The facets form
      */
-    _renderNoResults: function (query) {
-      var html = '<div class="predictive-search__results" dir="rtl">';
-      html += '<div class="predictive-search__no-results">';
-      html += '<svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" class="predictive-search__no-results-icon"><circle cx="11" cy="11" r="8"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line><line x1="8" y1="8" x2="14" y2="14"></line><line x1="14" y1="8" x2="8" y2="14"></line></svg>';
-      html += '<p class="text-foreground font-medium mb-1">' + (window.theme?.strings?.no_results || 'لا توجد نتائج') + '</p>';
-      html += '<p class="text-sm text-secondary">' + (window.theme?.strings?.no_results_for || 'لم نجد نتائج لـ') + ' "' + this._escapeHtml(query) + '"</p>';
-      html += '</div>';
-      html += '</div>';
+    _initSwatches: function (form) {
+      var multicolor = ['multicolor', 'multi', 'متعدد', 'متعددالألوان'];
 
-      if (this.resultsContainer) {
-        var existingResults = this.resultsContainer.querySelector('.predictive-search__results');
-        if (existingResults) existingResults.remove();
-        this.resultsContainer.insertAdjacentHTML('beforeend', html);
+      form.querySelectorAll('[data-facet-swatch-color]').forEach(function (swatch) {
+        if (swatch.dataset.swatchInit) return;
+        swatch.dataset.swatchInit = 'true';
+
+        var name = swatch.dataset.facetSwatchColor;
+        if (multicolor.includes(name.toLowerCase().replace(/\s/g, ''))) {
+          swatch.classList.add('is-multicolor');
+          return;
+        }
+
+        var color = Sallety.quickView._getColorValue(name);
+        if (window.CSS && CSS.supports('color', color)) {
+          swatch.style.backgroundColor = color;
+          swatch.classList.toggle('is-light', Sallety.quickView._isLightColor(color));
+        } else {
+          // Unknown names (often patterns) fall back to their initial
+          swatch.textContent = name.trim().charAt(0).toUpperCase();
+        }
+      });
+    },
+
+    /** Build URL from facets form and render via AJAX */
+    _applyFacets: function (form) {
+      var formData = new FormData(form);
+      var url = new URL(window.location.href);
+
+      url.search = '';
+
+      var sortBy = new URL(window.location.href).searchParams.get('sort_by');
+      if (sortBy) url.searchParams.set('sort_by', sortBy);
+
+      for (var pair of formData) {
+        if (pair[1]) {
+          url.searchParams.append(pair[0], pair[1]);
+        }
       }
+
+      this._fetchAndRender(url.toString());
+    },
+
+    // ========================================================================
+    // NUMBERED PAGINATION (AJAX)
+    // ========================================================================
+
+    /** Intercept default numbered pagination links and use AJAX */
+    _initPagination: function () {
+      var self = this;
+      var paginationWrapper = this.section.querySelector('[data-pagination-wrapper]');
+      if (!paginationWrapper) return;
+
+      paginationWrapper.querySelectorAll('[data-pagination-link]').forEach(function (link) {
+        if (link.dataset.paginationInit) return;
+        link.dataset.paginationInit = 'true';
+
+        link.addEventListener('click', function (e) {
+          e.preventDefault();
+          self._fetchAndRender(link.href);
+        });
+      });
     },
 
+    // ========================================================================
+    // FETCH HELPER
+    // ========================================================================
+
     /**
-     * Escape HTML entities
+     * Fetch only the collection section for a page URL via the Section Rendering API
+     * @param {string} url - Page URL
+     * @param {AbortSignal} [signal] - Signal to cancel the request
+     * @returns {Promise<string>} Section HTML
      */
-    _escapeHtml: function (text) {
-      var div = document.createElement('div');
-      div.textContent = text;
-      return div.innerHTML;
+    _fetchPage: function (url, signal) {
+      var sectionUrl = new URL(url, window.location.origin);
+      sectionUrl.searchParams.set('section_id', this.sectionId);
+
+      return fetch(sectionUrl.toString(), {
+        headers: { 'X-Requested-With': 'XMLHttpRequest' },
+        signal: signal
+      }).then(function (response) {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.text();
+      });
     }
   };
 
   // ============================================================================
-  // CART DRAWER
+  // SEARCH QUERY
   // ============================================================================
 
   /**
-   * Cart Drawer Module
-   * Handles cart drawer functionality including item removal, quantity updates,
-   * and AJAX re-rendering
+   * Search Query Module
+   * Normalizes Arabic search queries, highlights matches regardless of
+   * diacritics and letter variants, and suggests alternative spellings when a
+   * search finds nothing
    */
-  Sallety.cartDrawer = {
-    drawer: null,
-    content: null,
-    isUpdating: false,
+  Sallety.searchQuery = {
+    /** @type {RegExp} Arabic diacritics (harakat, superscript alef and Quranic marks) */
+    DIACRITICS: /[\u064B-\u065F\u0670\u06D6-\u06ED]/g,
+
+    /** @type {RegExp} Tatweel (kashida) used to stretch words */
+    TATWEEL: /\u0640/g,
+
+    /** @type {Array<Array<string>>} Latin letter groups typed for Arabic words (Arabizi), longest first */
+    TRANSLITERATION: [
+      ['sh', 'ش'], ['kh', 'خ'], ['th', 'ث'], ['gh', 'غ'], ['dh', 'ذ'],
+      ['aa', 'ا'], ['ee', 'ي'], ['ii', 'ي'], ['oo', 'و'], ['ou', 'و'], ['uu', 'و'],
+      ['2', 'ء'], ['3', 'ع'], ['5', 'خ'], ['7', 'ح'], ['9', 'ق'],
+      ['a', 'ا'], ['b', 'ب'], ['c', 'ك'], ['d', 'د'], ['e', 'ي'], ['f', 'ف'],
+      ['g', 'ج'], ['h', 'ه'], ['i', 'ي'], ['j', 'ج'], ['k', 'ك'], ['l', 'ل'],
+      ['m', 'م'], ['n', 'ن'], ['o', 'و'], ['p', 'ب'], ['q', 'ق'], ['r', 'ر'],
+      ['s', 'س'], ['t', 'ت'], ['u', 'و'], ['v', 'ف'], ['w', 'و'], ['x', 'كس'],
+      ['y', 'ي'], ['z', 'ز']
+    ],
 
     /**
-     * Initialize the cart drawer
+     * Initialize search forms, result highlighting and suggestions on the page
      */
     init: function () {
-      this.drawer = document.getElementById('cart-drawer');
-      if (!this.drawer) return;
+      var self = this;
 
-      this.content = this.drawer.querySelector('[data-cart-drawer-content]');
-      this._bindEvents();
+      // Submit the cleaned query so stray diacritics and Arabic digits still match
+      document.querySelectorAll('form[role="search"]').forEach(function (form) {
+        form.addEventListener('submit', function () {
+          var input = form.querySelector('input[name="q"]');
+          if (input) input.value = self.clean(input.value);
+        });
+      });
+
+      document.querySelectorAll('[data-search-highlight]').forEach(function (container) {
+        self.highlightIn(container, container.dataset.searchHighlight);
+      });
+
+      document.querySelectorAll('[data-search-did-you-mean]').forEach(function (el) {
+        self._initDidYouMean(el);
+      });
     },
 
     /**
-     * Bind event listeners
+     * Convert Arabic-Indic digits to Latin ones
+     * @param {string} text - Text to convert
+     * @returns {string} Text with Latin digits
      */
-    _bindEvents: function () {
-      var self = this;
+    toLatinDigits: function (text) {
+      return String(text || '')
+        .replace(/[\u0660-\u0669]/g, function (digit) { return digit.charCodeAt(0) - 0x0660; })
+        .replace(/[\u06F0-\u06F9]/g, function (digit) { return digit.charCodeAt(0) - 0x06F0; });
+    },
 
-      // Use event delegation for all cart drawer interactions
-      document.addEventListener('click', function (e) {
-        // Remove item
-        var removeBtn = e.target.closest('[data-cart-remove]');
-        if (removeBtn) {
-          e.preventDefault();
-          var line = parseInt(removeBtn.dataset.cartRemove, 10);
-          if (line) {
-            self.removeItem(line);
-          }
-          return;
-        }
+    /**
+     * Clean a query before it is sent: Latin digits, no tatweel or diacritics,
+     * single spaces. Letters are left as typed.
+     * @param {string} query - Query as typed
+     * @returns {string} Cleaned query
+     */
+    clean: function (query) {
+      return this.toLatinDigits(query)
+        .replace(this.TATWEEL, '')
+        .replace(this.DIACRITICS, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    },
 
-        // Quantity minus
-        var minusBtn = e.target.closest('[data-quantity-minus][data-line]');
-        if (minusBtn && self._isInCartDrawer(minusBtn)) {
-          e.preventDefault();
-          var line = parseInt(minusBtn.dataset.line, 10);
-          var input = minusBtn.closest('[data-quantity-selector]').querySelector('[data-quantity-input]');
-          var currentQty = parseInt(input.value, 10) || 1;
-          if (currentQty > 1) {
-            self.updateQuantity(line, currentQty - 1);
-          }
-          return;
-        }
+    /**
+     * Fold text for comparison: cleaned, lowercase, alef forms to ا, ة to ه and ى to ي
+     * @param {string} text - Text to fold
+     * @returns {string} Folded text
+     */
+    fold: function (text) {
+      return this._foldChars(text).replace(/\s+/g, ' ').trim();
+    },
 
-        // Quantity plus
-        var plusBtn = e.target.closest('[data-quantity-plus][data-line]');
-        if (plusBtn && self._isInCartDrawer(plusBtn)) {
-          e.preventDefault();
-          var line = parseInt(plusBtn.dataset.line, 10);
-          var input = plusBtn.closest('[data-quantity-selector]').querySelector('[data-quantity-input]');
-          var currentQty = parseInt(input.value, 10) || 1;
-          var maxQty = parseInt(input.getAttribute('max'), 10) || 99999;
-          var inventoryQty = parseInt(input.dataset.inventoryQuantity, 10) || 99999;
-          var inventoryPolicy = input.dataset.inventoryPolicy;
+    /**
+     * Fold text without touching whitespace, so positions can be mapped back
+     * @param {string} text - Text to fold
+     * @returns {string} Folded text
+     */
+    _foldChars: function (text) {
+      return this.toLatinDigits(text)
+        .replace(this.TATWEEL, '')
+        .replace(this.DIACRITICS, '')
+        .toLowerCase()
+        .replace(/[أإآٱ]/g, 'ا')
+        .replace(/ة/g, 'ه')
+        .replace(/ى/g, 'ي');
+    },
 
-          // Check if we can increase quantity
-          var effectiveMax = (inventoryPolicy === 'deny') ? Math.min(maxQty, inventoryQty) : 99999;
+    /**
+     * Transliterate a query typed in Latin letters (Arabizi) into Arabic letters
+     * @param {string} query - Query to transliterate
+     * @returns {string} Arabic spelling, or an empty string when the query isn't Arabizi
+     */
+    transliterate: function (query) {
+      var text = this.clean(query).toLowerCase();
+      if (!/^[a-z0-9\s'-]+$/.test(text) || !/[a-z]/.test(text)) return '';
 
-          if (currentQty < effectiveMax) {
-            self.updateQuantity(line, currentQty + 1);
-          } else {
-            // Show error that max quantity reached
-            self._showError(window.cartStrings?.max_quantity || 'لقد وصلت للحد الأقصى من الكمية المتاحة');
+      var result = '';
+      var i = 0;
+      while (i < text.length) {
+        var match = null;
+        for (var j = 0; j < this.TRANSLITERATION.length; j++) {
+          if (text.indexOf(this.TRANSLITERATION[j][0], i) === i) {
+            match = this.TRANSLITERATION[j];
+            break;
           }
-          return;
         }
-      });
-
-      // Quantity input change
-      document.addEventListener('change', function (e) {
-        var input = e.target.closest('[data-quantity-input][data-line]');
-        if (input && self._isInCartDrawer(input)) {
-          var line = parseInt(input.dataset.line, 10);
-          var newQty = parseInt(input.value, 10) || 1;
-          var maxQty = parseInt(input.getAttribute('max'), 10) || 99999;
-          var inventoryQty = parseInt(input.dataset.inventoryQuantity, 10) || 99999;
-          var inventoryPolicy = input.dataset.inventoryPolicy;
-
-          // Validate quantity
-          if (newQty < 1) newQty = 1;
-
-          // Check max quantity based on inventory policy
-          var effectiveMax = (inventoryPolicy === 'deny') ? Math.min(maxQty, inventoryQty) : 99999;
+        if (match) {
+          result += match[1];
+          i += match[0].length;
+        } else {
+          result += /[\s-]/.test(text[i]) ? ' ' : '';
+          i += 1;
+        }
+      }
+      return result.replace(/\s+/g, ' ').trim();
+    },
 
-          if (newQty > effectiveMax) {
-            newQty = effectiveMax;
-            input.value = newQty;
-            self._showError(window.cartStrings?.max_quantity || 'الكمية المطلوبة غير متوفرة. الحد الأقصى المتاح: ' + effectiveMax);
-          }
+    /**
+     * Spellings worth retrying when a query finds nothing, best first. Folding
+     * only goes one way (أ to ا, ة to ه, ى to ي), so the folded query is also
+     * respelled the other way, for catalogs that write the full forms.
+     * @param {string} query - Query as searched
+     * @returns {Array<string>} Folded, respelled and transliterated spellings that differ from the query
+     */
+    getAlternatives: function (query) {
+      var cleaned = this.clean(query);
+      var folded = this.fold(cleaned);
+      var alternatives = [];
 
-          self.updateQuantity(line, newQty);
+      [folded].concat(this._respell(folded), this.transliterate(cleaned)).forEach(function (alternative) {
+        if (alternative && alternative !== cleaned.toLowerCase() && alternatives.indexOf(alternative) === -1) {
+          alternatives.push(alternative);
         }
       });
+      return alternatives;
+    },
 
-      // Cart note update
-      document.addEventListener('change', function (e) {
-        var noteInput = e.target.closest('[data-cart-note]');
-        if (noteInput) {
-          self.updateNote(noteInput.value);
+    /**
+     * Respell folded text with the forms folding removed: word-final ه as ة,
+     * word-final ي as ى, and a leading ا as أ or إ
+     * @param {string} folded - Folded text
+     * @returns {Array<string>} Respellings, most common first
+     */
+    _respell: function (folded) {
+      var taMarbuta = folded.replace(/ه(?=\s|$)/g, 'ة');
+      var hamzaAbove = function (text) {
+        return text.replace(/(^|\s)ا/g, '$1أ');
+      };
+
+      return [
+        taMarbuta,
+        hamzaAbove(folded),
+        hamzaAbove(taMarbuta),
+        folded.replace(/(^|\s)ا/g, '$1إ'),
+        folded.replace(/ي(?=\s|$)/g, 'ى')
+      ];
+    },
+
+    /**
+     * Escape text and wrap the parts matching the query in <mark>, ignoring
+     * diacritics, tatweel and letter variants
+     * @param {string} text - Text to highlight
+     * @param {string} query - Search query
+     * @returns {string} Escaped HTML
+     */
+    highlight: function (text, query) {
+      text = String(text || '');
+      var terms = this.fold(query).split(' ').filter(Boolean);
+      if (terms.length === 0) return Sallety.utils.escapeHtml(text);
+
+      // Fold one character at a time, remembering where each folded character came from
+      var folded = '';
+      var origin = [];
+      var i;
+      for (i = 0; i < text.length; i++) {
+        var chars = this._foldChars(text[i]);
+        for (var k = 0; k < chars.length; k++) {
+          folded += chars[k];
+          origin.push(i);
         }
-      });
+      }
 
-      // Listen for cart updated events to refresh drawer
-      document.addEventListener(EVENTS.CART_UPDATED, function () {
-        if (self.drawer && self.drawer.classList.contains('is-open')) {
-          self.refresh();
+      var marked = [];
+      terms.forEach(function (term) {
+        var index = folded.indexOf(term);
+        while (index !== -1) {
+          for (var j = index; j < index + term.length; j++) {
+            marked[origin[j]] = true;
+          }
+          index = folded.indexOf(term, index + term.length);
         }
       });
+
+      // Diacritics and tatweel that fold away belong to the letter before them
+      for (i = 1; i < text.length; i++) {
+        if (!marked[i] && marked[i - 1] && this._foldChars(text[i]) === '') marked[i] = true;
+      }
+
+      var html = '';
+      for (i = 0; i < text.length; i++) {
+        if (marked[i] && !marked[i - 1]) html += '<mark class="search-highlight">';
+        html += Sallety.utils.escapeHtml(text[i]);
+        if (marked[i] && !marked[i + 1]) html += '</mark>';
+      }
+      return html;
     },
 
     /**
-     * Check if element is inside cart drawer
-     * @param {HTMLElement} element - Element to check
-     * @returns {boolean}
+     * Highlight the query in product card titles inside a container
+     * @param {HTMLElement} container - Element holding product cards
+     * @param {string} query - Search query
      */
-    _isInCartDrawer: function (element) {
-      return element.closest('#cart-drawer') !== null;
+    highlightIn: function (container, query) {
+      var self = this;
+      if (!container || !query) return;
+
+      container.querySelectorAll('.product-card__title a').forEach(function (link) {
+        if (link.children.length > 0) return;
+        link.innerHTML = self.highlight(link.textContent.trim(), query);
+      });
     },
 
     /**
-     * Remove item from cart
-     * @param {number} line - Line item index (1-based)
+     * Offer an alternative spelling that has results on the no-results page
+     * @param {HTMLElement} el - Element with [data-search-did-you-mean] and data-terms
      */
-    removeItem: function (line) {
-      if (this.isUpdating) return;
-
+    _initDidYouMean: function (el) {
       var self = this;
-      var itemEl = this.drawer.querySelector('[data-cart-item][data-line="' + line + '"]');
-
-      // Animate the item out smoothly
-      if (itemEl) {
-        itemEl.classList.add('is-removing');
-        itemEl.style.pointerEvents = 'none';
-        // After slide-out animation, collapse the height smoothly
-        var itemHeight = itemEl.offsetHeight;
-        itemEl.style.maxHeight = itemHeight + 'px';
-        itemEl.style.overflow = 'hidden';
-
-        // Wait for slide-out animation, then collapse
-        setTimeout(function () {
-          itemEl.style.maxHeight = '0px';
-          itemEl.style.padding = '0';
-          itemEl.style.margin = '0';
-          itemEl.style.borderWidth = '0';
-        }, 280);
-      }
-
-      this._updateCart({ line: line, quantity: 0 })
-        .then(function (cart) {
-          self._onCartUpdated(cart);
-        })
-        .catch(function (error) {
-          console.error('[Sallety] Remove item error:', error);
-          if (itemEl) {
-            itemEl.classList.remove('is-removing');
-            itemEl.style.opacity = '';
-            itemEl.style.pointerEvents = '';
-            itemEl.style.maxHeight = '';
-            itemEl.style.overflow = '';
-            itemEl.style.padding = '';
-            itemEl.style.margin = '';
-            itemEl.style.borderWidth = '';
-          }
+      var query = el.dataset.terms || '';
+      var alternatives = this.getAlternatives(query);
+      var label = el.dataset.label || 'هل تقصد [terms]؟';
+
+      var tryNext = function (index) {
+        if (index >= alternatives.length) return Promise.resolve();
+        return self.hasResults(alternatives[index]).then(function (found) {
+          if (!found) return tryNext(index + 1);
+
+          var alternative = alternatives[index];
+          var link = '<a href="' + window.Shopify.routes.root + 'search?q=' + encodeURIComponent(alternative) + '" class="sr-empty__did-you-mean-link">' + Sallety.utils.escapeHtml(alternative) + '</a>';
+          el.innerHTML = Sallety.utils.escapeHtml(label).replace('[terms]', function () {
+            return link;
+          });
+          el.classList.remove('hidden');
         });
+      };
+
+      tryNext(0).catch(function (error) {
+        console.error('[Sallety] Search suggestion error:', error);
+      });
     },
 
     /**
-     * Update item quantity
-     * @param {number} line - Line item index (1-based)
-     * @param {number} quantity - New quantity
+     * Check whether a query finds any products, articles or pages. Goes through
+     * the search modal's suggest request, so its cache is shared.
+     * @param {string} query - Query to check
+     * @returns {Promise<boolean>} Whether anything matched
      */
-    updateQuantity: function (line, quantity) {
-      if (this.isUpdating) return;
+    hasResults: function (query) {
+      return Sallety.searchModal._fetchSuggestions(query).then(function (data) {
+        return Sallety.searchModal._hasResults(data, ['products', 'articles', 'pages']);
+      });
+    }
+  };
 
-      var self = this;
-      var itemEl = this.drawer.querySelector('[data-cart-item][data-line="' + line + '"]');
-      var input = itemEl ? itemEl.querySelector('[data-quantity-input]') : null;
-      var previousQty = input ? parseInt(input.value, 10) : quantity;
+  // ============================================================================
+  // SEARCH MODAL
+  // ============================================================================
 
-      // Show loading state on item
-      if (itemEl) {
-        itemEl.classList.add('is-updating');
-      }
+  /**
+   * Search Modal Module
+   * Handles the search modal with predictive search functionality
+   */
+  Sallety.searchModal = {
+    modal: null,
+    overlay: null,
+    input: null,
+    clearBtn: null,
+    closeBtn: null,
+    resultsContainer: null,
+    loadingEl: null,
+    emptyEl: null,
+    searchTimeout: null,
+    form: null,
+    recentContainer: null,
 
-      this._updateCart({ line: line, quantity: quantity })
-        .then(function (cart) {
-          // Check if the quantity was actually updated to what we requested
-          // Shopify may return a lower quantity if stock is insufficient
-          var updatedItem = cart.items.find(function (item, index) {
-            return (index + 1) === line;
-          });
+    /** @type {string} localStorage key for the shopper's recent searches */
+    RECENT_KEY: 'sallety-recent-searches',
 
-          if (updatedItem && updatedItem.quantity < quantity) {
-            // Shopify reduced the quantity due to stock limits
-            self._showError(window.cartStrings?.stock_limited || 'الكمية المتوفرة محدودة. تم تعديل الكمية للحد الأقصى المتاح.');
-          }
+    /** @type {number} Most recent searches kept */
+    RECENT_LIMIT: 8,
 
-          self._onCartUpdated(cart);
-        })
-        .catch(function (error) {
-          console.error('[Sallety] Update quantity error:', error);
-          if (itemEl) {
-            itemEl.classList.remove('is-updating');
-          }
-          // Revert input to previous value
-          if (input) {
-            input.value = previousQty;
-          }
-          // Show error message
-          self._showError(error.message || 'حدث خطأ أثناء تحديث الكمية');
-        });
-    },
+    /** @type {number} Counter for generated option ids */
+    _optionId: 0,
 
-    /**
-     * Update cart note
-     * @param {string} note - Cart note text
-     */
-    updateNote: function (note) {
-      fetch(window.routes?.cart_update_url + '.js' || '/cart/update.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify({ note: note })
-      })
-        .then(function (response) {
-          if (!response.ok) throw new Error('Failed to update note');
-          return response.json();
-        })
-        .catch(function (error) {
-          console.error('[Sallety] Update note error:', error);
-        });
-    },
+    /** @type {string} Id of the listbox injected with the results */
+    RESULTS_LISTBOX_ID: 'predictive-search-results',
 
-    /**
-     * Update cart via AJAX
-     * @param {Object} data - Update data { line, quantity }
-     * @returns {Promise<Object>} Updated cart
-     */
-    _updateCart: function (data) {
-      var self = this;
-      this.isUpdating = true;
+    /** @type {string} The input's aria-controls while the empty state's listboxes show */
+    _emptyControls: '',
 
-      return fetch(window.routes?.cart_change_url + '.js' || '/cart/change.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify(data)
-      })
-        .then(function (response) {
-          if (!response.ok) {
-            return response.json().then(function (err) {
-              throw new Error(err.description || err.message || 'Cart update failed');
-            });
-          }
-          return response.json();
-        })
-        .finally(function () {
-          self.isUpdating = false;
-        });
-    },
+    /** @type {Array<string>} Suggest API resource types, in the order their groups are shown */
+    RESULT_TYPES: ['query', 'collection', 'product', 'article', 'page'],
 
     /**
-     * Handle cart updated
-     * @param {Object} cart - Updated cart object
+     * @type {Object<string, string>} Search page type for each group the search
+     * page can count; query suggestions and collections aren't search results
      */
-    _onCartUpdated: function (cart) {
-      // Update cart count in header
-      Sallety.cart.updateCount(cart.item_count);
+    COUNT_TYPES: { products: 'product', articles: 'article', pages: 'page' },
 
-      // Update cart total in drawer footer
-      this._updateCartTotal(cart);
+    /** @type {AbortController|null} Controller for the search in flight */
+    _abortController: null,
 
-      // Refresh drawer content via AJAX
-      this.refresh();
+    /** @type {Map<string, *>} Recent suggest responses and result counts by query */
+    _cache: new Map(),
 
-      // Dispatch event
-      Sallety.utils.dispatchEvent(EVENTS.CART_UPDATED, cart);
-    },
+    /** @type {number} Maximum number of responses kept in the cache */
+    _cacheLimit: 20,
 
     /**
-     * Update cart total display
-     * @param {Object} cart - Cart object
+     * Initialize the search modal
      */
-    _updateCartTotal: function (cart) {
-      var totalEl = this.drawer.querySelector('[data-cart-total]');
-      if (totalEl) {
-        totalEl.textContent = Sallety.utils.formatMoney(cart.total_price);
-      }
+    init: function () {
+      this.modal = document.getElementById('search-modal');
+      this.overlay = document.getElementById('search-modal-overlay');
 
-      var countTextEl = this.drawer.querySelector('[data-cart-count-text]');
-      if (countTextEl) {
-        var countText = cart.item_count === 0
-          ? (window.cartStrings?.empty || 'لا توجد منتجات')
-          : (cart.item_count === 1
-            ? (window.cartStrings?.one_item || 'منتج واحد')
-            : (window.cartStrings?.items || '[count] منتجات').replace('[count]', cart.item_count));
-        countTextEl.textContent = countText;
-      }
+      if (!this.modal) return;
+
+      this.input = this.modal.querySelector('[data-predictive-search-input]');
+      this.clearBtn = this.modal.querySelector('[data-search-clear]');
+      this.closeBtn = this.modal.querySelector('[data-search-close]');
+      this.resultsContainer = this.modal.querySelector('[data-predictive-search-results]');
+      this.loadingEl = this.modal.querySelector('.search-modal__loading');
+      this.emptyEl = this.modal.querySelector('.search-modal__empty');
+      this.form = this.modal.querySelector('[data-search-form]');
+      this.recentContainer = this.modal.querySelector('[data-recent-searches]');
+      this._emptyControls = this.input ? this.input.getAttribute('aria-controls') || '' : '';
+
+      this._renderRecent();
+      this._bindEvents();
     },
 
     /**
-     * Refresh cart drawer content via AJAX
+     * Bind event listeners
      */
-    refresh: function () {
+    _bindEvents: function () {
       var self = this;
 
-      // Add loading state
-      if (this.content) {
-        this.content.classList.add('is-loading');
+      // Open search modal triggers
+      document.querySelectorAll('[data-search-open], [data-modal-open="search-modal"]').forEach(function (trigger) {
+        trigger.addEventListener('click', function (e) {
+          e.preventDefault();
+          self.open();
+        });
+      });
+
+      // Close button
+      if (this.closeBtn) {
+        this.closeBtn.addEventListener('click', function () {
+          self.close();
+        });
       }
 
-      // Fetch fresh cart drawer HTML using the section
-      var url = window.routes?.root_url || '/';
-      url = url + '?section_id=cart-drawer-content';
+      // Overlay click
+      if (this.overlay) {
+        this.overlay.addEventListener('click', function () {
+          self.close();
+        });
+      }
 
-      fetch(url, {
-        headers: {
-          'X-Requested-With': 'XMLHttpRequest'
-        }
-      })
-        .then(function (response) {
-          if (!response.ok) throw new Error('Failed to fetch cart');
-          return response.text();
-        })
-        .then(function (html) {
-          self._renderCartContent(html);
-        })
-        .catch(function (error) {
-          console.error('[Sallety] Refresh cart error:', error);
-          // Fallback: reload the page section
-          self._refreshFallback();
-        })
-        .finally(function () {
-          if (self.content) {
-            self.content.classList.remove('is-loading');
-          }
+      // Clear button
+      if (this.clearBtn) {
+        this.clearBtn.addEventListener('click', function () {
+          self._clearInput();
         });
-    },
+      }
 
-    /**
-     * Render cart content from HTML
-     * @param {string} html - HTML string
-     */
-    _renderCartContent: function (html) {
-      var parser = new DOMParser();
-      var doc = parser.parseFromString(html, 'text/html');
+      // Input events
+      if (this.input) {
+        // Results for what was typed before this keystroke are no longer wanted
+        this.input.addEventListener('input', function () {
+          self._abortSearch();
+        });
 
-      // Try to find the cart drawer content in the response
-      var newContent = doc.querySelector('[data-cart-drawer-content]');
-      var newFooter = doc.querySelector('[data-cart-drawer-footer]');
+        this.input.addEventListener('input', Sallety.utils.debounce(function () {
+          self._handleInput();
+        }, 300));
 
-      if (newContent && this.content) {
-        this.content.innerHTML = newContent.innerHTML;
+        this.input.addEventListener('keydown', function (e) {
+          if (e.key === 'Escape') {
+            self.close();
+          } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            self._moveActive(e.key === 'ArrowDown' ? 1 : -1);
+          } else if (e.key === 'Enter') {
+            // Enter opens the highlighted option; otherwise the form submits
+            var active = self._getActiveOption();
+            if (active) {
+              e.preventDefault();
+              self._openOption(active);
+            }
+          }
+        });
       }
 
-      // Update footer (totals, buttons)
-      var currentFooter = this.drawer.querySelector('[data-cart-drawer-footer]') ||
-        this.drawer.querySelector('.flex-shrink-0.border-t');
-
-      if (newFooter) {
-        if (currentFooter) {
-          currentFooter.outerHTML = newFooter.outerHTML;
-        } else {
-          // Footer doesn't exist, append it
-          this.drawer.insertAdjacentHTML('beforeend', newFooter.outerHTML);
-        }
-      } else if (currentFooter) {
-        // Cart is empty, remove footer
-        currentFooter.remove();
+      // Remember submitted searches
+      if (this.form) {
+        this.form.addEventListener('submit', function () {
+          self._saveRecent(self.input ? self.input.value : '');
+        });
       }
 
-      // Re-bind any necessary events
-      this._updateCartCountText();
-    },
-
-    /**
-     * Fallback refresh using cart.js
-     */
-    _refreshFallback: function () {
-      var self = this;
+      // Result, recent and popular clicks; removing a recent search; retrying a failed search
+      if (this.resultsContainer) {
+        this.resultsContainer.addEventListener('click', function (e) {
+          var retryBtn = e.target.closest('[data-search-retry]');
+          if (retryBtn) {
+            self._performSearch(retryBtn.dataset.searchRetry);
+            if (self.input) self.input.focus();
+            return;
+          }
 
-      Sallety.cart.get()
-        .then(function (cart) {
-          self._updateCartTotal(cart);
-          self._updateCartCountText();
+          var removeBtn = e.target.closest('[data-recent-remove]');
+          if (removeBtn) {
+            e.preventDefault();
+            self._removeRecent(removeBtn.dataset.recentRemove);
+            if (self.input) self.input.focus();
+            return;
+          }
 
-          // If cart is empty, show empty state
-          if (cart.item_count === 0) {
-            self._renderEmptyState();
+          var option = e.target.closest('[data-search-option]');
+          if (option) {
+            self._saveRecent(option.dataset.searchTerms || (self.input ? self.input.value : ''));
           }
-        })
-        .catch(function (error) {
-          console.error('[Sallety] Fallback refresh error:', error);
         });
+      }
+
+      // Keyboard shortcut (Ctrl/Cmd + K)
+      document.addEventListener('keydown', function (e) {
+        if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
+          e.preventDefault();
+          self.toggle();
+        }
+      });
     },
 
     /**
-     * Update cart count text in header
+     * Open the search modal
      */
-    _updateCartCountText: function () {
-      var self = this;
+    open: function () {
+      if (!this.modal) return;
 
-      Sallety.cart.get()
-        .then(function (cart) {
-          var countTextEl = self.drawer.querySelector('[data-cart-count-text]');
-          if (countTextEl) {
-            var countText = cart.item_count === 0
-              ? (window.cartStrings?.empty || 'لا توجد منتجات')
-              : (cart.item_count === 1
-                ? (window.cartStrings?.one_item || 'منتج واحد')
-                : (window.cartStrings?.items || '[count] منتجات').replace('[count]', cart.item_count));
-            countTextEl.textContent = countText;
-          }
-        });
+      this.modal.classList.add('is-open');
+      if (this.overlay) this.overlay.classList.add('is-open');
+      document.body.style.overflow = 'hidden';
+      if (this.input) this.input.setAttribute('aria-expanded', 'true');
+      this._renderRecent();
+
+      // Focus input after animation
+      var self = this;
+      setTimeout(function () {
+        if (self.input) self.input.focus();
+      }, 100);
     },
 
     /**
-     * Render empty cart state
+     * Close the search modal
      */
-    _renderEmptyState: function () {
-      if (!this.content) return;
+    close: function () {
+      if (!this.modal) return;
 
-      var emptyHtml = '<div class="flex flex-col items-center justify-center h-full px-5 py-12 text-center">' +
-        '<div class="w-24 h-24 rounded-full bg-border/30 flex items-center justify-center mb-6">' +
-        '<svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" class="text-secondary">' +
-        '<circle cx="9" cy="21" r="1"></circle>' +
-        '<circle cx="20" cy="21" r="1"></circle>' +
-        '<path d="M1 1h4l2.68 13.39a2 2 0 0 0 2 1.61h9.72a2 2 0 0 0 2-1.61L23 6H6"></path>' +
-        '</svg>' +
-        '</div>' +
-        '<h3 class="text-lg font-semibold text-foreground mb-2">' + (window.cartStrings?.empty || 'سلة التسوق فارغة') + '</h3>' +
-        '<p class="text-sm text-secondary mb-6 max-w-[250px]">' + (window.cartStrings?.empty_description || 'لم تقم بإضافة أي منتجات إلى سلة التسوق بعد') + '</p>' +
-        '<a href="' + (window.routes?.all_products_collection_url || '/collections/all') + '" class="inline-flex items-center gap-2 px-6 py-3 rounded-full bg-primary text-white font-medium hover:bg-primary/90 transition-all duration-200 shadow-lg shadow-primary/25">' +
-        '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">' +
-        '<path d="M6 2L3 6v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2V6l-3-4z"></path>' +
-        '<line x1="3" y1="6" x2="21" y2="6"></line>' +
-        '<path d="M16 10a4 4 0 0 1-8 0"></path>' +
-        '</svg>' +
-        (window.cartStrings?.continue_shopping || 'متابعة التسوق') +
-        '</a>' +
-        '</div>';
+      this.modal.classList.remove('is-open');
+      if (this.overlay) this.overlay.classList.remove('is-open');
+      document.body.style.overflow = '';
+      if (this.input) this.input.setAttribute('aria-expanded', 'false');
 
-      this.content.innerHTML = emptyHtml;
+      // Clear search on close
+      this._clearInput();
+    },
 
-      // Hide footer when cart is empty
-      var footer = this.drawer.querySelector('.flex-shrink-0.border-t');
-      if (footer) {
-        footer.style.display = 'none';
+    /**
+     * Toggle the search modal
+     */
+    toggle: function () {
+      if (this.modal && this.modal.classList.contains('is-open')) {
+        this.close();
+      } else {
+        this.open();
       }
     },
 
     /**
-     * Show error message
-     * @param {string} message - Error message
+     * Handle input changes
      */
-    _showError: function (message) {
-      console.error('[Sallety] Cart Error:', message);
+    _handleInput: function () {
+      var query = this.input ? Sallety.searchQuery.clean(this.input.value) : '';
 
-      // Use toast notification if available
-      if (window.Sallety && window.Sallety.toast) {
-        window.Sallety.toast.show(message, 'error');
-        return;
+      // Toggle clear button visibility
+      if (this.clearBtn) {
+        if (query.length > 0) {
+          this.clearBtn.classList.add('is-visible');
+        } else {
+          this.clearBtn.classList.remove('is-visible');
+        }
       }
 
-      // Fallback: Show inline error in cart drawer
-      var existingError = this.drawer.querySelector('.cart-drawer-error');
-      if (existingError) {
-        existingError.remove();
+      // Perform search
+      if (query.length >= 2) {
+        this._performSearch(query);
+      } else {
+        this._showEmpty();
       }
-
-      var errorHtml = '<div class="cart-drawer-error fixed top-4 left-4 right-4 z-[1001] bg-error text-white px-4 py-3 rounded-lg shadow-lg flex items-center gap-2 animate-fade-in">' +
-        '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">' +
-        '<circle cx="12" cy="12" r="10"></circle>' +
-        '<line x1="12" y1="8" x2="12" y2="12"></line>' +
-        '<line x1="12" y1="16" x2="12.01" y2="16"></line>' +
-        '</svg>' +
-        '<span class="text-sm font-medium flex-1">' + message + '</span>' +
-        '<button type="button" class="hover:opacity-70 transition-opacity" onclick="this.parentElement.remove()">' +
-        '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">' +
-        '<line x1="18" y1="6" x2="6" y2="18"></line>' +
-        '<line x1="6" y1="6" x2="18" y2="18"></line>' +
-        '</svg>' +
-        '</button>' +
-        '</div>';
-
-      this.drawer.insertAdjacentHTML('afterbegin', errorHtml);
-
-      // Auto-remove after 5 seconds
-      setTimeout(function () {
-        var error = document.querySelector('.cart-drawer-error');
-        if (error) {
-          error.style.opacity = '0';
-          setTimeout(function () { error.remove(); }, 300);
-        }
-      }, 5000);
     },
 
     /**
-     * Open cart drawer
+     * Clear the search input
      */
-    open: function () {
-      Sallety.drawer.open('cart-drawer');
+    _clearInput: function () {
+      if (this.input) {
+        this.input.value = '';
+        this.input.focus();
+      }
+      if (this.clearBtn) {
+        this.clearBtn.classList.remove('is-visible');
+      }
+      this._showEmpty();
     },
 
     /**
-     * Close cart drawer
+     * Show loading state
      */
-    close: function () {
-      Sallety.drawer.close('cart-drawer');
-    }
-  };
-
-  // ============================================================================
-  // QUICK VIEW MODAL
-  // ============================================================================
-
-  /**
-   * Quick View Modal Module
-   * Handles the quick view modal with full product details
-   */
-  Sallety.quickView = {
-    modal: null,
-    overlay: null,
-    content: null,
-    loading: null,
-    currentProduct: null,
-    currentVariant: null,
-    currentTrigger: null,
+    _showLoading: function () {
+      if (this.loadingEl) this.loadingEl.classList.add('is-visible');
+      if (this.emptyEl) this.emptyEl.classList.add('is-hidden');
+    },
 
     /**
-     * Initialize the quick view modal
+     * Show empty state
      */
-    init: function () {
-      this.modal = document.getElementById('quick-view-modal');
-      if (!this.modal) return;
-
-      this.overlay = this.modal.querySelector('.quick-view-modal__overlay');
-      this.content = this.modal.querySelector('[data-quick-view-content]');
-      this.loading = this.modal.querySelector('[data-quick-view-loading]');
+    _showEmpty: function () {
+      this._abortSearch();
+      if (this.loadingEl) this.loadingEl.classList.remove('is-visible');
+      if (this.emptyEl) this.emptyEl.classList.remove('is-hidden');
+      this._setActive(null);
+      this._setControls(this._emptyControls);
 
-      this._bindEvents();
+      // Clear results
+      var existingResults = this.resultsContainer ? this.resultsContainer.querySelector('.predictive-search__results') : null;
+      if (existingResults) existingResults.remove();
     },
 
     /**
-     * Bind event listeners
+     * Perform predictive search, retrying with the folded or transliterated
+     * spelling when the query finds nothing
      */
-    _bindEvents: function () {
+    _performSearch: function (query) {
       var self = this;
+      this._abortSearch();
 
-      // Quick view trigger buttons
-      document.addEventListener('click', function (e) {
-        var trigger = e.target.closest('[data-quick-view]');
-        if (trigger) {
-          e.preventDefault();
-          e.stopPropagation();
-          var handle = trigger.dataset.quickView;
-          if (handle) {
-            self.open(handle, trigger);
-          }
-        }
+      var controller = new AbortController();
+      this._abortController = controller;
+      this._showLoading();
 
-        // Close button
-        var closeBtn = e.target.closest('[data-quick-view-close]');
-        if (closeBtn) {
-          self.close();
-        }
-      });
+      this._fetchSuggestions(query, controller.signal)
+        .then(function (data) {
+          if (self._hasResults(data)) {
+            self._renderResults(data, query, null, controller.signal);
+            return;
+          }
+          return self._retryAlternatives(query, Sallety.searchQuery.getAlternatives(query), controller.signal);
+        })
+        .catch(function (error) {
+          if (error.name === 'AbortError') return;
+          console.error('[Sallety] Search error:', error);
+          self._renderError(query);
+        });
 
-      // Escape key to close
-      document.addEventListener('keydown', function (e) {
-        if (e.key === 'Escape' && self.modal && self.modal.classList.contains('is-open')) {
-          self.close();
-        }
-      });
+      // The controller is kept after the results render, so the next
+      // keystroke also cancels the result count still loading for them
     },
 
     /**
-     * Open the quick view modal
-     * @param {string} handle - Product handle
-     * @param {HTMLElement} trigger - The button that triggered the modal
+     * Cancel the search in flight, if any
      */
-    open: function (handle, trigger) {
-      if (!this.modal || !handle) return;
+    _abortSearch: function () {
+      if (!this._abortController) return;
+      this._abortController.abort();
+      this._abortController = null;
+    },
 
+    /**
+     * Search the alternative spellings in turn and show the first that has results
+     * @param {string} query - Query as typed
+     * @param {Array<string>} alternatives - Spellings still to try
+     * @param {AbortSignal} signal - Signal of the search these retries belong to
+     * @returns {Promise<void>}
+     */
+    _retryAlternatives: function (query, alternatives, signal) {
       var self = this;
 
-      this.currentTrigger = trigger || null;
-      if (this.currentTrigger) {
-        this.currentTrigger.classList.add('is-loading');
+      if (alternatives.length === 0) {
+        this._renderResults({}, query, null, signal);
+        return Promise.resolve();
       }
 
-      this.modal.classList.add('is-open');
-      document.body.style.overflow = 'hidden';
-      this._showLoading();
+      var alternative = alternatives[0];
+      return this._fetchSuggestions(alternative, signal).then(function (data) {
+        if (self._hasResults(data)) {
+          self._renderResults(data, alternative, query, signal);
+          return;
+        }
+        return self._retryAlternatives(query, alternatives.slice(1), signal);
+      });
+    },
 
-      this._fetchProduct(handle)
-        .then(function (product) {
-          if (!product || !product.id) {
-            console.error('[Sallety] Invalid product data:', product);
-            throw new Error('Invalid product data received');
-          }
-          self.currentProduct = product;
-          self.currentVariant = self._getFirstAvailableVariant(product);
+    /**
+     * Fetch predictive search results, from the cache when the query was searched recently
+     * @param {string} query - Search query
+     * @param {AbortSignal} [signal] - Signal to cancel the request
+     * @returns {Promise<Object>} Suggest API response
+     */
+    _fetchSuggestions: function (query, signal) {
+      var self = this;
+      var cacheKey = 'suggest:' + query.toLowerCase();
+      if (this._cache.has(cacheKey)) {
+        return Promise.resolve(this._getCached(cacheKey));
+      }
 
-          try {
-            self._renderProduct(product, handle);
-          } catch (renderError) {
-            console.error('[Sallety] Quick view render error:', renderError);
-            throw new Error('render_failed');
-          }
+      var searchUrl = window.Shopify.routes.root + 'search/suggest.json?q=' + encodeURIComponent(query) + '&resources[type]=' + this.RESULT_TYPES.join(',') + '&resources[limit]=10&resources[options][unavailable_products]=last';
 
-          self._hideLoading();
-          self._clearTriggerLoading();
+      return fetch(searchUrl, { signal: signal })
+        .then(function (response) {
+          if (!response.ok) throw new Error('Search request failed: ' + response.status);
+          return response.json();
         })
-        .catch(function (error) {
-          console.error('[Sallety] Quick view error:', error);
-          self._clearTriggerLoading();
-          self._hideLoading();
-
-          if (self.content) {
-            self.content.innerHTML = '<div style="display: flex; flex-direction: column; align-items: center; justify-content: center; min-height: 300px; padding: 40px; text-align: center;">' +
-              '<svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" style="color: #ef4444; margin-bottom: 16px;"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg>' +
-              '<p style="font-size: 16px; font-weight: 500; color: #374151; margin-bottom: 8px;">عذراً، حدث خطأ</p>' +
-              '<p style="font-size: 14px; color: #6b7280;">لم نتمكن من تحميل تفاصيل المنتج</p>' +
-              '</div>';
-            self.content.classList.add('is-visible');
-          }
+        .then(function (data) {
+          self._cacheResult(cacheKey, data);
+          return data;
         });
     },
 
     /**
-     * Clear loading state from trigger button
+     * Fetch how many results the search page has for a query
+     * @param {string} query - Search query
+     * @param {AbortSignal} [signal] - Signal to cancel the request
+     * @param {string} [type] - Search page type (product, article or page); all types by default
+     * @returns {Promise<number|null>} Result count, or null when it can't be read
      */
-    _clearTriggerLoading: function () {
-      if (this.currentTrigger) {
-        this.currentTrigger.classList.remove('is-loading');
-        this.currentTrigger = null;
+    _fetchResultsCount: function (query, signal, type) {
+      var self = this;
+      var cacheKey = 'count:' + (type ? type + ':' : '') + query.toLowerCase();
+      if (this._cache.has(cacheKey)) {
+        return Promise.resolve(this._getCached(cacheKey));
       }
+
+      var url = window.Shopify.routes.root + 'search?q=' + encodeURIComponent(query) + (type ? '&type=' + type : '') + '&section_id=predictive-search-count';
+
+      return fetch(url, { signal: signal })
+        .then(function (response) {
+          if (!response.ok) throw new Error('Failed to fetch search count');
+          return response.text();
+        })
+        .then(function (html) {
+          var doc = new DOMParser().parseFromString(html, 'text/html');
+          var countEl = doc.querySelector('[data-search-results-count]');
+          var count = countEl ? parseInt(countEl.textContent, 10) : NaN;
+          if (isNaN(count)) return null;
+
+          self._cacheResult(cacheKey, count);
+          return count;
+        });
     },
 
     /**
-     * Close the quick view modal
+     * Read a cached response, marking it as the most recently used
+     * @param {string} key - Cache key
+     * @returns {*} Cached value
      */
-    close: function () {
-      if (!this.modal) return;
-
-      this.modal.classList.remove('is-open');
-      document.body.style.overflow = '';
-      this.currentProduct = null;
-      this.currentVariant = null;
-      this._clearTriggerLoading();
+    _getCached: function (key) {
+      var value = this._cache.get(key);
+      this._cache.delete(key);
+      this._cache.set(key, value);
+      return value;
+    },
 
-      // Remove keyboard handler for carousel
-      if (this._qvKeyboardHandler) {
-        document.removeEventListener('keydown', this._qvKeyboardHandler);
-        this._qvKeyboardHandler = null;
+    /**
+     * Store a response, dropping the least recently used entry when full
+     * @param {string} key - Cache key
+     * @param {*} value - Response to keep
+     */
+    _cacheResult: function (key, value) {
+      this._cache.delete(key);
+      this._cache.set(key, value);
+      if (this._cache.size > this._cacheLimit) {
+        this._cache.delete(this._cache.keys().next().value);
       }
+    },
 
-      // Reset content
-      if (this.content) {
-        this.content.innerHTML = '';
-        this.content.classList.remove('is-visible');
-      }
+    /**
+     * Whether a suggest response holds anything to show
+     * @param {Object} data - Suggest API response
+     * @param {Array<string>} [types] - Result groups to look at, all of them by default
+     * @returns {boolean}
+     */
+    _hasResults: function (data, types) {
+      var results = (data.resources && data.resources.results) || {};
+      return (types || ['queries', 'collections', 'products', 'articles', 'pages']).some(function (type) {
+        return (results[type] || []).length > 0;
+      });
     },
 
     /**
-     * Show loading state
+     * Render search results
+     * @param {Object} data - Suggest API response
+     * @param {string} query - Query the results are for
+     * @param {string} [typedQuery] - Query as typed, when the results are for an alternative spelling
+     * @param {AbortSignal} [signal] - Signal of the search, which also cancels the result count
      */
-    _showLoading: function () {
-      if (this.loading) {
-        this.loading.classList.remove('hidden');
+    _renderResults: function (data, query, typedQuery, signal) {
+      var self = this;
+      var highlight = function (text) {
+        return Sallety.searchQuery.highlight(text, query);
+      };
+      var imageIcon = '<div class="predictive-search__result-item-image flex items-center justify-center text-secondary"><svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5"><rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect><circle cx="8.5" cy="8.5" r="1.5"></circle><polyline points="21 15 16 10 5 21"></polyline></svg></div>';
+
+      if (this.loadingEl) this.loadingEl.classList.remove('is-visible');
+      if (this.emptyEl) this.emptyEl.classList.add('is-hidden');
+
+      var resources = data.resources || {};
+      var results = resources.results || {};
+      var queries = results.queries || [];
+      var collections = results.collections || [];
+      var products = results.products || [];
+      var articles = results.articles || [];
+      var pages = results.pages || [];
+
+      this._setActive(null);
+
+      // Remove existing results
+      var existingResults = this.resultsContainer ? this.resultsContainer.querySelector('.predictive-search__results') : null;
+      if (existingResults) existingResults.remove();
+
+      if (!this._hasResults(data)) {
+        this._renderNoResults(query);
+        return;
       }
-      if (this.content) {
-        this.content.classList.remove('is-visible');
+
+      var html = '<div class="predictive-search__results" dir="rtl">';
+
+      if (typedQuery) {
+        var didYouMean = (this.resultsContainer && this.resultsContainer.dataset.didYouMean) || 'هل تقصد [terms]؟';
+        var suggestionLink = '<a href="' + window.Shopify.routes.root + 'search?q=' + encodeURIComponent(query) + '" class="predictive-search__did-you-mean-link" data-search-terms="' + Sallety.utils.escapeAttr(query) + '">' + Sallety.utils.escapeHtml(query) + '</a>';
+        html += '<p class="predictive-search__did-you-mean">' + Sallety.utils.escapeHtml(didYouMean).replace('[terms]', function () {
+          return suggestionLink;
+        }) + '</p>';
+      }
+
+      // Only the groups and options belong to the listbox; the did-you-mean line stays outside
+      var listboxLabel = (this.resultsContainer && this.resultsContainer.dataset.resultsLabel) || 'نتائج البحث';
+      html += '<div id="' + this.RESULTS_LISTBOX_ID + '" role="listbox" aria-label="' + Sallety.utils.escapeAttr(listboxLabel) + '">';
+      html += '<div class="predictive-search__results-groups">';
+
+      // Query suggestions
+      html += this._renderGroup('queries', window.theme?.strings?.suggestions || 'اقتراحات البحث', queries, function (suggestion) {
+        var item = '<a href="' + suggestion.url + '" class="predictive-search__result-item predictive-search__result-item--query" role="option" aria-selected="false" data-search-option data-search-terms="' + Sallety.utils.escapeAttr(suggestion.text) + '">';
+        item += '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="predictive-search__result-item-icon" aria-hidden="true"><circle cx="11" cy="11" r="8"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line></svg>';
+        item += '<p class="predictive-search__result-item-title">' + highlight(suggestion.text) + '</p>';
+        item += '</a>';
+        return item;
+      });
+
+      // Collections
+      html += this._renderGroup('collections', window.theme?.strings?.collections || 'المجموعات', collections, function (collection) {
+        var image = collection.featured_image && collection.featured_image.url;
+        var imageUrl = image ? image.replace(/(\.[^.?]+)(\?|$)/, '_200x$1$2') : '';
+        var item = '<a href="' + collection.url + '" class="predictive-search__result-item" role="option" aria-selected="false" data-search-option>';
+        if (imageUrl) {
+          item += '<img src="' + imageUrl + '" alt="' + Sallety.utils.escapeAttr(collection.featured_image.alt || collection.title) + '" class="predictive-search__result-item-image" loading="lazy">';
+        } else {
+          item += imageIcon;
+        }
+        item += '<div class="predictive-search__result-item-content">';
+        item += '<p class="predictive-search__result-item-title">' + highlight(collection.title) + '</p>';
+        item += '</div>';
+        item += '</a>';
+        return item;
+      });
+
+      // Products
+      html += this._renderGroup('products', window.theme?.strings?.products || 'المنتجات', products, function (product) {
+        var imageUrl = product.image ? product.image.replace(/(\.[^.]+)$/, '_200x$1') : '';
+        var item = '<a href="' + product.url + '" class="predictive-search__result-item" role="option" aria-selected="false" data-search-option>';
+        if (imageUrl) {
+          item += '<img src="' + imageUrl + '" alt="' + Sallety.utils.escapeAttr(product.title) + '" class="predictive-search__result-item-image" loading="lazy">';
+        } else {
+          item += imageIcon;
+        }
+        item += '<div class="predictive-search__result-item-content">';
+        item += '<p class="predictive-search__result-item-title">' + highlight(product.title) + '</p>';
+        item += '<p class="predictive-search__result-item-price">' + product.price + '</p>';
+        if (product.vendor) {
+          item += '<p class="predictive-search__result-item-vendor">' + Sallety.utils.escapeHtml(product.vendor) + '</p>';
+        }
+        item += '</div>';
+        item += '</a>';
+        return item;
+      });
+
+      // Articles
+      html += this._renderGroup('articles', window.theme?.strings?.articles || 'المقالات', articles, function (article) {
+        var imageUrl = article.image ? article.image.replace(/(\.[^.]+)$/, '_200x$1') : '';
+        var item = '<a href="' + article.url + '" class="predictive-search__result-item" role="option" aria-selected="false" data-search-option>';
+        if (imageUrl) {
+          item += '<img src="' + imageUrl + '" alt="' + Sallety.utils.escapeAttr(article.title) + '" class="predictive-search__result-item-image" loading="lazy">';
+        }
+        item += '<div class="predictive-search__result-item-content">';
+        item += '<p class="predictive-search__result-item-title">' + highlight(article.title) + '</p>';
+        item += '</div>';
+        item += '</a>';
+        return item;
+      });
+
+      // Pages
+      html += this._renderGroup('pages', window.theme?.strings?.pages || 'الصفحات', pages, function (page) {
+        var item = '<a href="' + page.url + '" class="predictive-search__result-item" role="option" aria-selected="false" data-search-option>';
+        item += '<div class="predictive-search__result-item-content">';
+        item += '<p class="predictive-search__result-item-title">' + highlight(page.title) + '</p>';
+        item += '</div>';
+        item += '</a>';
+        return item;
+      });
+
+      html += '</div>';
+
+      // View all link (RTL: arrow should point left); the count is filled in once fetched
+      html += '<a href="' + window.Shopify.routes.root + 'search?q=' + encodeURIComponent(query) + '" class="predictive-search__view-all" role="option" aria-selected="false" data-search-option data-search-terms="' + Sallety.utils.escapeAttr(query) + '" data-search-view-all>';
+      html += '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="rtl-flip"><line x1="19" y1="12" x2="5" y2="12"></line><polyline points="12 19 5 12 12 5"></polyline></svg>';
+      html += '<span data-search-view-all-label>' + (window.theme?.strings?.view_all || 'عرض جميع النتائج') + '</span>';
+      html += '</a>';
+
+      html += '</div>';
+      html += '</div>';
+
+      if (this.resultsContainer) {
+        this.resultsContainer.insertAdjacentHTML('beforeend', html);
+        this._setControls(this.RESULTS_LISTBOX_ID);
+        this._updateViewAllCount(query, signal);
+        this._updateGroupCounts(query, signal);
       }
     },
 
     /**
-     * Hide loading state
+     * Build one result group with its heading. Groups the search page can count
+     * get a badge, filled in with the real total by _updateGroupCounts. The
+     * visible heading is hidden from assistive tech, which reads the group's
+     * aria-label instead, so the listbox holds nothing but groups and options.
+     * @param {string} type - Resource type, used for the group class and count badge
+     * @param {string} title - Group heading
+     * @param {Array<Object>} items - Suggest API resources
+     * @param {Function} renderItem - Returns the HTML for one resource
+     * @returns {string} Group HTML, or an empty string when there are no items
      */
-    _hideLoading: function () {
-      if (this.loading) {
-        this.loading.classList.add('hidden');
-      }
-      if (this.content) {
-        this.content.classList.add('is-visible');
+    _renderGroup: function (type, title, items, renderItem) {
+      if (items.length === 0) return '';
+
+      var html = '<div class="predictive-search__result-group predictive-search__result-group--' + type + '" role="group" aria-label="' + Sallety.utils.escapeAttr(title) + '" data-search-group-title="' + Sallety.utils.escapeAttr(title) + '">';
+      html += '<h4 class="predictive-search__result-group-title" aria-hidden="true">';
+      html += '<span>' + title + '</span>';
+      if (this.COUNT_TYPES[type]) {
+        html += '<span class="predictive-search__result-group-count hidden" data-search-group-count="' + type + '"></span>';
       }
+      html += '</h4>';
+      html += items.map(renderItem).join('');
+      html += '</div>';
+      return html;
     },
 
     /**
-     * Fetch product data from Shopify
-     * @param {string} handle - Product handle
-     * @returns {Promise<Object>} Product data
+     * Show the search page's total on the "view all" link
+     * @param {string} query - Query the link searches for
+     * @param {AbortSignal} [signal] - Signal to cancel the request
      */
-    _fetchProduct: function (handle) {
-      var root = (window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || '/';
-      // Ensure root ends with /
-      if (root.charAt(root.length - 1) !== '/') {
-        root = root + '/';
-      }
-      var encodedHandle = encodeURIComponent(handle);
-      var jsUrl = root + 'products/' + encodedHandle + '.js';
+    _updateViewAllCount: function (query, signal) {
+      var self = this;
 
-      console.log('[Sallety] Quick view fetching product:', jsUrl);
+      this._fetchResultsCount(query, signal)
+        .then(function (count) {
+          if (!count || !self.resultsContainer) return;
 
-      return fetch(jsUrl, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest'
-        }
-      })
-        .then(function (response) {
-          console.log('[Sallety] Quick view fetch response status:', response.status, 'url:', response.url);
-          if (!response.ok) {
-            throw new Error('Product not found (' + response.status + ')');
-          }
-          // Check if we got redirected (e.g., to password page)
-          var contentType = response.headers.get('content-type');
-          if (contentType && contentType.indexOf('application/json') === -1 && contentType.indexOf('text/javascript') === -1) {
-            console.warn('[Sallety] Unexpected content type:', contentType);
-          }
-          return response.text();
-        })
-        .then(function (text) {
-          try {
-            var data = JSON.parse(text);
-            return data;
-          } catch (parseError) {
-            console.error('[Sallety] Failed to parse product JSON. Response text (first 200 chars):', text.substring(0, 200));
-            throw new Error('Invalid JSON response from product endpoint');
-          }
+          // Ignore counts for a query that has since been replaced
+          var link = self.resultsContainer.querySelector('[data-search-view-all]');
+          if (!link || link.dataset.searchTerms !== query) return;
+
+          var label = link.querySelector('[data-search-view-all-label]');
+          var template = self.resultsContainer.dataset.viewAllCount || 'عرض جميع النتائج ([count])';
+          if (label) label.textContent = template.replace('[count]', count);
         })
-        .catch(function (jsError) {
-          console.warn('[Sallety] .js endpoint failed:', jsError.message);
-          // Try .json endpoint as fallback
-          var jsonUrl = root + 'products/' + encodedHandle + '.json';
-          return fetch(jsonUrl, {
-            method: 'GET',
-            headers: {
-              'Accept': 'application/json',
-              'X-Requested-With': 'XMLHttpRequest'
-            }
-          })
-            .then(function (response) {
-              if (!response.ok) throw new Error('Product not found via .json (' + response.status + ')');
-              return response.json();
-            })
-            .then(function (data) {
-              return data.product || data;
-            })
-            .catch(function (jsonError) {
-              console.error('[Sallety] Both .js and .json endpoints failed. .js error:', jsError.message, '.json error:', jsonError.message);
-              // Final fallback: try Section Rendering API
-              return fetch(root + 'products/' + encodedHandle, {
-                headers: {
-                  'X-Requested-With': 'XMLHttpRequest'
-                }
-              })
-                .then(function (response) {
-                  if (!response.ok) throw new Error('Product page not found (' + response.status + ')');
-                  return response.text();
-                })
-                .then(function (html) {
-                  // Extract product JSON from the page's script tag
-                  var jsonMatch = html.match(/var\s+meta\s*=\s*(\{[\s\S]*?\});/) ||
-                    html.match(/"product"\s*:\s*(\{[\s\S]*?\})\s*[,}]/);
-                  if (jsonMatch) {
-                    try {
-                      var productData = JSON.parse(jsonMatch[1]);
-                      if (productData.product) return productData.product;
-                      return productData;
-                    } catch (e) {
-                      // Fall through
-                    }
-                  }
-                  throw new Error('Could not extract product data from page');
-                });
-            });
+        .catch(function (error) {
+          if (error.name === 'AbortError') return;
+          console.error('[Sallety] Search count error:', error);
         });
     },
 
     /**
-     * Get first available variant
-     * @param {Object} product - Product object
-     * @returns {Object} First available variant or first variant
+     * Show each group's total on the search page in its heading badge
+     * @param {string} query - Query the groups are for
+     * @param {AbortSignal} [signal] - Signal to cancel the requests
      */
-    _getFirstAvailableVariant: function (product) {
-      if (!product || !product.variants) return null;
-
-      var available = product.variants.find(function (v) {
-        return v.available;
+    _updateGroupCounts: function (query, signal) {
+      var self = this;
+      if (!this.resultsContainer) return;
+
+      this.resultsContainer.querySelectorAll('[data-search-group-count]').forEach(function (badge) {
+        self._fetchResultsCount(query, signal, self.COUNT_TYPES[badge.dataset.searchGroupCount])
+          .then(function (count) {
+            // The badge is gone once newer results replaced these
+            if (count === null || !badge.isConnected) return;
+            badge.textContent = count;
+            badge.classList.remove('hidden');
+
+            var group = badge.closest('[data-search-group-title]');
+            if (group) group.setAttribute('aria-label', group.dataset.searchGroupTitle + ' (' + count + ')');
+          })
+          .catch(function (error) {
+            if (error.name === 'AbortError') return;
+            console.error('[Sallety] Search group count error:', error);
+          });
       });
-
-      return available || product.variants[0];
     },
 
     /**
-     * Render product in the modal
-     * @param {Object} product - Product object
-     * @param {string} handle - Product handle for URL construction
+     * Render no results state
      */
-    _renderProduct: function (product, handle) {
-      var self = this;
-      var template = document.getElementById('quick-view-template');
-      if (!template || !this.content) return;
+    _renderNoResults: function (query) {
+      this._setActive(null);
 
-      // Clone template
-      var clone = template.content.cloneNode(true);
-      var container = clone.querySelector('.quick-view-product');
-      if (!container) return;
+      var html = '<div class="predictive-search__results" dir="rtl">';
+      html += '<div class="predictive-search__no-results">';
+      html += '<svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" class="predictive-search__no-results-icon"><circle cx="11" cy="11" r="8"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line><line x1="8" y1="8" x2="14" y2="14"></line><line x1="14" y1="8" x2="8" y2="14"></line></svg>';
+      html += '<p class="text-foreground font-medium mb-1">' + (window.theme?.strings?.no_results || 'لا توجد نتائج') + '</p>';
+      html += '<p class="text-sm text-secondary">' + (window.theme?.strings?.no_results_for || 'لم نجد نتائج لـ') + ' "' + Sallety.utils.escapeHtml(query) + '"</p>';
+      html += '</div>';
+      html += '</div>';
 
+      if (this.resultsContainer) {
+        var existingResults = this.resultsContainer.querySelector('.predictive-search__results');
+        if (existingResults) existingResults.remove();
+        this.resultsContainer.insertAdjacentHTML('beforeend', html);
+      }
+    },
 
-      // Build carousel slides
-      var carouselTrack = container.querySelector('[data-qv-carousel-track]');
-      var navArrows = container.querySelector('[data-qv-nav-arrows]');
-      var dotsContainer = container.querySelector('[data-qv-dots]');
-      var counterEl = container.querySelector('[data-qv-counter]');
-      var counterCurrentEl = container.querySelector('[data-qv-counter-current]');
-      var counterTotalEl = container.querySelector('[data-qv-counter-total]');
+    /**
+     * Render the error state with a button to search again
+     * @param {string} query - Query that failed
+     */
+    _renderError: function (query) {
+      this._setActive(null);
+      if (this.loadingEl) this.loadingEl.classList.remove('is-visible');
+      if (this.emptyEl) this.emptyEl.classList.add('is-hidden');
 
-      if (carouselTrack && product.images && product.images.length > 0) {
-        // Create slides
-        product.images.forEach(function (image, index) {
-          var slide = document.createElement('div');
-          slide.className = 'quick-view-product__slide' + (index === 0 ? ' is-active' : '');
-          slide.dataset.qvSlide = '';
-          slide.dataset.index = index;
+      var message = (this.resultsContainer && this.resultsContainer.dataset.errorMessage) || 'تعذر البحث الآن. تحقق من اتصالك وحاول مرة أخرى.';
+      var retryLabel = (this.resultsContainer && this.resultsContainer.dataset.retryLabel) || 'إعادة المحاولة';
 
-          var img = document.createElement('img');
-          img.src = self._getSizedImageUrl(image, '800x');
-          img.alt = (product.title || '') + ' - ' + (index + 1);
-          img.width = 800;
-          img.height = 800;
-          img.loading = index === 0 ? 'eager' : 'lazy';
-          slide.appendChild(img);
-          carouselTrack.appendChild(slide);
-        });
+      var html = '<div class="predictive-search__results" dir="rtl">';
+      html += '<div class="predictive-search__error" role="alert">';
+      html += '<svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" class="predictive-search__no-results-icon" aria-hidden="true"><circle cx="12" cy="12" r="10"></circle><line x1="12" y1="8" x2="12" y2="12"></line><line x1="12" y1="16" x2="12.01" y2="16"></line></svg>';
+      html += '<p class="text-foreground font-medium mb-4">' + Sallety.utils.escapeHtml(message) + '</p>';
+      html += '<button type="button" class="predictive-search__retry" data-search-retry="' + Sallety.utils.escapeAttr(query) + '">' + Sallety.utils.escapeHtml(retryLabel) + '</button>';
+      html += '</div>';
+      html += '</div>';
 
-        // Show navigation elements if multiple images
-        if (product.images.length > 1) {
-          // Show nav arrows
-          if (navArrows) {
-            navArrows.classList.remove('hidden');
-            var prevBtn = container.querySelector('[data-qv-prev]');
-            var nextBtn = container.querySelector('[data-qv-next]');
+      if (this.resultsContainer) {
+        var existingResults = this.resultsContainer.querySelector('.predictive-search__results');
+        if (existingResults) existingResults.remove();
+        this.resultsContainer.insertAdjacentHTML('beforeend', html);
+      }
+    },
 
-            if (prevBtn) {
-              prevBtn.addEventListener('click', function () {
-                self._qvGoToSlide(container, self._qvCurrentIndex - 1, product.images.length);
-              });
-            }
-            if (nextBtn) {
-              nextBtn.addEventListener('click', function () {
-                self._qvGoToSlide(container, self._qvCurrentIndex + 1, product.images.length);
-              });
-            }
-          }
+    /**
+     * Options the arrow keys can reach right now (results, or recent and popular searches)
+     * @returns {Array<HTMLElement>} Visible options in document order
+     */
+    _getOptions: function () {
+      if (!this.resultsContainer) return [];
+      return Array.from(this.resultsContainer.querySelectorAll('[data-search-option]')).filter(function (option) {
+        return option.offsetParent !== null;
+      });
+    },
 
-          // Build dots
-          if (dotsContainer) {
-            dotsContainer.classList.remove('hidden');
-            product.images.forEach(function (image, index) {
-              var dot = document.createElement('button');
-              dot.type = 'button';
-              dot.className = 'quick-view-product__dot' + (index === 0 ? ' is-active' : '');
-              dot.dataset.qvDotIndex = index;
-              dot.addEventListener('click', function () {
-                self._qvGoToSlide(container, index, product.images.length);
-              });
-              dotsContainer.appendChild(dot);
-            });
-          }
+    /**
+     * The option currently highlighted from the keyboard
+     * @returns {HTMLElement|null} Active option
+     */
+    _getActiveOption: function () {
+      var active = this.resultsContainer ? this.resultsContainer.querySelector('[data-search-option].is-active') : null;
+      return active && active.offsetParent !== null ? active : null;
+    },
 
-          // Show counter
-          if (counterEl && counterCurrentEl && counterTotalEl) {
-            counterEl.classList.remove('hidden');
-            counterCurrentEl.textContent = '1';
-            counterTotalEl.textContent = product.images.length;
-          }
+    /**
+     * Move the highlight up or down, wrapping at the ends
+     * @param {number} step - 1 for down, -1 for up
+     */
+    _moveActive: function (step) {
+      var options = this._getOptions();
+      if (options.length === 0) return;
 
-          // Setup touch swipe on carousel
-          var carouselEl = container.querySelector('[data-qv-carousel]');
-          this._setupQvSwipe(carouselEl, container, product.images.length);
+      var index = options.indexOf(this._getActiveOption());
+      if (index === -1) {
+        index = step > 0 ? 0 : options.length - 1;
+      } else {
+        index = (index + step + options.length) % options.length;
+      }
+      this._setActive(options[index]);
+    },
 
-          // Keyboard navigation for carousel (matching product gallery)
-          var totalImgs = product.images.length;
-          this._qvKeyboardHandler = function (e) {
-            if (!self.modal || !self.modal.classList.contains('is-open')) return;
-            var isRTL = document.documentElement.dir === 'rtl';
-            if (e.key === 'ArrowLeft') {
-              e.preventDefault();
-              var dir = isRTL ? 1 : -1;
-              self._qvGoToSlide(container, self._qvCurrentIndex + dir, totalImgs);
-            } else if (e.key === 'ArrowRight') {
-              e.preventDefault();
-              var dir = isRTL ? -1 : 1;
-              self._qvGoToSlide(container, self._qvCurrentIndex + dir, totalImgs);
-            }
-          };
-          document.addEventListener('keydown', this._qvKeyboardHandler);
-        }
+    /**
+     * Highlight an option and point the input's aria-activedescendant at it
+     * @param {HTMLElement|null} option - Option to highlight, or null to clear
+     */
+    _setActive: function (option) {
+      if (this.resultsContainer) {
+        this.resultsContainer.querySelectorAll('[data-search-option].is-active').forEach(function (el) {
+          el.classList.remove('is-active');
+          el.setAttribute('aria-selected', 'false');
+        });
       }
 
-      // Set badge (sale)
-      var badgeContainer = container.querySelector('[data-qv-badge]');
-      var badgeText = container.querySelector('[data-qv-badge-text]');
-      if (badgeContainer && badgeText && this.currentVariant) {
-        if (this.currentVariant.compare_at_price && this.currentVariant.compare_at_price > this.currentVariant.price) {
-          var discount = Math.round((1 - this.currentVariant.price / this.currentVariant.compare_at_price) * 100);
-          badgeText.textContent = '-' + discount + '%';
-          badgeContainer.classList.remove('hidden');
-        }
+      if (!option) {
+        if (this.input) this.input.removeAttribute('aria-activedescendant');
+        return;
       }
 
-      // Build thumbnails
-      if (product.images && product.images.length > 1) {
-        var thumbsStrip = container.querySelector('[data-qv-thumbs-strip]');
-        var thumbsTrack = container.querySelector('[data-qv-thumbs-track]');
-        if (thumbsStrip && thumbsTrack) {
-          thumbsStrip.classList.remove('hidden');
+      if (!option.id) {
+        this._optionId += 1;
+        option.id = 'predictive-search-option-' + this._optionId;
+      }
+      option.classList.add('is-active');
+      option.setAttribute('aria-selected', 'true');
+      option.scrollIntoView({ block: 'nearest' });
+      if (this.input) this.input.setAttribute('aria-activedescendant', option.id);
+    },
 
-          product.images.forEach(function (image, index) {
-            var thumbBtn = document.createElement('button');
-            thumbBtn.type = 'button';
-            thumbBtn.className = 'quick-view-thumb' + (index === 0 ? ' is-active' : '');
-            thumbBtn.dataset.qvThumbIndex = index;
+    /**
+     * Point the input's aria-controls at the listboxes now showing
+     * @param {string} ids - Space-separated listbox ids
+     */
+    _setControls: function (ids) {
+      if (!this.input) return;
+      if (ids) {
+        this.input.setAttribute('aria-controls', ids);
+      } else {
+        this.input.removeAttribute('aria-controls');
+      }
+    },
 
-            var thumbImg = document.createElement('img');
-            thumbImg.src = self._getSizedImageUrl(image, '100x');
-            thumbImg.alt = (product.title || '') + ' - ' + (index + 1);
-            thumbImg.width = 60;
-            thumbImg.height = 60;
-            thumbImg.loading = 'lazy';
-            thumbBtn.appendChild(thumbImg);
+    /**
+     * Follow an option's link, remembering the search that led there
+     * @param {HTMLElement} option - Option link
+     */
+    _openOption: function (option) {
+      this._saveRecent(option.dataset.searchTerms || (this.input ? this.input.value : ''));
+      window.location.href = option.href;
+    },
 
-            thumbBtn.addEventListener('click', function () {
-              self._qvGoToSlide(container, index, product.images.length);
-            });
+    /**
+     * Recent searches, newest first
+     * @returns {Array<string>} Search terms
+     */
+    _getRecent: function () {
+      try {
+        var recent = JSON.parse(localStorage.getItem(this.RECENT_KEY));
+        return Array.isArray(recent) ? recent : [];
+      } catch (e) {
+        return [];
+      }
+    },
 
-            thumbsTrack.appendChild(thumbBtn);
-          });
+    /**
+     * Add a search to the top of the recent list
+     * @param {string} terms - Search terms
+     */
+    _saveRecent: function (terms) {
+      terms = (terms || '').trim();
+      if (!terms) return;
 
-          // Thumbnail scroll buttons
-          var thumbPrevBtn = container.querySelector('[data-qv-thumb-prev]');
-          var thumbNextBtn = container.querySelector('[data-qv-thumb-next]');
+      var recent = this._getRecent().filter(function (item) {
+        return item.toLowerCase() !== terms.toLowerCase();
+      });
+      recent.unshift(terms);
 
-          if (thumbPrevBtn) {
-            thumbPrevBtn.addEventListener('click', function () {
-              var scrollAmount = 140;
-              var isRTL = document.documentElement.dir === 'rtl';
-              thumbsTrack.scrollLeft += -1 * scrollAmount * (isRTL ? -1 : 1);
-              setTimeout(function () { self._updateQvThumbScrollState(container); }, 100);
-            });
-          }
+      try {
+        localStorage.setItem(this.RECENT_KEY, JSON.stringify(recent.slice(0, this.RECENT_LIMIT)));
+      } catch (e) { /* ignore */ }
+    },
 
-          if (thumbNextBtn) {
-            thumbNextBtn.addEventListener('click', function () {
-              var scrollAmount = 140;
-              var isRTL = document.documentElement.dir === 'rtl';
-              thumbsTrack.scrollLeft += 1 * scrollAmount * (isRTL ? -1 : 1);
-              setTimeout(function () { self._updateQvThumbScrollState(container); }, 100);
-            });
-          }
+    /**
+     * Remove one search from the recent list
+     * @param {string} terms - Search terms
+     */
+    _removeRecent: function (terms) {
+      var recent = this._getRecent().filter(function (item) {
+        return item !== terms;
+      });
 
-          // Auto-update scroll button state
-          thumbsTrack.addEventListener('scroll', function () {
-            self._updateQvThumbScrollState(container);
-          }, { passive: true });
+      try {
+        localStorage.setItem(this.RECENT_KEY, JSON.stringify(recent));
+      } catch (e) { /* ignore */ }
 
-          // Initial check
-          setTimeout(function () { self._updateQvThumbScrollState(container); }, 100);
-        }
-      }
+      this._setActive(null);
+      this._renderRecent();
+    },
 
-      // Initialize carousel index
-      this._qvCurrentIndex = 0;
+    /**
+     * Render the recent searches in the empty state. The remove buttons go in
+     * their own column beside the listbox, one per row, since a listbox may
+     * only hold options.
+     */
+    _renderRecent: function () {
+      if (!this.recentContainer) return;
 
-      // Set vendor
-      var vendorEl = container.querySelector('[data-qv-vendor]');
-      if (vendorEl && product.vendor) {
-        vendorEl.textContent = product.vendor;
-        vendorEl.classList.remove('hidden');
-      }
+      var self = this;
+      var list = this.recentContainer.querySelector('[data-recent-list]');
+      var actions = this.recentContainer.querySelector('[data-recent-actions]');
+      var recent = this._getRecent();
+      var removeLabel = this.recentContainer.dataset.removeLabel || 'إزالة "[terms]" من عمليات البحث الأخيرة';
 
-      // Set title
-      var titleEl = container.querySelector('[data-qv-title]');
-      if (titleEl) {
-        titleEl.textContent = product.title || '';
-      }
+      this.recentContainer.classList.toggle('hidden', recent.length === 0);
+      if (!list) return;
 
-      // Set price
-      this._updatePrice(container, this.currentVariant);
+      var html = '';
+      var actionsHtml = '';
+      recent.forEach(function (terms) {
+        var safeTerms = Sallety.utils.escapeAttr(terms);
+        html += '<li class="search-modal__recent-item" role="none">';
+        html += '<a href="' + window.Shopify.routes.root + 'search?q=' + encodeURIComponent(terms) + '" class="search-modal__option" role="option" aria-selected="false" data-search-option data-search-terms="' + safeTerms + '">';
+        html += '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline></svg>';
+        html += '<span class="truncate">' + Sallety.utils.escapeHtml(terms) + '</span>';
+        html += '</a>';
+        html += '</li>';
+
+        actionsHtml += '<button type="button" class="search-modal__recent-remove" data-recent-remove="' + safeTerms + '" aria-label="' + Sallety.utils.escapeAttr(removeLabel.replace('[terms]', function () {
+          return terms;
+        })) + '">';
+        actionsHtml += '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';
+        actionsHtml += '</button>';
+      });
+      list.innerHTML = html;
+      if (actions) actions.innerHTML = actionsHtml;
+    }
+  };
 
-      // Set availability
-      this._updateAvailability(container, this.currentVariant);
+  // ============================================================================
+  // CART DRAWER
+  // ============================================================================
 
-      // Set description
-      var descEl = container.querySelector('[data-qv-description]');
-      if (descEl && product.description) {
-        descEl.innerHTML = this._truncateHtml(product.description, 200);
-        descEl.classList.remove('hidden');
-      }
+  /**
+   * Cart Drawer Module
+   * Handles cart drawer functionality including item removal, quantity updates,
+   * and AJAX re-rendering
+   */
+  Sallety.cartDrawer = {
+    drawer: null,
+    content: null,
 
-      // Set variants
-      if (product.variants && product.variants.length > 0 &&
-        (product.variants.length > 1 || (product.variants[0].title && !product.variants[0].title.includes('Default')))) {
-        this._renderVariants(container, product);
-      }
+    /** @type {Object<string, number>} Quantities shown before the server confirmed them, by line key */
+    _optimistic: {},
 
-      // Set form data
-      var variantInput = container.querySelector('[data-qv-variant-id]');
-      if (variantInput && this.currentVariant) {
-        variantInput.value = this.currentVariant.id;
-      }
+    /**
+     * Initialize the cart drawer
+     */
+    init: function () {
+      var self = this;
+      this.drawer = document.getElementById('cart-drawer');
+      if (!this.drawer) return;
 
-      // Set view details link - construct URL from handle if product.url is not available
-      var viewDetailsLink = container.querySelector('[data-qv-view-details]');
-      if (viewDetailsLink) {
-        var root = (window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || '/';
-        if (root.charAt(root.length - 1) !== '/') root = root + '/';
-        viewDetailsLink.href = product.url || (root + 'products/' + (handle || product.handle || ''));
-      }
+      this.content = this.drawer.querySelector('[data-cart-drawer-content]');
+      this._bindEvents();
 
-      // Bind form events
-      this._bindFormEvents(container, product);
+      // Re-render from the section HTML bundled with each cart mutation
+      Sallety.cart.registerSection({
+        id: 'cart-drawer-content',
+        render: function (html) {
+          self._onCartUpdated(html);
+        }
+      });
 
-      // Clear and append content
-      this.content.innerHTML = '';
-      this.content.appendChild(clone);
+      // Each response resets the header count to the server value, so
+      // lay any quantities still in flight back on top of it
+      Sallety.cart.subscribe(function () {
+        if (Object.keys(self._optimistic).length) {
+          self._applyOptimistic();
+        }
+      });
     },
 
     /**
-     * Render variant options
-     * @param {HTMLElement} container - Container element
-     * @param {Object} product - Product object
+     * Bind event listeners
      */
-    _renderVariants: function (container, product) {
+    _bindEvents: function () {
       var self = this;
-      var variantsContainer = container.querySelector('[data-qv-variants]');
-      if (!variantsContainer) return;
 
-      var optionTemplate = document.getElementById('quick-view-variant-option-template');
-      var colorSwatchTemplate = document.getElementById('quick-view-color-swatch-template');
-      var buttonSwatchTemplate = document.getElementById('quick-view-button-swatch-template');
+      // Use event delegation for all cart drawer interactions
+      document.addEventListener('click', function (e) {
+        // Remove item
+        var removeBtn = e.target.closest('[data-cart-remove]');
+        if (removeBtn) {
+          e.preventDefault();
+          var line = parseInt(removeBtn.dataset.cartRemove, 10);
+          if (line) {
+            self.removeItem(line);
+          }
+          return;
+        }
 
-      if (!optionTemplate) return;
+        // Quantity minus
+        var minusBtn = e.target.closest('[data-quantity-minus][data-line]');
+        if (minusBtn && self._isInCartDrawer(minusBtn)) {
+          e.preventDefault();
+          var line = parseInt(minusBtn.dataset.line, 10);
+          var input = minusBtn.closest('[data-quantity-selector]').querySelector('[data-quantity-input]');
+          var currentQty = parseInt(input.value, 10) || 1;
+          if (currentQty > 1) {
+            self.updateQuantity(line, currentQty - 1);
+          }
+          return;
+        }
 
-      // Color keywords for detecting color options
-      var colorKeywords = ['color', 'colour', 'لون', 'اللون'];
+        // Quantity plus
+        var plusBtn = e.target.closest('[data-quantity-plus][data-line]');
+        if (plusBtn && self._isInCartDrawer(plusBtn)) {
+          e.preventDefault();
+          var line = parseInt(plusBtn.dataset.line, 10);
+          var input = plusBtn.closest('[data-quantity-selector]').querySelector('[data-quantity-input]');
+          var currentQty = parseInt(input.value, 10) || 1;
+          var maxQty = parseInt(input.getAttribute('max'), 10) || 99999;
+          var inventoryQty = parseInt(input.dataset.inventoryQuantity, 10) || 99999;
+          var inventoryPolicy = input.dataset.inventoryPolicy;
 
-      product.options.forEach(function (option, optionIndex) {
-        // Handle both formats: options can be strings ("Color") or objects ({name: "Color", position: 1, values: [...]})
-        var optionName = (typeof option === 'object' && option !== null) ? (option.name || option) : option;
-        // Ensure optionName is a string
-        optionName = String(optionName);
+          // Check if we can increase quantity
+          var effectiveMax = (inventoryPolicy === 'deny') ? Math.min(maxQty, inventoryQty) : 99999;
 
-        var optionClone = optionTemplate.content.cloneNode(true);
-        var optionEl = optionClone.querySelector('.quick-view-variant-option');
-        var nameEl = optionClone.querySelector('[data-option-name]');
-        var selectedValueEl = optionClone.querySelector('[data-selected-value]');
-        var valuesContainer = optionClone.querySelector('[data-option-values]');
+          if (currentQty < effectiveMax) {
+            self.updateQuantity(line, currentQty + 1);
+          } else {
+            // Show error that max quantity reached
+            Sallety.notify.warning(window.cartStrings?.max_quantity || 'لقد وصلت للحد الأقصى من الكمية المتاحة');
+          }
+          return;
+        }
+      });
 
-        if (!optionEl || !nameEl || !selectedValueEl || !valuesContainer) return;
+      // Quantity input change
+      document.addEventListener('change', function (e) {
+        var input = e.target.closest('[data-quantity-input][data-line]');
+        if (input && self._isInCartDrawer(input)) {
+          var line = parseInt(input.dataset.line, 10);
+          var newQty = parseInt(input.value, 10) || 1;
+          var maxQty = parseInt(input.getAttribute('max'), 10) || 99999;
+          var inventoryQty = parseInt(input.dataset.inventoryQuantity, 10) || 99999;
+          var inventoryPolicy = input.dataset.inventoryPolicy;
 
-        optionEl.dataset.optionIndex = optionIndex;
-        nameEl.textContent = optionName;
+          // Validate quantity
+          if (newQty < 1) newQty = 1;
 
-        // Get unique values for this option
-        // First try to get values from the option object itself (if available from .js API)
-        var values = [];
-        var seenValues = {};
-        if (typeof option === 'object' && option !== null && Array.isArray(option.values)) {
-          values = option.values;
-        } else {
-          // Fallback: extract unique values from variants
-          product.variants.forEach(function (variant) {
-            var value = variant.options[optionIndex];
-            if (value && !seenValues[value]) {
-              seenValues[value] = true;
-              values.push(value);
-            }
-          });
+          // Check max quantity based on inventory policy
+          var effectiveMax = (inventoryPolicy === 'deny') ? Math.min(maxQty, inventoryQty) : 99999;
+
+          if (newQty > effectiveMax) {
+            newQty = effectiveMax;
+            input.value = newQty;
+            Sallety.notify.warning(window.cartStrings?.max_quantity || 'الكمية المطلوبة غير متوفرة. الحد الأقصى المتاح: ' + effectiveMax);
+          }
+
+          self.updateQuantity(line, newQty);
         }
+      });
 
-        // Determine if this is a color option
-        var isColorOption = colorKeywords.some(function (keyword) {
-          return optionName.toLowerCase().includes(keyword.toLowerCase());
-        });
+      // Cart note update
+      document.addEventListener('change', function (e) {
+        var noteInput = e.target.closest('[data-cart-note]');
+        if (noteInput) {
+          self.updateNote(noteInput.value);
+        }
+      });
+    },
 
-        // Get current selected value
-        var currentValue = self.currentVariant ? self.currentVariant.options[optionIndex] : values[0];
-        selectedValueEl.textContent = currentValue;
+    /**
+     * Check if element is inside cart drawer
+     * @param {HTMLElement} element - Element to check
+     * @returns {boolean}
+     */
+    _isInCartDrawer: function (element) {
+      return element.closest('#cart-drawer') !== null;
+    },
 
-        // Render option values
-        values.forEach(function (value) {
-          var swatchTemplate = isColorOption ? colorSwatchTemplate : buttonSwatchTemplate;
-          if (!swatchTemplate) return;
+    /**
+     * Remove item from cart. The line animates out and the totals drop
+     * straight away; the line comes back if the request fails, and the
+     * shopper can undo the removal for a few seconds after it succeeds.
+     * @param {number} line - Line item index (1-based)
+     */
+    removeItem: function (line) {
+      var self = this;
+      var itemEl = this.drawer.querySelector('[data-cart-item][data-line="' + line + '"]');
+      var key = this._getLineKey(itemEl, line);
+      var removedLine = Sallety.cart.describeLine(itemEl);
 
-          var swatchClone = swatchTemplate.content.cloneNode(true);
-          var label = swatchClone.querySelector('label');
-          var input = swatchClone.querySelector('input');
-          var swatch = swatchClone.querySelector('span');
+      // Animate the item out smoothly
+      if (itemEl) {
+        this._clearLineError(itemEl);
+        itemEl.classList.add('is-removing');
+        itemEl.style.pointerEvents = 'none';
+        // After slide-out animation, collapse the height smoothly
+        var itemHeight = itemEl.offsetHeight;
+        itemEl.style.maxHeight = itemHeight + 'px';
+        itemEl.style.overflow = 'hidden';
 
-          if (!label || !input || !swatch) return;
+        // Wait for slide-out animation, then collapse
+        setTimeout(function () {
+          itemEl.style.maxHeight = '0px';
+          itemEl.style.padding = '0';
+          itemEl.style.margin = '0';
+          itemEl.style.borderWidth = '0';
+        }, 280);
+      }
 
-          label.dataset.optionValue = value;
-          input.name = 'option' + (optionIndex + 1);
-          input.value = value;
+      this._setOptimistic(key, 0);
 
-          if (value === currentValue) {
-            input.checked = true;
+      Sallety.cart.change(key, 0)
+        .then(function () {
+          Sallety.cart.offerUndo(removedLine);
+        })
+        .catch(function (error) {
+          console.error('[Sallety] Remove item error:', error);
+          if (itemEl) {
+            itemEl.classList.remove('is-removing');
+            itemEl.style.opacity = '';
+            itemEl.style.pointerEvents = '';
+            itemEl.style.maxHeight = '';
+            itemEl.style.overflow = '';
+            itemEl.style.padding = '';
+            itemEl.style.margin = '';
+            itemEl.style.borderWidth = '';
           }
+          self._rollback(key, 0, itemEl, error.message || 'حدث خطأ أثناء حذف المنتج');
+        });
+    },
 
-          // Check if this option value is available
-          var isAvailable = product.variants.some(function (variant) {
-            return variant.options[optionIndex] === value && variant.available;
+    /**
+     * Update item quantity. The line, subtotal and cart count show the new
+     * quantity straight away so rapid taps build on each other; the cart
+     * store merges them into one request.
+     * @param {number} line - Line item index (1-based)
+     * @param {number} quantity - New quantity
+     */
+    updateQuantity: function (line, quantity) {
+      var self = this;
+      var itemEl = this.drawer.querySelector('[data-cart-item][data-line="' + line + '"]');
+      var key = this._getLineKey(itemEl, line);
+
+      if (itemEl) {
+        this._clearLineError(itemEl);
+        itemEl.classList.add('is-updating');
+      }
+
+      this._setOptimistic(key, quantity);
+
+      Sallety.cart.change(key, quantity)
+        .then(function (cart) {
+          // Check if the quantity was actually updated to what we requested
+          // Shopify may return a lower quantity if stock is insufficient
+          var updatedItem = cart.items.find(function (item, index) {
+            return item.key === key || (index + 1) === key;
           });
 
-          if (!isAvailable) {
-            input.disabled = true;
+          if (updatedItem && updatedItem.quantity < quantity) {
+            // Shopify reduced the quantity due to stock limits
+            Sallety.notify.warning(window.cartStrings?.stock_limited || 'الكمية المتوفرة محدودة. تم تعديل الكمية للحد الأقصى المتاح.');
+          }
+        })
+        .catch(function (error) {
+          console.error('[Sallety] Update quantity error:', error);
+          if (itemEl) {
+            itemEl.classList.remove('is-updating');
           }
+          self._rollback(key, quantity, itemEl, error.message || 'حدث خطأ أثناء تحديث الكمية');
+        });
+    },
 
-          if (isColorOption) {
-            // Set color swatch background
-            var colorValue = self._getColorValue(value);
-            swatch.style.backgroundColor = colorValue;
-            swatch.title = value;
-            swatch.classList.add('color-swatch');
+    /**
+     * Record a quantity the server has not confirmed yet and show it
+     * @param {string|number} key - Line item key or index
+     * @param {number} quantity - Quantity to show
+     */
+    _setOptimistic: function (key, quantity) {
+      this._optimistic[key] = quantity;
+      this._applyOptimistic();
+    },
 
-            // Add white border for light colors
-            if (self._isLightColor(colorValue)) {
-              swatch.style.boxShadow = 'inset 0 0 0 1px rgba(0,0,0,0.1)';
-            }
-          } else {
-            swatch.textContent = value;
-            swatch.classList.add('button-swatch');
-          }
+    /**
+     * Undo a failed optimistic change and explain why on the line itself
+     * @param {string|number} key - Line item key or index
+     * @param {number} quantity - Quantity the failed request asked for
+     * @param {HTMLElement|null} itemEl - Cart item element
+     * @param {string} message - Error message
+     */
+    _rollback: function (key, quantity, itemEl, message) {
+      // A later tap may already be queued for this line; keep showing it
+      if (this._optimistic[key] === quantity) {
+        delete this._optimistic[key];
 
-          // Add change event
-          input.addEventListener('change', function () {
-            self._onVariantChange(container, product, optionIndex, value);
-          });
+        if (itemEl) {
+          this._renderLineQuantity(itemEl, this._getConfirmedLine(key, itemEl).quantity);
+        }
+      }
 
-          valuesContainer.appendChild(swatchClone);
-        });
+      this._applyOptimistic();
+
+      if (itemEl) {
+        this._showLineError(itemEl, message);
+      } else {
+        Sallety.notify.error(message);
+      }
+    },
+
+    /**
+     * Render the last confirmed cart with the unconfirmed quantities applied
+     * to the lines, the drawer subtotal and the [data-cart-count] badge
+     */
+    _applyOptimistic: function () {
+      var self = this;
+      var totals = this._getConfirmedTotals();
+
+      Object.keys(this._optimistic).forEach(function (key) {
+        var quantity = self._optimistic[key];
+        var itemEl = self._findLineElement(key);
+        var confirmed = self._getConfirmedLine(key, itemEl);
+        var delta = quantity - confirmed.quantity;
+
+        totals.item_count += delta;
+        totals.total_price += delta * confirmed.final_price;
+
+        if (itemEl && quantity > 0) {
+          self._renderLineQuantity(itemEl, quantity);
+        }
+      });
+
+      totals.item_count = Math.max(0, totals.item_count);
+      totals.total_price = Math.max(0, totals.total_price);
+
+      this._updateCartTotal(totals);
+      Sallety.cart.updateCount(totals.item_count);
+    },
+
+    /**
+     * Get the confirmed cart count and total, from the cart store when it has
+     * a response and otherwise from the rendered drawer
+     * @returns {{item_count: number, total_price: number}}
+     */
+    _getConfirmedTotals: function () {
+      var cart = Sallety.cart.getState();
+      if (cart) {
+        return { item_count: cart.item_count, total_price: cart.total_price };
+      }
+
+      var count = 0;
+      this.drawer.querySelectorAll('[data-cart-item]').forEach(function (el) {
+        count += parseInt(el.dataset.quantity, 10) || 0;
+      });
+
+      var totalEl = this.drawer.querySelector('[data-cart-total]');
+
+      return {
+        item_count: count,
+        total_price: totalEl ? parseInt(totalEl.dataset.totalPrice, 10) || 0 : 0
+      };
+    },
+
+    /**
+     * Get a line's confirmed quantity and unit price
+     * @param {string|number} key - Line item key or index
+     * @param {HTMLElement|null} itemEl - Cart item element
+     * @returns {{quantity: number, final_price: number}}
+     */
+    _getConfirmedLine: function (key, itemEl) {
+      var cart = Sallety.cart.getState();
+      var item = cart ? cart.items.find(function (lineItem, index) {
+        return lineItem.key === key || (index + 1) === key;
+      }) : null;
+
+      if (item) {
+        return { quantity: item.quantity, final_price: item.final_price };
+      }
+
+      var finalPrice = itemEl ? parseInt(itemEl.dataset.finalPrice, 10) || 0 : 0;
+
+      // A line missing from a known cart has already been removed
+      if (cart) {
+        return { quantity: 0, final_price: finalPrice };
+      }
+
+      return {
+        quantity: itemEl ? parseInt(itemEl.dataset.quantity, 10) || 0 : 0,
+        final_price: finalPrice
+      };
+    },
+
+    /**
+     * Find a rendered line by key or index
+     * @param {string|number} key - Line item key or index
+     * @returns {HTMLElement|null}
+     */
+    _findLineElement: function (key) {
+      var attr = typeof key === 'number' ? 'data-line' : 'data-item-key';
+      return this.drawer.querySelector('[data-cart-item][' + attr + '="' + CSS.escape(String(key)) + '"]');
+    },
+
+    /**
+     * Show a quantity on a line: inputs, line prices and the unit price breakdown
+     * @param {HTMLElement} itemEl - Cart item element
+     * @param {number} quantity - Quantity to show
+     */
+    _renderLineQuantity: function (itemEl, quantity) {
+      var finalPrice = parseInt(itemEl.dataset.finalPrice, 10);
+      var originalPrice = parseInt(itemEl.dataset.originalPrice, 10);
+
+      itemEl.querySelectorAll('[data-quantity-input]').forEach(function (el) {
+        el.value = quantity;
+      });
+
+      var quantityDisplay = itemEl.querySelector('[data-item-quantity-display]');
+      if (quantityDisplay) {
+        quantityDisplay.textContent = quantity;
+      }
+
+      var unitPrice = itemEl.querySelector('[data-item-unit-price]');
+      if (unitPrice) {
+        unitPrice.classList.toggle('hidden', quantity <= 1);
+      }
+
+      var finalPriceEl = itemEl.querySelector('[data-item-final-price]');
+      if (finalPriceEl && !isNaN(finalPrice)) {
+        finalPriceEl.textContent = Sallety.utils.formatMoney(finalPrice * quantity);
+      }
+
+      var originalPriceEl = itemEl.querySelector('[data-item-original-price]');
+      if (originalPriceEl && !isNaN(originalPrice)) {
+        originalPriceEl.textContent = Sallety.utils.formatMoney(originalPrice * quantity);
+      }
+    },
+
+    /**
+     * Show an error message inside a cart line
+     * @param {HTMLElement} itemEl - Cart item element
+     * @param {string} message - Error message
+     */
+    _showLineError: function (itemEl, message) {
+      this._clearLineError(itemEl);
+
+      var errorEl = document.createElement('p');
+      errorEl.className = 'cart-item-error mt-2 text-xs font-medium text-error';
+      errorEl.setAttribute('role', 'alert');
+      errorEl.setAttribute('data-cart-item-error', '');
+      errorEl.textContent = message;
+
+      itemEl.appendChild(errorEl);
+    },
+
+    /**
+     * Remove a line's error message
+     * @param {HTMLElement} itemEl - Cart item element
+     */
+    _clearLineError: function (itemEl) {
+      var errorEl = itemEl.querySelector('[data-cart-item-error]');
+      if (errorEl) {
+        errorEl.remove();
+      }
+    },
+
+    /**
+     * Update cart note
+     * @param {string} note - Cart note text
+     */
+    updateNote: function (note) {
+      Sallety.cart.updateNote(note)
+        .catch(function (error) {
+          console.error('[Sallety] Update note error:', error);
+        });
+    },
+
+    /**
+     * Get the identifier used to change a line - its key when rendered,
+     * so queued changes still target the right line after others are removed
+     * @param {HTMLElement|null} itemEl - Cart item element
+     * @param {number} line - Line item index (1-based)
+     * @returns {string|number} Line item key or index
+     */
+    _getLineKey: function (itemEl, line) {
+      return (itemEl && itemEl.dataset.itemKey) || line;
+    },
+
+    /**
+     * Handle cart updated. The cart store calls this once its queue has
+     * drained, so the drawer re-renders once per burst of changes.
+     * @param {string|null} html - Drawer section HTML from the cart response
+     */
+    _onCartUpdated: function (html) {
+      if (html) {
+        this._renderCartContent(html);
+        return;
+      }
+
+      // The response had no section HTML, so fetch it (even when closed, so it is ready to open)
+      this.refresh();
+    },
+
+    /**
+     * Update cart total display
+     * @param {Object} cart - Cart object
+     */
+    _updateCartTotal: function (cart) {
+      var totalEl = this.drawer.querySelector('[data-cart-total]');
+      if (totalEl) {
+        totalEl.textContent = Sallety.utils.formatMoney(cart.total_price);
+      }
+
+      var countTextEl = this.drawer.querySelector('[data-cart-count-text]');
+      if (countTextEl) {
+        var countText = cart.item_count === 0
+          ? (window.cartStrings?.empty || 'لا توجد منتجات')
+          : (cart.item_count === 1
+            ? (window.cartStrings?.one_item || 'منتج واحد')
+            : (window.cartStrings?.items || '[count] منتجات').replace('[count]', cart.item_count));
+        countTextEl.textContent = countText;
+      }
+    },
+
+    /**
+     * Refresh cart drawer content via AJAX
+     */
+    refresh: function () {
+      var self = this;
+
+      // Add loading state
+      if (this.content) {
+        this.content.classList.add('is-loading');
+      }
+
+      // Fetch fresh cart drawer HTML using the section
+      var url = window.routes?.root_url || '/';
+      url = url + '?section_id=cart-drawer-content';
+
+      fetch(url, {
+        headers: {
+          'X-Requested-With': 'XMLHttpRequest'
+        }
+      })
+        .then(function (response) {
+          if (!response.ok) throw new Error('Failed to fetch cart');
+          return response.text();
+        })
+        .then(function (html) {
+          // Another cart:updated follows once the queue drains; rendering this
+          // now would flash quantities older than the ones on screen
+          if (Sallety.cart.isBusy()) return;
+          self._renderCartContent(html);
+        })
+        .catch(function (error) {
+          console.error('[Sallety] Refresh cart error:', error);
+          // Fallback: reload the page section
+          self._refreshFallback();
+        })
+        .finally(function () {
+          if (self.content) {
+            self.content.classList.remove('is-loading');
+          }
+        });
+    },
+
+    /**
+     * Render cart content from HTML
+     * @param {string} html - HTML string
+     */
+    _renderCartContent: function (html) {
+      var parser = new DOMParser();
+      var doc = parser.parseFromString(html, 'text/html');
+
+      // Try to find the cart drawer content in the response
+      var newContent = doc.querySelector('[data-cart-drawer-content]');
+      var newFooter = doc.querySelector('[data-cart-drawer-footer]');
+
+      if (newContent && this.content) {
+        this.content.innerHTML = newContent.innerHTML;
+        Sallety.cart.applyLineOrder(this.content);
+      }
+
+      // The rendered lines now hold the confirmed quantities
+      this._optimistic = {};
+
+      // Update footer (totals, buttons)
+      var currentFooter = this.drawer.querySelector('[data-cart-drawer-footer]') ||
+        this.drawer.querySelector('.flex-shrink-0.border-t');
+
+      if (newFooter) {
+        if (currentFooter) {
+          currentFooter.outerHTML = newFooter.outerHTML;
+        } else {
+          // Footer doesn't exist, append it
+          this.drawer.insertAdjacentHTML('beforeend', newFooter.outerHTML);
+        }
+      } else if (currentFooter) {
+        // Cart is empty, remove footer
+        currentFooter.remove();
+      }
+
+      // Re-bind any necessary events
+      this._updateCartCountText();
+    },
+
+    /**
+     * Fallback refresh using cart.js
+     */
+    _refreshFallback: function () {
+      var self = this;
+
+      Sallety.cart.get()
+        .then(function (cart) {
+          self._updateCartTotal(cart);
+          self._updateCartCountText();
+
+          // If cart is empty, show empty state
+          if (cart.item_count === 0) {
+            self._renderEmptyState();
+          }
+        })
+        .catch(function (error) {
+          console.error('[Sallety] Fallback refresh error:', error);
+        });
+    },
+
+    /**
+     * Update cart count text in header
+     */
+    _updateCartCountText: function () {
+      var self = this;
+      var state = Sallety.cart.getState();
+
+      (state ? Promise.resolve(state) : Sallety.cart.get())
+        .then(function (cart) {
+          var countTextEl = self.drawer.querySelector('[data-cart-count-text]');
+          if (countTextEl) {
+            var countText = cart.item_count === 0
+              ? (window.cartStrings?.empty || 'لا توجد منتجات')
+              : (cart.item_count === 1
+                ? (window.cartStrings?.one_item || 'منتج واحد')
+                : (window.cartStrings?.items || '[count] منتجات').replace('[count]', cart.item_count));
+            countTextEl.textContent = countText;
+          }
+        });
+    },
+
+    /**
+     * Render empty cart state
+     */
+    _renderEmptyState: function () {
+      if (!this.content) return;
+
+      var emptyHtml = '<div class="flex flex-col items-center justify-center h-full px-5 py-12 text-center">' +
+        '<div class="w-24 h-24 rounded-full bg-border/30 flex items-center justify-center mb-6">' +
+        '<svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" class="text-secondary">' +
+        '<circle cx="9" cy="21" r="1"></circle>' +
+        '<circle cx="20" cy="21" r="1"></circle>' +
+        '<path d="M1 1h4l2.68 13.39a2 2 0 0 0 2 1.61h9.72a2 2 0 0 0 2-1.61L23 6H6"></path>' +
+        '</svg>' +
+        '</div>' +
+        '<h3 class="text-lg font-semibold text-foreground mb-2">' + (window.cartStrings?.empty || 'سلة التسوق فارغة') + '</h3>' +
+        '<p class="text-sm text-secondary mb-6 max-w-[250px]">' + (window.cartStrings?.empty_description || 'لم تقم بإضافة أي منتجات إلى سلة التسوق بعد') + '</p>' +
+        '<a href="' + (window.routes?.all_products_collection_url || '/collections/all') + '" class="inline-flex items-center gap-2 px-6 py-3 rounded-full bg-primary text-white font-medium hover:bg-primary/90 transition-all duration-200 shadow-lg shadow-primary/25">' +
+        '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">' +
+        '<path d="M6 2L3 6v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2V6l-3-4z"></path>' +
+        '<line x1="3" y1="6" x2="21" y2="6"></line>' +
+        '<path d="M16 10a4 4 0 0 1-8 0"></path>' +
+        '</svg>' +
+        (window.cartStrings?.continue_shopping || 'متابعة التسوق') +
+        '</a>' +
+        '</div>';
+
+      this.content.innerHTML = emptyHtml;
+
+      // Hide footer when cart is empty
+      var footer = this.drawer.querySelector('.flex-shrink-0.border-t');
+      if (footer) {
+        footer.style.display = 'none';
+      }
+    },
+
+    /**
+     * Open cart drawer
+     */
+    open: function () {
+      Sallety.drawer.open('cart-drawer');
+    },
+
+    /**
+     * Close cart drawer
+     */
+    close: function () {
+      Sallety.drawer.close('cart-drawer');
+    }
+  };
+
+  // ============================================================================
+  // QUICK VIEW MODAL
+  // ============================================================================
+
+  /**
+   * Quick View Modal Module
+   * Handles the quick view modal with full product details
+   */
+  Sallety.quickView = {
+    modal: null,
+    overlay: null,
+    content: null,
+    loading: null,
+    currentProduct: null,
+    currentVariant: null,
+    currentTrigger: null,
+
+    /**
+     * Initialize the quick view modal
+     */
+    init: function () {
+      this.modal = document.getElementById('quick-view-modal');
+      if (!this.modal) return;
+
+      this.overlay = this.modal.querySelector('.quick-view-modal__overlay');
+      this.content = this.modal.querySelector('[data-quick-view-content]');
+      this.loading = this.modal.querySelector('[data-quick-view-loading]');
+
+      this._bindEvents();
+    },
+
+    /**
+     * Bind event listeners
+     */
+    _bindEvents: function () {
+      var self = this;
+
+      // Quick view trigger buttons
+      document.addEventListener('click', function (e) {
+        var trigger = e.target.closest('[data-quick-view]');
+        if (trigger) {
+          e.preventDefault();
+          e.stopPropagation();
+          var handle = trigger.dataset.quickView;
+          if (handle) {
+            self.open(handle, trigger);
+          }
+        }
+
+        // Close button
+        var closeBtn = e.target.closest('[data-quick-view-close]');
+        if (closeBtn) {
+          self.close();
+        }
+      });
+
+      // Escape key to close
+      document.addEventListener('keydown', function (e) {
+        if (e.key === 'Escape' && self.modal && self.modal.classList.contains('is-open')) {
+          self.close();
+        }
+      });
+    },
+
+    /**
+     * Open the quick view modal
+     * @param {string} handle - Product handle
+     * @param {HTMLElement} trigger - The button that triggered the modal
+     */
+    open: function (handle, trigger) {
+      if (!this.modal || !handle) return;
+
+      var self = this;
+
+      this.currentTrigger = trigger || null;
+      if (this.currentTrigger) {
+        this.currentTrigger.classList.add('is-loading');
+      }
+
+      this.modal.classList.add('is-open');
+      document.body.style.overflow = 'hidden';
+      this._showLoading();
+
+      this._fetchProduct(handle)
+        .then(function (product) {
+          if (!product || !product.id) {
+            console.error('[Sallety] Invalid product data:', product);
+            throw new Error('Invalid product data received');
+          }
+          self.currentProduct = product;
+          self.currentVariant = self._getFirstAvailableVariant(product);
+
+          try {
+            self._renderProduct(product, handle);
+          } catch (renderError) {
+            console.error('[Sallety] Quick view render error:', renderError);
+            throw new Error('render_failed');
+          }
+
+          self._hideLoading();
+          self._clearTriggerLoading();
+        })
+        .catch(function (error) {
+          console.error('[Sallety] Quick view error:', error);
+          self._clearTriggerLoading();
+          self._hideLoading();
+
+          if (self.content) {
+            self.content.innerHTML = '<div style="display: flex; flex-direction: column; align-items: center; justify-content: center; min-height: 300px; padding: 40px; text-align: center;">' +
+              '<svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" style="color: #ef4444; margin-bottom: 16px;"><circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/></svg>' +
+              '<p style="font-size: 16px; font-weight: 500; color: #374151; margin-bottom: 8px;">عذراً، حدث خطأ</p>' +
+              '<p style="font-size: 14px; color: #6b7280;">لم نتمكن من تحميل تفاصيل المنتج</p>' +
+              '</div>';
+            self.content.classList.add('is-visible');
+          }
+        });
+    },
+
+    /**
+     * Clear loading state from trigger button
+     */
+    _clearTriggerLoading: function () {
+      if (this.currentTrigger) {
+        this.currentTrigger.classList.remove('is-loading');
+        this.currentTrigger = null;
+      }
+    },
+
+    /**
+     * Close the quick view modal
+     */
+    close: function () {
+      if (!this.modal) return;
+
+      this.modal.classList.remove('is-open');
+      document.body.style.overflow = '';
+      this.currentProduct = null;
+      this.currentVariant = null;
+      this._clearTriggerLoading();
+
+      if (this.content) Sallety.utils.pauseMedia(this.content);
+
+      // Remove keyboard handler for carousel
+      if (this._qvKeyboardHandler) {
+        document.removeEventListener('keydown', this._qvKeyboardHandler);
+        this._qvKeyboardHandler = null;
+      }
+
+      // Reset content
+      if (this.content) {
+        this.content.innerHTML = '';
+        this.content.classList.remove('is-visible');
+      }
+    },
+
+    /**
+     * Show loading state
+     */
+    _showLoading: function () {
+      if (this.loading) {
+        this.loading.classList.remove('hidden');
+      }
+      if (this.content) {
+        this.content.classList.remove('is-visible');
+      }
+    },
+
+    /**
+     * Hide loading state
+     */
+    _hideLoading: function () {
+      if (this.loading) {
+        this.loading.classList.add('hidden');
+      }
+      if (this.content) {
+        this.content.classList.add('is-visible');
+      }
+    },
+
+    /**
+     * Fetch product data from Shopify
+     * @param {string} handle - Product handle
+     * @returns {Promise<Object>} Product data
+     */
+    _fetchProduct: function (handle) {
+      var root = (window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || '/';
+      // Ensure root ends with /
+      if (root.charAt(root.length - 1) !== '/') {
+        root = root + '/';
+      }
+      var encodedHandle = encodeURIComponent(handle);
+      var jsUrl = root + 'products/' + encodedHandle + '.js';
+
+      console.log('[Sallety] Quick view fetching product:', jsUrl);
+
+      return fetch(jsUrl, {
+        method: 'GET',
+        headers: {
+          'Accept': 'application/json',
+          'X-Requested-With': 'XMLHttpRequest'
+        }
+      })
+        .then(function (response) {
+          console.log('[Sallety] Quick view fetch response status:', response.status, 'url:', response.url);
+          if (!response.ok) {
+            throw new Error('Product not found (' + response.status + ')');
+          }
+          // Check if we got redirected (e.g., to password page)
+          var contentType = response.headers.get('content-type');
+          if (contentType && contentType.indexOf('application/json') === -1 && contentType.indexOf('text/javascript') === -1) {
+            console.warn('[Sallety] Unexpected content type:', contentType);
+          }
+          return response.text();
+        })
+        .then(function (text) {
+          try {
+            var data = JSON.parse(text);
+            return data;
+          } catch (parseError) {
+            console.error('[Sallety] Failed to parse product JSON. Response text (first 200 chars):', text.substring(0, 200));
+            throw new Error('Invalid JSON response from product endpoint');
+          }
+        })
+        .catch(function (jsError) {
+          console.warn('[Sallety] .js endpoint failed:', jsError.message);
+          // Try .json endpoint as fallback
+          var jsonUrl = root + 'products/' + encodedHandle + '.json';
+          return fetch(jsonUrl, {
+            method: 'GET',
+            headers: {
+              'Accept': 'application/json',
+              'X-Requested-With': 'XMLHttpRequest'
+            }
+          })
+            .then(function (response) {
+              if (!response.ok) throw new Error('Product not found via .json (' + response.status + ')');
+              return response.json();
+            })
+            .then(function (data) {
+              return data.product || data;
+            })
+            .catch(function (jsonError) {
+              console.error('[Sallety] Both .js and .json endpoints failed. .js error:', jsError.message, '.json error:', jsonError.message);
+              // Final fallback: try Section Rendering API
+              return fetch(root + 'products/' + encodedHandle, {
+                headers: {
+                  'X-Requested-With': 'XMLHttpRequest'
+                }
+              })
+                .then(function (response) {
+                  if (!response.ok) throw new Error('Product page not found (' + response.status + ')');
+                  return response.text();
+                })
+                .then(function (html) {
+                  // Extract product JSON from the page's script tag
+                  var jsonMatch = html.match(/var\s+meta\s*=\s*(\{[\s\S]*?\});/) ||
+                    html.match(/"product"\s*:\s*(\{[\s\S]*?\})\s*[,}]/);
+                  if (jsonMatch) {
+                    try {
+                      var productData = JSON.parse(jsonMatch[1]);
+                      if (productData.product) return productData.product;
+                      return productData;
+                    } catch (e) {
+                      // Fall through
+                    }
+                  }
+                  throw new Error('Could not extract product data from page');
+                });
+            });
+        });
+    },
+
+    /**
+     * Get first available variant
+     * @param {Object} product - Product object
+     * @returns {Object} First available variant or first variant
+     */
+    _getFirstAvailableVariant: function (product) {
+      if (!product || !product.variants) return null;
+
+      var available = product.variants.find(function (v) {
+        return v.available;
+      });
+
+      return available || product.variants[0];
+    },
+
+    /**
+     * Render product in the modal
+     * @param {Object} product - Product object
+     * @param {string} handle - Product handle for URL construction
+     */
+    _renderProduct: function (product, handle) {
+      var self = this;
+      var template = document.getElementById('quick-view-template');
+      if (!template || !this.content) return;
+
+      // Clone template
+      var clone = template.content.cloneNode(true);
+      var container = clone.querySelector('.quick-view-product');
+      if (!container) return;
+
+
+      // Build carousel slides
+      var carouselTrack = container.querySelector('[data-qv-carousel-track]');
+      var navArrows = container.querySelector('[data-qv-nav-arrows]');
+      var dotsContainer = container.querySelector('[data-qv-dots]');
+      var counterEl = container.querySelector('[data-qv-counter]');
+      var counterCurrentEl = container.querySelector('[data-qv-counter-current]');
+      var counterTotalEl = container.querySelector('[data-qv-counter-total]');
+
+      var media = this._getMedia(product);
+
+      if (carouselTrack && media.length > 0) {
+        // Create slides
+        media.forEach(function (item, index) {
+          var slide = document.createElement('div');
+          slide.className = 'quick-view-product__slide' + (index === 0 ? ' is-active' : '');
+          slide.dataset.qvSlide = '';
+          slide.dataset.index = index;
+          slide.dataset.mediaType = item.media_type;
+          slide.appendChild(self._createMediaElement(item, product, index));
+          carouselTrack.appendChild(slide);
+        });
+
+        // Show navigation elements if multiple media
+        if (media.length > 1) {
+          // Show nav arrows
+          if (navArrows) {
+            navArrows.classList.remove('hidden');
+            var prevBtn = container.querySelector('[data-qv-prev]');
+            var nextBtn = container.querySelector('[data-qv-next]');
+
+            if (prevBtn) {
+              prevBtn.addEventListener('click', function () {
+                self._qvGoToSlide(container, self._qvCurrentIndex - 1, media.length);
+              });
+            }
+            if (nextBtn) {
+              nextBtn.addEventListener('click', function () {
+                self._qvGoToSlide(container, self._qvCurrentIndex + 1, media.length);
+              });
+            }
+          }
+
+          // Build dots
+          if (dotsContainer) {
+            dotsContainer.classList.remove('hidden');
+            media.forEach(function (item, index) {
+              var dot = document.createElement('button');
+              dot.type = 'button';
+              dot.className = 'quick-view-product__dot' + (index === 0 ? ' is-active' : '');
+              dot.dataset.qvDotIndex = index;
+              dot.addEventListener('click', function () {
+                self._qvGoToSlide(container, index, media.length);
+              });
+              dotsContainer.appendChild(dot);
+            });
+          }
+
+          // Show counter
+          if (counterEl && counterCurrentEl && counterTotalEl) {
+            counterEl.classList.remove('hidden');
+            counterCurrentEl.textContent = '1';
+            counterTotalEl.textContent = media.length;
+          }
+
+          // Setup touch swipe on carousel
+          var carouselEl = container.querySelector('[data-qv-carousel]');
+          this._setupQvSwipe(carouselEl, container, media.length);
+
+          // Keyboard navigation for carousel (matching product gallery)
+          var totalImgs = media.length;
+          this._qvKeyboardHandler = function (e) {
+            if (!self.modal || !self.modal.classList.contains('is-open')) return;
+            // Arrow keys seek videos and turn models
+            if (e.target.closest && e.target.closest('video, model-viewer')) return;
+            var isRTL = document.documentElement.dir === 'rtl';
+            if (e.key === 'ArrowLeft') {
+              e.preventDefault();
+              var dir = isRTL ? 1 : -1;
+              self._qvGoToSlide(container, self._qvCurrentIndex + dir, totalImgs);
+            } else if (e.key === 'ArrowRight') {
+              e.preventDefault();
+              var dir = isRTL ? -1 : 1;
+              self._qvGoToSlide(container, self._qvCurrentIndex + dir, totalImgs);
+            }
+          };
+          document.addEventListener('keydown', this._qvKeyboardHandler);
+        }
+      }
+
+      // Set badge (sale)
+      var badgeContainer = container.querySelector('[data-qv-badge]');
+      var badgeText = container.querySelector('[data-qv-badge-text]');
+      if (badgeContainer && badgeText && this.currentVariant) {
+        if (this.currentVariant.compare_at_price && this.currentVariant.compare_at_price > this.currentVariant.price) {
+          var discount = Math.round((1 - this.currentVariant.price / this.currentVariant.compare_at_price) * 100);
+          badgeText.textContent = '-' + discount + '%';
+          badgeContainer.classList.remove('hidden');
+        }
+      }
+
+      // Build thumbnails
+      if (media.length > 1) {
+        var thumbsStrip = container.querySelector('[data-qv-thumbs-strip]');
+        var thumbsTrack = container.querySelector('[data-qv-thumbs-track]');
+        if (thumbsStrip && thumbsTrack) {
+          thumbsStrip.classList.remove('hidden');
+
+          media.forEach(function (item, index) {
+            var thumbBtn = document.createElement('button');
+            thumbBtn.type = 'button';
+            thumbBtn.className = 'quick-view-thumb' + (index === 0 ? ' is-active' : '');
+            thumbBtn.dataset.qvThumbIndex = index;
+
+            var thumbImg = document.createElement('img');
+            thumbImg.src = self._getSizedImageUrl(self._getMediaPreview(item), '100x');
+            thumbImg.alt = (product.title || '') + ' - ' + (index + 1);
+            thumbImg.width = 60;
+            thumbImg.height = 60;
+            thumbImg.loading = 'lazy';
+            thumbBtn.appendChild(thumbImg);
+
+            // Play or 3D badge for non-image media
+            if (item.media_type !== 'image') {
+              var thumbIcon = document.createElement('span');
+              thumbIcon.className = 'quick-view-thumb__icon';
+              thumbIcon.innerHTML = item.media_type === 'model'
+                ? '<svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M21 16V8a2 2 0 0 0-1-1.73l-7-4a2 2 0 0 0-2 0l-7 4A2 2 0 0 0 3 8v8a2 2 0 0 0 1 1.73l7 4a2 2 0 0 0 2 0l7-4A2 2 0 0 0 21 16z"/></svg>'
+                : '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><polygon points="5 3 19 12 5 21 5 3"/></svg>';
+              thumbBtn.appendChild(thumbIcon);
+            }
+
+            thumbBtn.addEventListener('click', function () {
+              self._qvGoToSlide(container, index, media.length);
+            });
+
+            thumbsTrack.appendChild(thumbBtn);
+          });
+
+          // Thumbnail scroll buttons
+          var thumbPrevBtn = container.querySelector('[data-qv-thumb-prev]');
+          var thumbNextBtn = container.querySelector('[data-qv-thumb-next]');
+
+          if (thumbPrevBtn) {
+            thumbPrevBtn.addEventListener('click', function () {
+              var scrollAmount = 140;
+              var isRTL = document.documentElement.dir === 'rtl';
+              thumbsTrack.scrollLeft += -1 * scrollAmount * (isRTL ? -1 : 1);
+              setTimeout(function () { self._updateQvThumbScrollState(container); }, 100);
+            });
+          }
+
+          if (thumbNextBtn) {
+            thumbNextBtn.addEventListener('click', function () {
+              var scrollAmount = 140;
+              var isRTL = document.documentElement.dir === 'rtl';
+              thumbsTrack.scrollLeft += 1 * scrollAmount * (isRTL ? -1 : 1);
+              setTimeout(function () { self._updateQvThumbScrollState(container); }, 100);
+            });
+          }
+
+          // Auto-update scroll button state
+          thumbsTrack.addEventListener('scroll', function () {
+            self._updateQvThumbScrollState(container);
+          }, { passive: true });
+
+          // Initial check
+          setTimeout(function () { self._updateQvThumbScrollState(container); }, 100);
+        }
+      }
+
+      // Initialize carousel index
+      this._qvCurrentIndex = 0;
+
+      // Set vendor
+      var vendorEl = container.querySelector('[data-qv-vendor]');
+      if (vendorEl && product.vendor) {
+        vendorEl.textContent = product.vendor;
+        vendorEl.classList.remove('hidden');
+      }
+
+      // Set title
+      var titleEl = container.querySelector('[data-qv-title]');
+      if (titleEl) {
+        titleEl.textContent = product.title || '';
+      }
+
+      // Set price
+      this._updatePrice(container, this.currentVariant);
+
+      // Set availability
+      this._updateAvailability(container, this.currentVariant);
+
+      // Set description
+      var descEl = container.querySelector('[data-qv-description]');
+      if (descEl && product.description) {
+        descEl.innerHTML = this._truncateHtml(product.description, 200);
+        descEl.classList.remove('hidden');
+      }
+
+      // Set variants
+      if (product.variants && product.variants.length > 0 &&
+        (product.variants.length > 1 || (product.variants[0].title && !product.variants[0].title.includes('Default')))) {
+        this._renderVariants(container, product);
+      }
+
+      // Set form data
+      var variantInput = container.querySelector('[data-qv-variant-id]');
+      if (variantInput && this.currentVariant) {
+        variantInput.value = this.currentVariant.id;
+      }
+
+      // Purchase options and the property fields that apply to this product
+      Sallety.productForm.filterProperties(container, product);
+      Sallety.productForm.renderSellingPlans(container, product, this.currentVariant);
+
+      // Set view details link - construct URL from handle if product.url is not available
+      var viewDetailsLink = container.querySelector('[data-qv-view-details]');
+      if (viewDetailsLink) {
+        var root = (window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || '/';
+        if (root.charAt(root.length - 1) !== '/') root = root + '/';
+        viewDetailsLink.href = product.url || (root + 'products/' + (handle || product.handle || ''));
+      }
+
+      // Bind form events
+      this._bindFormEvents(container, product);
+
+      // Clear and append content
+      this.content.innerHTML = '';
+      this.content.appendChild(clone);
+
+      Sallety.utils.loadModelViewer(this.content);
+    },
+
+    /**
+     * Render variant options
+     * @param {HTMLElement} container - Container element
+     * @param {Object} product - Product object
+     */
+    _renderVariants: function (container, product) {
+      var self = this;
+      var variantsContainer = container.querySelector('[data-qv-variants]');
+      if (!variantsContainer) return;
+
+      var optionTemplate = document.getElementById('quick-view-variant-option-template');
+      var colorSwatchTemplate = document.getElementById('quick-view-color-swatch-template');
+      var buttonSwatchTemplate = document.getElementById('quick-view-button-swatch-template');
+
+      if (!optionTemplate) return;
+
+      // Color keywords for detecting color options
+      var colorKeywords = ['color', 'colour', 'لون', 'اللون'];
+
+      product.options.forEach(function (option, optionIndex) {
+        // Handle both formats: options can be strings ("Color") or objects ({name: "Color", position: 1, values: [...]})
+        var optionName = (typeof option === 'object' && option !== null) ? (option.name || option) : option;
+        // Ensure optionName is a string
+        optionName = String(optionName);
+
+        var optionClone = optionTemplate.content.cloneNode(true);
+        var optionEl = optionClone.querySelector('.quick-view-variant-option');
+        var nameEl = optionClone.querySelector('[data-option-name]');
+        var selectedValueEl = optionClone.querySelector('[data-selected-value]');
+        var valuesContainer = optionClone.querySelector('[data-option-values]');
+
+        if (!optionEl || !nameEl || !selectedValueEl || !valuesContainer) return;
+
+        optionEl.dataset.optionIndex = optionIndex;
+        nameEl.textContent = optionName;
+
+        // Get unique values for this option
+        // First try to get values from the option object itself (if available from .js API)
+        var values = [];
+        var seenValues = {};
+        if (typeof option === 'object' && option !== null && Array.isArray(option.values)) {
+          values = option.values;
+        } else {
+          // Fallback: extract unique values from variants
+          product.variants.forEach(function (variant) {
+            var value = variant.options[optionIndex];
+            if (value && !seenValues[value]) {
+              seenValues[value] = true;
+              values.push(value);
+            }
+          });
+        }
+
+        // Determine if this is a color option
+        var isColorOption = colorKeywords.some(function (keyword) {
+          return optionName.toLowerCase().includes(keyword.toLowerCase());
+        });
+
+        // Get current selected value
+        var currentValue = self.currentVariant ? self.currentVariant.options[optionIndex] : values[0];
+        selectedValueEl.textContent = currentValue;
+
+        // Render option values
+        values.forEach(function (value) {
+          var swatchTemplate = isColorOption ? colorSwatchTemplate : buttonSwatchTemplate;
+          if (!swatchTemplate) return;
+
+          var swatchClone = swatchTemplate.content.cloneNode(true);
+          var label = swatchClone.querySelector('label');
+          var input = swatchClone.querySelector('input');
+          var swatch = swatchClone.querySelector('span');
+
+          if (!label || !input || !swatch) return;
+
+          label.dataset.optionValue = value;
+          input.name = 'option' + (optionIndex + 1);
+          input.value = value;
+
+          if (value === currentValue) {
+            input.checked = true;
+          }
+
+          // Check if this option value is available
+          var isAvailable = product.variants.some(function (variant) {
+            return variant.options[optionIndex] === value && variant.available;
+          });
+
+          if (!isAvailable) {
+            input.disabled = true;
+          }
+
+          if (isColorOption) {
+            // Set color swatch background
+            var colorValue = self._getColorValue(value);
+            swatch.style.backgroundColor = colorValue;
+            swatch.title = value;
+            swatch.classList.add('color-swatch');
+
+            // Add white border for light colors
+            if (self._isLightColor(colorValue)) {
+              swatch.style.boxShadow = 'inset 0 0 0 1px rgba(0,0,0,0.1)';
+            }
+          } else {
+            swatch.textContent = value;
+            swatch.classList.add('button-swatch');
+          }
+
+          // Add change event
+          input.addEventListener('change', function () {
+            self._onVariantChange(container, product, optionIndex, value);
+          });
+
+          valuesContainer.appendChild(swatchClone);
+        });
+
+        variantsContainer.appendChild(optionClone);
+      });
+
+      variantsContainer.classList.remove('hidden');
+    },
+
+    /**
+     * Handle variant change
+     * @param {HTMLElement} container - Container element
+     * @param {Object} product - Product object
+     * @param {number} optionIndex - Changed option index
+     * @param {string} value - New value
+     */
+    _onVariantChange: function (container, product, optionIndex, value) {
+      var self = this;
+
+      // Get all selected options
+      var selectedOptions = [];
+      container.querySelectorAll('[data-qv-variants] [data-option]').forEach(function (optionEl, index) {
+        var checkedInput = optionEl.querySelector('input:checked');
+        if (checkedInput) {
+          selectedOptions[index] = checkedInput.value;
+        }
+      });
+
+      // Find matching variant
+      var matchingVariant = product.variants.find(function (variant) {
+        return variant.options.every(function (opt, i) {
+          return opt === selectedOptions[i];
+        });
+      });
+
+      if (matchingVariant) {
+        this.currentVariant = matchingVariant;
+
+        // Update variant ID
+        var variantInput = container.querySelector('[data-qv-variant-id]');
+        if (variantInput) {
+          variantInput.value = matchingVariant.id;
+        }
+
+        // Update price
+        this._updatePrice(container, matchingVariant);
+
+        // Update availability
+        this._updateAvailability(container, matchingVariant);
+
+        // Update purchase options
+        Sallety.productForm.renderSellingPlans(container, product, matchingVariant);
+
+        // Update selected value display
+        container.querySelectorAll('[data-qv-variants] [data-option]').forEach(function (optionEl, index) {
+          var selectedValueEl = optionEl.querySelector('[data-selected-value]');
+          if (selectedValueEl) {
+            selectedValueEl.textContent = selectedOptions[index];
+          }
+        });
+
+        // Update media if variant has a featured image
+        if (matchingVariant.featured_media || matchingVariant.featured_image) {
+          var media = this._getMedia(product);
+          var mediaIndex = media.findIndex(function (item) {
+            if (matchingVariant.featured_media && item.id) {
+              return item.id === matchingVariant.featured_media.id;
+            }
+            return matchingVariant.featured_image && item.src === matchingVariant.featured_image.src;
+          });
+          this._qvGoToSlide(container, mediaIndex >= 0 ? mediaIndex : 0, media.length);
+        }
+
+        // Update badge
+        var badgeContainer = container.querySelector('[data-qv-badge]');
+        var badgeText = container.querySelector('[data-qv-badge-text]');
+        if (badgeContainer && badgeText) {
+          if (matchingVariant.compare_at_price && matchingVariant.compare_at_price > matchingVariant.price) {
+            var discount = Math.round((1 - matchingVariant.price / matchingVariant.compare_at_price) * 100);
+            badgeText.textContent = '-' + discount + '%';
+            badgeContainer.classList.remove('hidden');
+          } else {
+            badgeContainer.classList.add('hidden');
+          }
+        }
+      }
+    },
+
+    /**
+     * Update price display
+     * @param {HTMLElement} container - Container element
+     * @param {Object} variant - Variant object
+     */
+    _updatePrice: function (container, variant) {
+      if (!variant) return;
+
+      var priceEl = container.querySelector('[data-qv-price]');
+      var comparePriceEl = container.querySelector('[data-qv-compare-price]');
+      var discountEl = container.querySelector('[data-qv-discount]');
+
+      if (priceEl) {
+        priceEl.textContent = Sallety.utils.formatMoney(variant.price);
+      }
+
+      if (comparePriceEl) {
+        if (variant.compare_at_price && variant.compare_at_price > variant.price) {
+          comparePriceEl.textContent = Sallety.utils.formatMoney(variant.compare_at_price);
+          comparePriceEl.classList.remove('hidden');
+        } else {
+          comparePriceEl.classList.add('hidden');
+        }
+      }
+
+      if (discountEl) {
+        if (variant.compare_at_price && variant.compare_at_price > variant.price) {
+          var discount = Math.round((1 - variant.price / variant.compare_at_price) * 100);
+          discountEl.textContent = '-' + discount + '%';
+          discountEl.classList.remove('hidden');
+        } else {
+          discountEl.classList.add('hidden');
+        }
+      }
+    },
+
+    /**
+     * Update availability display
+     * @param {HTMLElement} container - Container element
+     * @param {Object} variant - Variant object
+     */
+    _updateAvailability: function (container, variant) {
+      if (!variant) return;
+
+      var availabilityEl = container.querySelector('[data-qv-availability]');
+      var dotEl = container.querySelector('[data-qv-availability-dot]');
+      var textEl = container.querySelector('[data-qv-availability-text]');
+      var addToCartBtn = container.querySelector('[data-qv-add-to-cart]');
+      var buyNowBtn = container.querySelector('[data-qv-buy-now]');
+      var addToCartText = container.querySelector('[data-add-to-cart-text]');
+
+      if (!availabilityEl) return;
+
+      // Remove all status classes
+      availabilityEl.classList.remove('in-stock', 'low-stock', 'out-of-stock');
+
+      if (variant.available) {
+        if (variant.inventory_quantity && variant.inventory_quantity <= 5) {
+          availabilityEl.classList.add('low-stock');
+          textEl.textContent = window.variantStrings?.lowStock || 'مخزون منخفض - ' + variant.inventory_quantity + ' متبقي';
+        } else {
+          availabilityEl.classList.add('in-stock');
+          textEl.textContent = window.variantStrings?.inStock || 'متوفر';
+        }
+
+        if (addToCartBtn) {
+          addToCartBtn.disabled = false;
+          if (addToCartText) {
+            addToCartText.textContent = window.variantStrings?.addToCart || 'أضف إلى السلة';
+          }
+        }
+        if (buyNowBtn) {
+          buyNowBtn.disabled = false;
+        }
+      } else {
+        availabilityEl.classList.add('out-of-stock');
+        textEl.textContent = window.variantStrings?.soldOut || 'نفذت الكمية';
+
+        if (addToCartBtn) {
+          addToCartBtn.disabled = true;
+          if (addToCartText) {
+            addToCartText.textContent = window.variantStrings?.soldOut || 'نفذت الكمية';
+          }
+        }
+        if (buyNowBtn) {
+          buyNowBtn.disabled = true;
+        }
+      }
+    },
+
+    /**
+     * Current carousel index for quick view
+     */
+    _qvCurrentIndex: 0,
+
+    /**
+     * Go to a specific slide in the quick view carousel
+     * @param {HTMLElement} container - Container element
+     * @param {number} index - Target slide index
+     * @param {number} totalSlides - Total number of slides
+     */
+    _qvGoToSlide: function (container, index, totalSlides) {
+      if (!container || totalSlides === 0) return;
+
+      // Wrap around
+      if (index < 0) index = totalSlides - 1;
+      if (index >= totalSlides) index = 0;
+
+      // Stop videos and models on the slide being left
+      if (index !== this._qvCurrentIndex) {
+        Sallety.utils.pauseMedia(container.querySelector('[data-qv-carousel-track]'));
+      }
+
+      this._qvCurrentIndex = index;
+
+      // Update slides
+      var slides = container.querySelectorAll('[data-qv-slide]');
+      slides.forEach(function (slide) { slide.classList.remove('is-active'); });
+      if (slides[index]) slides[index].classList.add('is-active');
+
+      // Update dots
+      var dots = container.querySelectorAll('[data-qv-dot-index]');
+      dots.forEach(function (dot) { dot.classList.remove('is-active'); });
+      if (dots[index]) dots[index].classList.add('is-active');
+
+      // Update thumbnails
+      var thumbs = container.querySelectorAll('[data-qv-thumb-index]');
+      thumbs.forEach(function (thumb) { thumb.classList.remove('is-active'); });
+      if (thumbs[index]) {
+        thumbs[index].classList.add('is-active');
+        thumbs[index].scrollIntoView({ block: 'nearest', inline: 'nearest', behavior: 'smooth' });
+      }
+
+      // Update counter
+      var counterCurrent = container.querySelector('[data-qv-counter-current]');
+      if (counterCurrent) counterCurrent.textContent = index + 1;
+
+      // Update thumbnail scroll state
+      this._updateQvThumbScrollState(container);
+    },
+
+    /**
+     * Setup touch/swipe support for quick view carousel
+     * @param {HTMLElement} carouselEl - The carousel element
+     * @param {HTMLElement} container - The container element
+     * @param {number} totalSlides - Total number of slides
+     */
+    _setupQvSwipe: function (carouselEl, container, totalSlides) {
+      if (!carouselEl) return;
+
+      var self = this;
+      var startX = 0;
+      var startY = 0;
+
+      var canSwipe = false;
+
+      carouselEl.addEventListener('touchstart', function (e) {
+        startX = e.touches[0].clientX;
+        startY = e.touches[0].clientY;
+        // Dragging a 3D model rotates it rather than changing slides
+        canSwipe = !e.target.closest('model-viewer');
+      }, { passive: true });
+
+      carouselEl.addEventListener('touchend', function (e) {
+        if (!canSwipe) return;
+        var endX = e.changedTouches[0].clientX;
+        var endY = e.changedTouches[0].clientY;
+        var diffX = endX - startX;
+        var diffY = endY - startY;
+
+        // Only trigger if horizontal swipe is dominant and significant
+        if (Math.abs(diffX) > 50 && Math.abs(diffX) > Math.abs(diffY)) {
+          var isRTL = document.documentElement.dir === 'rtl';
+          if (diffX < 0) {
+            // Swiped left
+            self._qvGoToSlide(container, self._qvCurrentIndex + (isRTL ? -1 : 1), totalSlides);
+          } else {
+            // Swiped right
+            self._qvGoToSlide(container, self._qvCurrentIndex + (isRTL ? 1 : -1), totalSlides);
+          }
+        }
+      }, { passive: true });
+    },
+
+    /**
+     * Update thumbnail scroll button disabled states for quick view
+     * @param {HTMLElement} container - The container element
+     */
+    _updateQvThumbScrollState: function (container) {
+      var thumbsTrack = container.querySelector('[data-qv-thumbs-track]');
+      var prevBtn = container.querySelector('[data-qv-thumb-prev]');
+      var nextBtn = container.querySelector('[data-qv-thumb-next]');
+
+      if (!thumbsTrack || !prevBtn || !nextBtn) return;
+
+      var isRTL = document.documentElement.dir === 'rtl';
+      var scrollLeft = Math.abs(thumbsTrack.scrollLeft);
+      var maxScroll = thumbsTrack.scrollWidth - thumbsTrack.clientWidth;
+
+      if (maxScroll <= 2) {
+        // Not scrollable
+        prevBtn.disabled = true;
+        nextBtn.disabled = true;
+        return;
+      }
+
+      if (isRTL) {
+        prevBtn.disabled = scrollLeft >= maxScroll - 2;
+        nextBtn.disabled = scrollLeft <= 2;
+      } else {
+        prevBtn.disabled = scrollLeft <= 2;
+        nextBtn.disabled = scrollLeft >= maxScroll - 2;
+      }
+    },
+
+    /**
+     * Bind form events
+     * @param {HTMLElement} container - Container element
+     * @param {Object} product - Product object
+     */
+    _bindFormEvents: function (container, product) {
+      var self = this;
+      var form = container.querySelector('[data-qv-form]');
+      var addToCartBtn = container.querySelector('[data-qv-add-to-cart]');
+      var buyNowBtn = container.querySelector('[data-qv-buy-now]');
+
+      if (!form) return;
+
+      // Add to cart
+      form.addEventListener('submit', function (e) {
+        e.preventDefault();
+        self._addToCart(form, addToCartBtn);
+      });
+
+      // Buy now
+      if (buyNowBtn) {
+        buyNowBtn.addEventListener('click', function (e) {
+          e.preventDefault();
+          self._buyNow(form, buyNowBtn);
+        });
+      }
+
+      // Quantity selector
+      var quantitySelector = container.querySelector('[data-quantity-selector]');
+      if (quantitySelector) {
+        var minusBtn = quantitySelector.querySelector('[data-quantity-minus]');
+        var plusBtn = quantitySelector.querySelector('[data-quantity-plus]');
+        var input = quantitySelector.querySelector('[data-quantity-input]');
+
+        if (minusBtn && input) {
+          minusBtn.addEventListener('click', function () {
+            var value = parseInt(input.value) || 1;
+            if (value > 1) {
+              input.value = value - 1;
+            }
+          });
+        }
+
+        if (plusBtn && input) {
+          plusBtn.addEventListener('click', function () {
+            var value = parseInt(input.value) || 1;
+            var max = parseInt(input.max) || 9999;
+            if (value < max) {
+              input.value = value + 1;
+            }
+          });
+        }
+      }
+    },
+
+    /**
+     * Add to cart
+     * @param {HTMLFormElement} form - Form element
+     * @param {HTMLButtonElement} button - Submit button
+     */
+    _addToCart: function (form, button) {
+      var self = this;
+      if (!form || !this.currentVariant) return;
+      if (!Sallety.productForm.validateProperties(form)) return;
+
+      var formData = Sallety.productForm.prepareFormData(new FormData(form));
+
+      // Set loading state
+      if (button) {
+        button.classList.add('is-loading');
+        button.disabled = true;
+      }
+
+      // Show loading on cart icon
+      Sallety.cart.setIconLoading();
+
+      Sallety.cart.add(formData)
+        .then(function () {
+          self.close();
+          Sallety.cart.showAdded();
+        })
+        .catch(function (error) {
+          console.error('[Sallety] Add to cart error:', error);
+          Sallety.notify.error(error.message || window.cartStrings?.error || 'تعذرت الإضافة إلى السلة. يرجى المحاولة مرة أخرى.');
+        })
+        .finally(function () {
+          if (button) {
+            button.classList.remove('is-loading');
+            button.disabled = false;
+          }
+          // Clear cart icon loading
+          Sallety.cart.clearIconLoading();
+        });
+    },
+
+    /**
+     * Buy now - add to cart and redirect to checkout
+     * @param {HTMLFormElement} form - Form element
+     * @param {HTMLButtonElement} button - Buy now button
+     */
+    _buyNow: function (form, button) {
+      var self = this;
+      if (!form || !this.currentVariant) return;
+      if (!Sallety.productForm.validateProperties(form)) return;
+
+      var formData = Sallety.productForm.prepareFormData(new FormData(form));
+
+      // Set loading state
+      if (button) {
+        button.classList.add('is-loading');
+        button.disabled = true;
+      }
+
+      Sallety.cart.add(formData)
+        .then(function () {
+          window.location.href = '/checkout';
+        })
+        .catch(function (error) {
+          console.error('[Sallety] Buy now error:', error);
+          Sallety.notify.error(error.message || 'تعذر الانتقال إلى الدفع. يرجى المحاولة مرة أخرى.');
+
+          if (button) {
+            button.classList.remove('is-loading');
+            button.disabled = false;
+          }
+        });
+    },
+
+    /**
+     * Get the product's media, falling back to plain images for product JSON
+     * without a media array
+     * @param {Object} product - Product object
+     * @returns {Array} Media objects with at least media_type and src
+     */
+    _getMedia: function (product) {
+      if (product.media && product.media.length > 0) return product.media;
+
+      return (product.images || []).map(function (image) {
+        return { media_type: 'image', src: image };
+      });
+    },
+
+    /**
+     * Get the still image URL for a media item
+     * @param {Object} media - Media object
+     * @returns {string} Image URL
+     */
+    _getMediaPreview: function (media) {
+      if (media.media_type === 'image') return media.src;
+      return media.preview_image ? media.preview_image.src : '';
+    },
+
+    /**
+     * Create the slide element for a media item
+     * @param {Object} media - Media object from the product JSON
+     * @param {Object} product - Product object
+     * @param {number} index - Media index
+     * @returns {HTMLElement} Image, video, iframe or model-viewer element
+     */
+    _createMediaElement: function (media, product, index) {
+      var alt = media.alt || (product.title || '') + ' - ' + (index + 1);
+      var poster = this._getSizedImageUrl(this._getMediaPreview(media), '800x');
+      var el;
+
+      if (media.media_type === 'video') {
+        el = document.createElement('video');
+        el.controls = true;
+        el.playsInline = true;
+        el.preload = 'metadata';
+        if (poster) el.poster = poster;
+        el.setAttribute('aria-label', alt);
+        (media.sources || []).forEach(function (source) {
+          if (source.format !== 'mp4' && source.format !== 'webm') return;
+          var sourceEl = document.createElement('source');
+          sourceEl.src = source.url;
+          sourceEl.type = source.mime_type;
+          el.appendChild(sourceEl);
+        });
+      } else if (media.media_type === 'external_video') {
+        el = document.createElement('iframe');
+        if (media.host === 'vimeo') {
+          el.className = 'js-vimeo';
+          el.src = 'https://player.vimeo.com/video/' + media.external_id;
+        } else {
+          el.className = 'js-youtube';
+          el.src = 'https://www.youtube.com/embed/' + media.external_id + '?enablejsapi=1&rel=0&playsinline=1';
+        }
+        el.title = alt;
+        el.loading = 'lazy';
+        el.allow = 'autoplay; encrypted-media; fullscreen; picture-in-picture';
+        el.allowFullscreen = true;
+      } else if (media.media_type === 'model') {
+        el = document.createElement('model-viewer');
+        (media.sources || []).forEach(function (source) {
+          if (source.format === 'glb') el.setAttribute('src', source.url);
+          if (source.format === 'usdz') el.setAttribute('ios-src', source.url);
+        });
+        if (poster) el.setAttribute('poster', poster);
+        el.setAttribute('alt', alt);
+        el.setAttribute('camera-controls', '');
+        el.setAttribute('ar', '');
+        el.setAttribute('reveal', 'interaction');
+      } else {
+        el = document.createElement('img');
+        el.src = this._getSizedImageUrl(media.src, '800x');
+        el.alt = alt;
+        el.width = 800;
+        el.height = 800;
+        el.loading = index === 0 ? 'eager' : 'lazy';
+      }
+
+      return el;
+    },
+
+    /**
+     * Get sized image URL
+     * @param {string} url - Original image URL
+     * @param {string} size - Size string (e.g., '800x')
+     * @returns {string} Sized image URL
+     */
+    _getSizedImageUrl: function (url, size) {
+      if (!url) return '';
+
+      // Handle Shopify CDN URLs
+      if (url.includes('cdn.shopify.com')) {
+        return url.replace(/(_\d+x\d*|\d+x\d*_)?(\.[^.]+)$/, '_' + size + '$2');
+      }
+
+      return url;
+    },
+
+    /**
+     * Get color value from color name
+     * @param {string} colorName - Color name
+     * @returns {string} Color value (hex or name)
+     */
+    _getColorValue: function (colorName) {
+      var colorMap = {
+        'black': '#000000', 'أسود': '#000000',
+        'white': '#ffffff', 'أبيض': '#ffffff',
+        'red': '#dc2626', 'أحمر': '#dc2626',
+        'blue': '#2563eb', 'أزرق': '#2563eb',
+        'green': '#16a34a', 'أخضر': '#16a34a',
+        'yellow': '#eab308', 'أصفر': '#eab308',
+        'orange': '#ea580c', 'برتقالي': '#ea580c',
+        'purple': '#9333ea', 'بنفسجي': '#9333ea',
+        'pink': '#ec4899', 'وردي': '#ec4899',
+        'brown': '#92400e', 'بني': '#92400e',
+        'gray': '#6b7280', 'grey': '#6b7280', 'رمادي': '#6b7280',
+        'navy': '#1e3a5f', 'كحلي': '#1e3a5f',
+        'beige': '#d4b896', 'بيج': '#d4b896',
+        'cream': '#fffdd0', 'كريمي': '#fffdd0',
+        'olive': '#556b2f', 'زيتي': '#556b2f',
+        'burgundy': '#800020', 'عنابي': '#800020'
+      };
+
+      var lowerName = colorName.toLowerCase().replace(/\s/g, '');
+      return colorMap[lowerName] || colorName;
+    },
+
+    /**
+     * Check if a color is light
+     * @param {string} color - Color value
+     * @returns {boolean} True if light
+     */
+    _isLightColor: function (color) {
+      // Simple check for common light colors
+      var lightColors = ['#ffffff', '#fffdd0', '#d4b896', '#f5f5f5', 'white', 'cream', 'beige'];
+      return lightColors.includes(color.toLowerCase());
+    },
+
+    /**
+     * Truncate HTML string
+     * @param {string} html - HTML string
+     * @param {number} maxLength - Maximum length
+     * @returns {string} Truncated string
+     */
+    _truncateHtml: function (html, maxLength) {
+      // Strip HTML tags for length calculation
+      var div = document.createElement('div');
+      div.innerHTML = html;
+      var text = div.textContent || div.innerText || '';
+
+      if (text.length <= maxLength) {
+        return html;
+      }
+
+      return text.substring(0, maxLength) + '...';
+    }
+  };
+
+  // ============================================================================
+  // CART PAGE MODULE
+  // ============================================================================
+
+  /**
+   * Cart Page Module
+   * Handles cart page functionality including item removal, quantity updates,
+   * and AJAX re-rendering for the main cart page
+   */
+  Sallety.cartPage = {
+    section: null,
+    itemsContainer: null,
+
+    /**
+     * Initialize the cart page
+     */
+    init: function () {
+      var self = this;
+      this.section = document.querySelector('[data-section-type="cart"]');
+      if (!this.section) return;
+
+      this.itemsContainer = this.section.querySelector('[data-cart-items]');
+      this._bindEvents();
+
+      // Re-render from the section HTML bundled with each cart mutation,
+      // including changes made in the drawer
+      Sallety.cart.registerSection({
+        id: this.section.dataset.sectionId,
+        render: function (html) {
+          self._onCartUpdated(html);
+        }
+      });
+    },
+
+    /**
+     * Bind event listeners
+     */
+    _bindEvents: function () {
+      var self = this;
+
+      // Use event delegation for all cart page interactions
+      document.addEventListener('click', function (e) {
+        // Remove item
+        var removeBtn = e.target.closest('[data-cart-remove]');
+        if (removeBtn && self._isInCartPage(removeBtn)) {
+          e.preventDefault();
+          var line = parseInt(removeBtn.dataset.cartRemove, 10);
+          if (line) {
+            self.removeItem(line);
+          }
+          return;
+        }
+
+        // Quantity minus
+        var minusBtn = e.target.closest('[data-quantity-minus][data-line]');
+        if (minusBtn && self._isInCartPage(minusBtn)) {
+          e.preventDefault();
+          var line = parseInt(minusBtn.dataset.line, 10);
+          var input = minusBtn.closest('[data-quantity-selector]').querySelector('[data-quantity-input]');
+          var currentQty = parseInt(input.value, 10) || 1;
+          if (currentQty > 1) {
+            self.updateQuantity(line, currentQty - 1);
+          }
+          return;
+        }
+
+        // Quantity plus
+        var plusBtn = e.target.closest('[data-quantity-plus][data-line]');
+        if (plusBtn && self._isInCartPage(plusBtn)) {
+          e.preventDefault();
+          var line = parseInt(plusBtn.dataset.line, 10);
+          var input = plusBtn.closest('[data-quantity-selector]').querySelector('[data-quantity-input]');
+          var currentQty = parseInt(input.value, 10) || 1;
+          self.updateQuantity(line, currentQty + 1);
+          return;
+        }
+      });
+
+      // Quantity input change
+      document.addEventListener('change', function (e) {
+        var input = e.target.closest('[data-quantity-input][data-line]');
+        if (input && self._isInCartPage(input)) {
+          var line = parseInt(input.dataset.line, 10);
+          var newQty = parseInt(input.value, 10) || 1;
+          if (newQty < 1) newQty = 1;
+          self.updateQuantity(line, newQty);
+        }
+      });
+
+      // Cart note update (debounced)
+      var noteInput = this.section.querySelector('[data-cart-note]');
+      if (noteInput) {
+        noteInput.addEventListener('change', function () {
+          self.updateNote(noteInput.value);
+        });
+      }
+    },
+
+    /**
+     * Check if element is inside cart page section
+     * @param {HTMLElement} element - Element to check
+     * @returns {boolean}
+     */
+    _isInCartPage: function (element) {
+      return element.closest('[data-section-type="cart"]') !== null;
+    },
+
+    /**
+     * Remove item from cart
+     * @param {number} line - Line item index (1-based)
+     */
+    removeItem: function (line) {
+      var self = this;
+      var itemEl = this.section.querySelector('[data-cart-item][data-line="' + line + '"]');
+      var key = Sallety.cartDrawer._getLineKey(itemEl, line);
+      var removedLine = Sallety.cart.describeLine(itemEl);
+
+      // Animate the item out immediately for a smooth experience
+      if (itemEl) {
+        itemEl.classList.add('is-removing');
+        itemEl.style.pointerEvents = 'none';
+        // After slide-out animation, collapse the height smoothly
+        var itemHeight = itemEl.offsetHeight;
+        itemEl.style.maxHeight = itemHeight + 'px';
+        itemEl.style.overflow = 'hidden';
 
-        variantsContainer.appendChild(optionClone);
-      });
+        // Wait for slide-out animation, then collapse
+        setTimeout(function () {
+          itemEl.style.maxHeight = '0px';
+          itemEl.style.padding = '0';
+          itemEl.style.margin = '0';
+          itemEl.style.borderWidth = '0';
+        }, 280); // slightly less than the slideOut animation duration (300ms)
+      }
 
-      variantsContainer.classList.remove('hidden');
+      Sallety.cart.change(key, 0)
+        .then(function () {
+          Sallety.cart.offerUndo(removedLine);
+        })
+        .catch(function (error) {
+          console.error('[Sallety] Remove item error:', error);
+          if (itemEl) {
+            itemEl.classList.remove('is-removing');
+            itemEl.style.opacity = '';
+            itemEl.style.pointerEvents = '';
+            itemEl.style.maxHeight = '';
+            itemEl.style.overflow = '';
+            itemEl.style.padding = '';
+            itemEl.style.margin = '';
+            itemEl.style.borderWidth = '';
+          }
+          Sallety.notify.error(error.message || 'حدث خطأ أثناء حذف المنتج');
+        });
     },
 
     /**
-     * Handle variant change
-     * @param {HTMLElement} container - Container element
-     * @param {Object} product - Product object
-     * @param {number} optionIndex - Changed option index
-     * @param {string} value - New value
+     * Update item quantity
+     * @param {number} line - Line item index (1-based)
+     * @param {number} quantity - New quantity
      */
-    _onVariantChange: function (container, product, optionIndex, value) {
+    updateQuantity: function (line, quantity) {
       var self = this;
+      var itemEl = this.section.querySelector('[data-cart-item][data-line="' + line + '"]');
+      var key = Sallety.cartDrawer._getLineKey(itemEl, line);
 
-      // Get all selected options
-      var selectedOptions = [];
-      container.querySelectorAll('[data-qv-variants] [data-option]').forEach(function (optionEl, index) {
-        var checkedInput = optionEl.querySelector('input:checked');
-        if (checkedInput) {
-          selectedOptions[index] = checkedInput.value;
+      // Show loading state on item and keep the mobile and desktop inputs in step
+      if (itemEl) {
+        var input = itemEl.querySelector('[data-quantity-input]');
+        if (!itemEl.dataset.confirmedQuantity && input) {
+          itemEl.dataset.confirmedQuantity = input.value;
         }
-      });
-
-      // Find matching variant
-      var matchingVariant = product.variants.find(function (variant) {
-        return variant.options.every(function (opt, i) {
-          return opt === selectedOptions[i];
+        itemEl.classList.add('is-loading');
+        itemEl.querySelectorAll('[data-quantity-input]').forEach(function (el) {
+          el.value = quantity;
         });
-      });
-
-      if (matchingVariant) {
-        this.currentVariant = matchingVariant;
-
-        // Update variant ID
-        var variantInput = container.querySelector('[data-qv-variant-id]');
-        if (variantInput) {
-          variantInput.value = matchingVariant.id;
-        }
-
-        // Update price
-        this._updatePrice(container, matchingVariant);
-
-        // Update availability
-        this._updateAvailability(container, matchingVariant);
+      }
 
-        // Update selected value display
-        container.querySelectorAll('[data-qv-variants] [data-option]').forEach(function (optionEl, index) {
-          var selectedValueEl = optionEl.querySelector('[data-selected-value]');
-          if (selectedValueEl) {
-            selectedValueEl.textContent = selectedOptions[index];
+      Sallety.cart.change(key, quantity)
+        .catch(function (error) {
+          console.error('[Sallety] Update quantity error:', error);
+          if (itemEl) {
+            itemEl.classList.remove('is-loading');
+            // Revert inputs to the last confirmed value
+            var confirmedQty = itemEl.dataset.confirmedQuantity;
+            if (confirmedQty) {
+              itemEl.querySelectorAll('[data-quantity-input]').forEach(function (el) {
+                el.value = confirmedQty;
+              });
+            }
+            delete itemEl.dataset.confirmedQuantity;
           }
+          Sallety.notify.error(error.message || 'حدث خطأ أثناء تحديث الكمية');
         });
-
-        // Update image if variant has featured image
-        if (matchingVariant.featured_image) {
-          var imageIndex = product.images.findIndex(function (img) {
-            return img === matchingVariant.featured_image.src;
-          });
-          this._qvGoToSlide(container, imageIndex >= 0 ? imageIndex : 0, product.images.length);
-        }
-
-        // Update badge
-        var badgeContainer = container.querySelector('[data-qv-badge]');
-        var badgeText = container.querySelector('[data-qv-badge-text]');
-        if (badgeContainer && badgeText) {
-          if (matchingVariant.compare_at_price && matchingVariant.compare_at_price > matchingVariant.price) {
-            var discount = Math.round((1 - matchingVariant.price / matchingVariant.compare_at_price) * 100);
-            badgeText.textContent = '-' + discount + '%';
-            badgeContainer.classList.remove('hidden');
-          } else {
-            badgeContainer.classList.add('hidden');
-          }
-        }
-      }
     },
 
     /**
-     * Update price display
-     * @param {HTMLElement} container - Container element
-     * @param {Object} variant - Variant object
+     * Update cart note
+     * @param {string} note - Cart note text
      */
-    _updatePrice: function (container, variant) {
-      if (!variant) return;
-
-      var priceEl = container.querySelector('[data-qv-price]');
-      var comparePriceEl = container.querySelector('[data-qv-compare-price]');
-      var discountEl = container.querySelector('[data-qv-discount]');
-
-      if (priceEl) {
-        priceEl.textContent = Sallety.utils.formatMoney(variant.price);
-      }
+    updateNote: function (note) {
+      Sallety.cart.updateNote(note)
+        .catch(function (error) {
+          console.error('[Sallety] Update note error:', error);
+        });
+    },
 
-      if (comparePriceEl) {
-        if (variant.compare_at_price && variant.compare_at_price > variant.price) {
-          comparePriceEl.textContent = Sallety.utils.formatMoney(variant.compare_at_price);
-          comparePriceEl.classList.remove('hidden');
-        } else {
-          comparePriceEl.classList.add('hidden');
-        }
+    /**
+     * Handle cart updated
+     * @param {string|null} html - Cart section HTML from the cart response
+     */
+    _onCartUpdated: function (html) {
+      if (html) {
+        this._renderCartContent(html);
+        return;
       }
 
-      if (discountEl) {
-        if (variant.compare_at_price && variant.compare_at_price > variant.price) {
-          var discount = Math.round((1 - variant.price / variant.compare_at_price) * 100);
-          discountEl.textContent = '-' + discount + '%';
-          discountEl.classList.remove('hidden');
-        } else {
-          discountEl.classList.add('hidden');
-        }
-      }
+      // Refresh cart page content via AJAX
+      this.refresh();
     },
 
     /**
-     * Update availability display
-     * @param {HTMLElement} container - Container element
-     * @param {Object} variant - Variant object
+     * Refresh cart page content via AJAX
      */
-    _updateAvailability: function (container, variant) {
-      if (!variant) return;
-
-      var availabilityEl = container.querySelector('[data-qv-availability]');
-      var dotEl = container.querySelector('[data-qv-availability-dot]');
-      var textEl = container.querySelector('[data-qv-availability-text]');
-      var addToCartBtn = container.querySelector('[data-qv-add-to-cart]');
-      var buyNowBtn = container.querySelector('[data-qv-buy-now]');
-      var addToCartText = container.querySelector('[data-add-to-cart-text]');
-
-      if (!availabilityEl) return;
-
-      // Remove all status classes
-      availabilityEl.classList.remove('in-stock', 'low-stock', 'out-of-stock');
+    refresh: function () {
+      var self = this;
+      var sectionId = this.section.dataset.sectionId;
 
-      if (variant.available) {
-        if (variant.inventory_quantity && variant.inventory_quantity <= 5) {
-          availabilityEl.classList.add('low-stock');
-          textEl.textContent = window.variantStrings?.lowStock || 'مخزون منخفض - ' + variant.inventory_quantity + ' متبقي';
-        } else {
-          availabilityEl.classList.add('in-stock');
-          textEl.textContent = window.variantStrings?.inStock || 'متوفر';
-        }
+      // Add loading state
+      this.section.classList.add('is-loading');
 
-        if (addToCartBtn) {
-          addToCartBtn.disabled = false;
-          if (addToCartText) {
-            addToCartText.textContent = window.variantStrings?.addToCart || 'أضف إلى السلة';
-          }
-        }
-        if (buyNowBtn) {
-          buyNowBtn.disabled = false;
-        }
-      } else {
-        availabilityEl.classList.add('out-of-stock');
-        textEl.textContent = window.variantStrings?.soldOut || 'نفذت الكمية';
+      // Fetch fresh cart page HTML using the section
+      var url = window.location.pathname + '?section_id=' + sectionId;
 
-        if (addToCartBtn) {
-          addToCartBtn.disabled = true;
-          if (addToCartText) {
-            addToCartText.textContent = window.variantStrings?.soldOut || 'نفذت الكمية';
-          }
-        }
-        if (buyNowBtn) {
-          buyNowBtn.disabled = true;
+      fetch(url, {
+        headers: {
+          'X-Requested-With': 'XMLHttpRequest'
         }
-      }
+      })
+        .then(function (response) {
+          if (!response.ok) throw new Error('Failed to fetch cart');
+          return response.text();
+        })
+        .then(function (html) {
+          self._renderCartContent(html);
+        })
+        .catch(function (error) {
+          console.error('[Sallety] Refresh cart error:', error);
+          // Fallback: reload the page
+          window.location.reload();
+        })
+        .finally(function () {
+          self.section.classList.remove('is-loading');
+        });
     },
 
     /**
-     * Current carousel index for quick view
-     */
-    _qvCurrentIndex: 0,
-
-    /**
-     * Go to a specific slide in the quick view carousel
-     * @param {HTMLElement} container - Container element
-     * @param {number} index - Target slide index
-     * @param {number} totalSlides - Total number of slides
+     * Render cart content from HTML
+     * @param {string} html - HTML string
      */
-    _qvGoToSlide: function (container, index, totalSlides) {
-      if (!container || totalSlides === 0) return;
+    _renderCartContent: function (html) {
+      var parser = new DOMParser();
+      var doc = parser.parseFromString(html, 'text/html');
 
-      // Wrap around
-      if (index < 0) index = totalSlides - 1;
-      if (index >= totalSlides) index = 0;
+      // Replace the entire section content
+      var newSection = doc.querySelector('[data-section-type="cart"]');
 
-      this._qvCurrentIndex = index;
+      if (newSection && this.section) {
+        this.section.innerHTML = newSection.innerHTML;
 
-      // Update slides
-      var slides = container.querySelectorAll('[data-qv-slide]');
-      slides.forEach(function (slide) { slide.classList.remove('is-active'); });
-      if (slides[index]) slides[index].classList.add('is-active');
+        // Re-cache references
+        this.itemsContainer = this.section.querySelector('[data-cart-items]');
+        Sallety.cart.applyLineOrder(this.itemsContainer);
+
+        // Re-bind cart note event
+        var noteInput = this.section.querySelector('[data-cart-note]');
+        if (noteInput) {
+          var self = this;
+          noteInput.addEventListener('change', function () {
+            self.updateNote(noteInput.value);
+          });
+        }
 
-      // Update dots
-      var dots = container.querySelectorAll('[data-qv-dot-index]');
-      dots.forEach(function (dot) { dot.classList.remove('is-active'); });
-      if (dots[index]) dots[index].classList.add('is-active');
 
-      // Update thumbnails
-      var thumbs = container.querySelectorAll('[data-qv-thumb-index]');
-      thumbs.forEach(function (thumb) { thumb.classList.remove('is-active'); });
-      if (thumbs[index]) {
-        thumbs[index].classList.add('is-active');
-        thumbs[index].scrollIntoView({ block: 'nearest', inline: 'nearest', behavior: 'smooth' });
       }
+    }
+  };
 
-      // Update counter
-      var counterCurrent = container.querySelector('[data-qv-counter-current]');
-      if (counterCurrent) counterCurrent.textContent = index + 1;
+  // ============================================================================
+  // WISHLIST MODULE
+  // ============================================================================
 
-      // Update thumbnail scroll state
-      this._updateQvThumbScrollState(container);
-    },
+  /**
+   * Wishlist Module
+   * Handles wishlist functionality with localStorage persistence
+   */
+  Sallety.wishlist = {
+    STORAGE_KEY: 'sallety_wishlist',
+    CHECK_KEY: 'sallety_wishlist_checked',
 
-    /**
-     * Setup touch/swipe support for quick view carousel
-     * @param {HTMLElement} carouselEl - The carousel element
-     * @param {HTMLElement} container - The container element
-     * @param {number} totalSlides - Total number of slides
-     */
-    _setupQvSwipe: function (carouselEl, container, totalSlides) {
-      if (!carouselEl) return;
+    /** @type {string} URL parameter holding a shared list, as handle or handle:variantId entries */
+    SHARE_PARAM: 'shared',
 
-      var self = this;
-      var startX = 0;
-      var startY = 0;
+    /** @type {number} Most entries written to or read from a shared link */
+    SHARE_LIMIT: 50,
 
-      carouselEl.addEventListener('touchstart', function (e) {
-        startX = e.touches[0].clientX;
-        startY = e.touches[0].clientY;
-      }, { passive: true });
+    /** @type {RegExp} Characters a product handle can hold; anything else in a shared link is dropped */
+    HANDLE_PATTERN: /^[\p{L}\p{N}_-]+$/u,
 
-      carouselEl.addEventListener('touchend', function (e) {
-        var endX = e.changedTouches[0].clientX;
-        var endY = e.changedTouches[0].clientY;
-        var diffX = endX - startX;
-        var diffY = endY - startY;
+    /** @type {number} Minimum time between background price and stock checks, in ms */
+    CHECK_INTERVAL: 6 * 60 * 60 * 1000,
 
-        // Only trigger if horizontal swipe is dominant and significant
-        if (Math.abs(diffX) > 50 && Math.abs(diffX) > Math.abs(diffY)) {
-          var isRTL = document.documentElement.dir === 'rtl';
-          if (diffX < 0) {
-            // Swiped left
-            self._qvGoToSlide(container, self._qvCurrentIndex + (isRTL ? -1 : 1), totalSlides);
-          } else {
-            // Swiped right
-            self._qvGoToSlide(container, self._qvCurrentIndex + (isRTL ? 1 : -1), totalSlides);
-          }
-        }
-      }, { passive: true });
-    },
+    items: [],
 
     /**
-     * Update thumbnail scroll button disabled states for quick view
-     * @param {HTMLElement} container - The container element
+     * Initialize the wishlist module
      */
-    _updateQvThumbScrollState: function (container) {
-      var thumbsTrack = container.querySelector('[data-qv-thumbs-track]');
-      var prevBtn = container.querySelector('[data-qv-thumb-prev]');
-      var nextBtn = container.querySelector('[data-qv-thumb-next]');
-
-      if (!thumbsTrack || !prevBtn || !nextBtn) return;
-
-      var isRTL = document.documentElement.dir === 'rtl';
-      var scrollLeft = Math.abs(thumbsTrack.scrollLeft);
-      var maxScroll = thumbsTrack.scrollWidth - thumbsTrack.clientWidth;
+    init: function () {
+      this._loadFromStorage();
+      this._bindEvents();
+      this._updateAllButtons();
+      this._updateHeaderCount();
+      this.checkForChanges();
+    },
 
-      if (maxScroll <= 2) {
-        // Not scrollable
-        prevBtn.disabled = true;
-        nextBtn.disabled = true;
-        return;
+    /**
+     * Load wishlist items from localStorage
+     */
+    _loadFromStorage: function () {
+      try {
+        var stored = localStorage.getItem(this.STORAGE_KEY);
+        if (stored) {
+          this.items = JSON.parse(stored);
+        }
+      } catch (e) {
+        console.error('[Sallety] Error loading wishlist:', e);
+        this.items = [];
       }
+    },
 
-      if (isRTL) {
-        prevBtn.disabled = scrollLeft >= maxScroll - 2;
-        nextBtn.disabled = scrollLeft <= 2;
-      } else {
-        prevBtn.disabled = scrollLeft <= 2;
-        nextBtn.disabled = scrollLeft >= maxScroll - 2;
+    /**
+     * Save wishlist items to localStorage
+     */
+    _saveToStorage: function () {
+      try {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.items));
+      } catch (e) {
+        console.error('[Sallety] Error saving wishlist:', e);
       }
     },
 
     /**
-     * Bind form events
-     * @param {HTMLElement} container - Container element
-     * @param {Object} product - Product object
+     * Bind event listeners
      */
-    _bindFormEvents: function (container, product) {
+    _bindEvents: function () {
       var self = this;
-      var form = container.querySelector('[data-qv-form]');
-      var addToCartBtn = container.querySelector('[data-qv-add-to-cart]');
-      var buyNowBtn = container.querySelector('[data-qv-buy-now]');
 
-      if (!form) return;
+      // Wishlist add/remove buttons
+      document.addEventListener('click', function (e) {
+        var btn = e.target.closest('[data-wishlist-add]');
+        if (btn) {
+          e.preventDefault();
+          e.stopPropagation();
 
-      // Add to cart
-      form.addEventListener('submit', function (e) {
-        e.preventDefault();
-        self._addToCart(form, addToCartBtn);
-      });
+          var productId = btn.dataset.wishlistAdd;
+          if (productId) {
+            self.toggle(productId, btn);
+          }
+        }
 
-      // Buy now
-      if (buyNowBtn) {
-        buyNowBtn.addEventListener('click', function (e) {
+        // Add the saved variant to the cart from the wishlist page
+        var cartBtn = e.target.closest('[data-wishlist-add-to-cart]');
+        if (cartBtn) {
           e.preventDefault();
-          self._buyNow(form, buyNowBtn);
-        });
-      }
+          self._addToCart(cartBtn);
+        }
 
-      // Quantity selector
-      var quantitySelector = container.querySelector('[data-quantity-selector]');
-      if (quantitySelector) {
-        var minusBtn = quantitySelector.querySelector('[data-quantity-minus]');
-        var plusBtn = quantitySelector.querySelector('[data-quantity-plus]');
-        var input = quantitySelector.querySelector('[data-quantity-input]');
+        // Add every available item of a shared wishlist
+        var addAllBtn = e.target.closest('[data-wishlist-add-all]');
+        if (addAllBtn) {
+          e.preventDefault();
+          self._addAllToCart(addAllBtn);
+        }
 
-        if (minusBtn && input) {
-          minusBtn.addEventListener('click', function () {
-            var value = parseInt(input.value) || 1;
-            if (value > 1) {
-              input.value = value - 1;
-            }
-          });
+        // Copy the share link
+        var copyBtn = e.target.closest('[data-wishlist-share-copy]');
+        if (copyBtn) {
+          e.preventDefault();
+          self._copyShareLink(copyBtn);
         }
 
-        if (plusBtn && input) {
-          plusBtn.addEventListener('click', function () {
-            var value = parseInt(input.value) || 1;
-            var max = parseInt(input.max) || 9999;
-            if (value < max) {
-              input.value = value + 1;
-            }
-          });
+        // Bulk actions on the selected wishlist items
+        var bulkBtn = e.target.closest('[data-wishlist-bulk]');
+        if (bulkBtn) {
+          e.preventDefault();
+          if (bulkBtn.dataset.wishlistBulk === 'remove') {
+            self._removeCards(self._getSelectedCards());
+          } else {
+            self._addSelectedToCart(bulkBtn, bulkBtn.dataset.wishlistBulk === 'move');
+          }
         }
-      }
+
+        // Move a cart line to the wishlist
+        var moveBtn = e.target.closest('[data-cart-move-to-wishlist]');
+        if (moveBtn) {
+          e.preventDefault();
+          self.moveFromCart(moveBtn);
+        }
+
+        // Remove from wishlist page
+        var removeBtn = e.target.closest('[data-wishlist-remove]');
+        if (removeBtn) {
+          e.preventDefault();
+          var card = removeBtn.closest('[data-wishlist-item]');
+          if (card) {
+            self._removeCards([card]);
+          } else if (removeBtn.dataset.wishlistRemove) {
+            self.removeItem(self._getKey(removeBtn.dataset.wishlistRemove, removeBtn.dataset.variantId));
+          }
+        }
+      });
+
+      // Selection and sorting on the wishlist page
+      document.addEventListener('change', function (e) {
+        if (e.target.matches('[data-wishlist-select-all]')) {
+          self._selectAll(e.target.checked);
+        } else if (e.target.matches('[data-wishlist-select]')) {
+          self._updateSelection();
+        } else if (e.target.matches('[data-wishlist-sort]')) {
+          self._applySort();
+        }
+      });
+
+      // Keep product page buttons pointed at the selected variant
+      document.addEventListener(EVENTS.VARIANT_CHANGED, function (e) {
+        self._onVariantChanged(e);
+      });
+
+      // Keep the share links in step with the list
+      window.addEventListener('wishlist:updated', function () {
+        self._updateShareLinks();
+      });
     },
 
     /**
-     * Add to cart
-     * @param {HTMLFormElement} form - Form element
-     * @param {HTMLButtonElement} button - Submit button
+     * Point a product's variant-level wishlist buttons at the newly selected variant
+     * @param {CustomEvent} e - The variant:changed event
      */
-    _addToCart: function (form, button) {
+    _onVariantChanged: function (e) {
       var self = this;
-      if (!form || !this.currentVariant) return;
+      var variant = e.detail && e.detail.variant;
+      var product = e.detail && e.detail.product;
+      if (!variant || !product) return;
+
+      document.querySelectorAll('[data-wishlist-add="' + product.id + '"][data-variant-id]').forEach(function (btn) {
+        btn.dataset.variantId = variant.id;
+        btn.dataset.productPrice = variant.price;
+        btn.dataset.productAvailable = variant.available;
+        if (btn.hasAttribute('data-variant-title')) btn.dataset.variantTitle = variant.title;
+        self._updateButton(btn, String(product.id));
+      });
+    },
 
-      var formData = new FormData(form);
+    /**
+     * Toggle product in wishlist. Buttons with data-variant-id save that variant;
+     * without it the product is saved and any saved variant counts as saved.
+     * @param {string} productId - Product ID
+     * @param {HTMLElement} btn - Button element
+     */
+    toggle: function (productId, btn) {
+      var variantId = btn.dataset.variantId || '';
 
-      // Set loading state
-      if (button) {
-        button.classList.add('is-loading');
-        button.disabled = true;
+      if (this.isInWishlist(productId, variantId)) {
+        this.remove(productId, variantId);
+        Sallety.notify.info('تمت إزالة المنتج من المفضلة');
+      } else {
+        // Get product data from button attributes
+        var productData = {
+          id: productId,
+          variantId: variantId,
+          variantTitle: btn.dataset.variantTitle || '',
+          handle: btn.dataset.productHandle || '',
+          title: btn.dataset.productTitle || '',
+          image: btn.dataset.productImage || '',
+          price: btn.dataset.productPrice || '0',
+          available: btn.dataset.productAvailable !== 'false',
+          url: btn.dataset.productUrl || ''
+        };
+        this.add(productData);
+        Sallety.notify.success('تمت إضافة المنتج إلى المفضلة');
       }
+      this._updateButton(btn, productId);
+      this._updateHeaderCount();
+    },
 
-      // Show loading on cart icon
-      Sallety.cart.setIconLoading();
-
-      fetch((window.routes && window.routes.cart_add_url ? window.routes.cart_add_url : '/cart/add') + '.js', {
-        method: 'POST',
-        body: formData
-      })
-        .then(function (response) {
-          if (!response.ok) {
-            return response.json().then(function (data) {
-              throw new Error(data.description || 'Add to cart failed');
-            });
-          }
-          return response.json();
-        })
-        .then(function () {
-          return Sallety.cart.get();
-        })
-        .then(function (cart) {
-          Sallety.cart.updateCount(cart.item_count);
-
-          self.close();
-
-          var cartDrawer = document.querySelector('#cart-drawer');
-          if (cartDrawer) {
-            Sallety.drawer.open('cart-drawer');
-          }
-
-          // Dispatch event
-          Sallety.utils.dispatchEvent(EVENTS.CART_UPDATED, cart);
-        })
-        .catch(function (error) {
-          console.error('[Sallety] Add to cart error:', error);
-          alert(error.message || 'Unable to add to cart. Please try again.');
-        })
-        .finally(function () {
-          if (button) {
-            button.classList.remove('is-loading');
-            button.disabled = false;
-          }
-          // Clear cart icon loading
-          Sallety.cart.clearIconLoading();
+    /**
+     * Add product to wishlist
+     * @param {Object} product - Product data
+     */
+    add: function (product) {
+      var key = this._getKey(product.id, product.variantId);
+
+      if (!this._findItem(key)) {
+        this.items.push({
+          key: key,
+          id: product.id,
+          variantId: product.variantId ? String(product.variantId) : '',
+          variantTitle: product.variantTitle || '',
+          handle: product.handle,
+          title: product.title,
+          image: product.image,
+          price: product.price,
+          available: product.available !== false,
+          url: product.url,
+          addedAt: new Date().toISOString()
         });
+        this._saveToStorage();
+        Sallety.wishlistSync.schedulePush();
+      }
     },
 
     /**
-     * Buy now - add to cart and redirect to checkout
-     * @param {HTMLFormElement} form - Form element
-     * @param {HTMLButtonElement} button - Buy now button
+     * Remove product from wishlist
+     * @param {string} productId - Product ID
+     * @param {string} [variantId] - Variant ID; without it every saved entry for the product is removed
      */
-    _buyNow: function (form, button) {
+    remove: function (productId, variantId) {
+      var key = this._getKey(productId, variantId);
       var self = this;
-      if (!form || !this.currentVariant) return;
 
-      var formData = new FormData(form);
+      this._removeWhere(function (item) {
+        return variantId ? self._getItemKey(item) === key : String(item.id) === String(productId);
+      });
+    },
 
-      // Set loading state
-      if (button) {
-        button.classList.add('is-loading');
-        button.disabled = true;
-      }
+    /**
+     * Remove one wishlist entry
+     * @param {string} key - Item key from _getKey
+     */
+    removeItem: function (key) {
+      var self = this;
+      this._removeWhere(function (item) {
+        return self._getItemKey(item) === key;
+      });
+    },
 
-      fetch((window.routes && window.routes.cart_add_url ? window.routes.cart_add_url : '/cart/add') + '.js', {
-        method: 'POST',
-        body: formData
-      })
-        .then(function (response) {
-          if (!response.ok) {
-            return response.json().then(function (data) {
-              throw new Error(data.description || 'Add to cart failed');
-            });
-          }
-          return response.json();
-        })
-        .then(function () {
-          window.location.href = '/checkout';
-        })
-        .catch(function (error) {
-          console.error('[Sallety] Buy now error:', error);
-          alert(error.message || 'Unable to proceed to checkout. Please try again.');
+    /**
+     * Remove the entries matching a test and record the removal for sync
+     * @param {Function} predicate - Returns true for entries to remove
+     */
+    _removeWhere: function (predicate) {
+      var self = this;
+      var removedKeys = [];
 
-          if (button) {
-            button.classList.remove('is-loading');
-            button.disabled = false;
-          }
-        });
+      this.items = this.items.filter(function (item) {
+        if (!predicate(item)) return true;
+        removedKeys.push(self._getItemKey(item));
+        return false;
+      });
+      this._saveToStorage();
+      Sallety.wishlistSync.recordRemoval(removedKeys);
+      this._updateAllButtons();
+      this._updateHeaderCount();
     },
 
     /**
-     * Get sized image URL
-     * @param {string} url - Original image URL
-     * @param {string} size - Size string (e.g., '800x')
-     * @returns {string} Sized image URL
+     * Check if product is in wishlist
+     * @param {string} productId - Product ID
+     * @param {string} [variantId] - Variant ID; without it any saved entry for the product counts
+     * @returns {boolean}
      */
-    _getSizedImageUrl: function (url, size) {
-      if (!url) return '';
-
-      // Handle Shopify CDN URLs
-      if (url.includes('cdn.shopify.com')) {
-        return url.replace(/(_\d+x\d*|\d+x\d*_)?(\.[^.]+)$/, '_' + size + '$2');
-      }
+    isInWishlist: function (productId, variantId) {
+      if (variantId) return Boolean(this._findItem(this._getKey(productId, variantId)));
 
-      return url;
+      return this.items.some(function (item) {
+        return String(item.id) === String(productId);
+      });
     },
 
     /**
-     * Get color value from color name
-     * @param {string} colorName - Color name
-     * @returns {string} Color value (hex or name)
+     * Key identifying a wishlist entry: the product, plus the variant when one was saved
+     * @param {string} productId - Product ID
+     * @param {string} [variantId] - Variant ID
+     * @returns {string}
      */
-    _getColorValue: function (colorName) {
-      var colorMap = {
-        'black': '#000000', 'أسود': '#000000',
-        'white': '#ffffff', 'أبيض': '#ffffff',
-        'red': '#dc2626', 'أحمر': '#dc2626',
-        'blue': '#2563eb', 'أزرق': '#2563eb',
-        'green': '#16a34a', 'أخضر': '#16a34a',
-        'yellow': '#eab308', 'أصفر': '#eab308',
-        'orange': '#ea580c', 'برتقالي': '#ea580c',
-        'purple': '#9333ea', 'بنفسجي': '#9333ea',
-        'pink': '#ec4899', 'وردي': '#ec4899',
-        'brown': '#92400e', 'بني': '#92400e',
-        'gray': '#6b7280', 'grey': '#6b7280', 'رمادي': '#6b7280',
-        'navy': '#1e3a5f', 'كحلي': '#1e3a5f',
-        'beige': '#d4b896', 'بيج': '#d4b896',
-        'cream': '#fffdd0', 'كريمي': '#fffdd0',
-        'olive': '#556b2f', 'زيتي': '#556b2f',
-        'burgundy': '#800020', 'عنابي': '#800020'
-      };
+    _getKey: function (productId, variantId) {
+      return variantId ? productId + ':' + variantId : String(productId);
+    },
 
-      var lowerName = colorName.toLowerCase().replace(/\s/g, '');
-      return colorMap[lowerName] || colorName;
+    /**
+     * Key of a stored entry, including entries saved before variants were tracked
+     * @param {Object} item - Wishlist item
+     * @returns {string}
+     */
+    _getItemKey: function (item) {
+      return item.key || this._getKey(item.id, item.variantId);
     },
 
     /**
-     * Check if a color is light
-     * @param {string} color - Color value
-     * @returns {boolean} True if light
+     * Find a wishlist entry by key
+     * @param {string} key - Item key from _getKey
+     * @returns {Object|undefined}
      */
-    _isLightColor: function (color) {
-      // Simple check for common light colors
-      var lightColors = ['#ffffff', '#fffdd0', '#d4b896', '#f5f5f5', 'white', 'cream', 'beige'];
-      return lightColors.includes(color.toLowerCase());
+    _findItem: function (key) {
+      var self = this;
+      return this.items.find(function (item) {
+        return self._getItemKey(item) === key;
+      });
     },
 
     /**
-     * Truncate HTML string
-     * @param {string} html - HTML string
-     * @param {number} maxLength - Maximum length
-     * @returns {string} Truncated string
+     * Get all wishlist items
+     * @returns {Array}
      */
-    _truncateHtml: function (html, maxLength) {
-      // Strip HTML tags for length calculation
-      var div = document.createElement('div');
-      div.innerHTML = html;
-      var text = div.textContent || div.innerText || '';
+    getItems: function () {
+      return this.items;
+    },
 
-      if (text.length <= maxLength) {
-        return html;
-      }
+    /**
+     * Get wishlist item IDs
+     * @returns {Array}
+     */
+    getItemIds: function () {
+      return this.items.map(function (item) {
+        return item.id;
+      }).filter(function (id, index, ids) {
+        return ids.indexOf(id) === index;
+      });
+    },
 
-      return text.substring(0, maxLength) + '...';
-    }
-  };
+    /**
+     * Get wishlist item keys, one per saved product or variant
+     * @returns {Array}
+     */
+    getItemKeys: function () {
+      var self = this;
+      return this.items.map(function (item) {
+        return self._getItemKey(item);
+      });
+    },
 
-  // ============================================================================
-  // CART PAGE MODULE
-  // ============================================================================
+    /**
+     * Get wishlist count
+     * @returns {number}
+     */
+    getCount: function () {
+      return this.items.length;
+    },
 
-  /**
-   * Cart Page Module
-   * Handles cart page functionality including item removal, quantity updates,
-   * and AJAX re-rendering for the main cart page
-   */
-  Sallety.cartPage = {
-    section: null,
-    itemsContainer: null,
-    isUpdating: false,
+    /**
+     * Clear all wishlist items
+     */
+    clear: function () {
+      Sallety.wishlistSync.recordRemoval(this.getItemKeys());
+      this.items = [];
+      this._saveToStorage();
+      this._updateAllButtons();
+      this._updateHeaderCount();
+    },
 
     /**
-     * Initialize the cart page
+     * Replace the list with the one merged by Sallety.wishlistSync
+     * @param {Array<Object>} items - Merged items
      */
-    init: function () {
-      this.section = document.querySelector('[data-section-type="cart"]');
-      if (!this.section) return;
+    _applySynced: function (items) {
+      var changed = JSON.stringify(items) !== JSON.stringify(this.items);
+      this.items = items;
+      this._saveToStorage();
+      if (!changed) return;
 
-      this.itemsContainer = this.section.querySelector('[data-cart-items]');
-      this._bindEvents();
+      this._updateAllButtons();
+      this._updateHeaderCount();
+
+      // Show items that arrived from other devices on the wishlist page
+      if (document.querySelector('[data-wishlist-container]')) {
+        var countEl = document.querySelector('[data-wishlist-page-count]');
+        if (countEl) countEl.textContent = this.getCount();
+        this.renderWishlistPage();
+      }
     },
 
     /**
-     * Bind event listeners
+     * Update a single button state
+     * @param {HTMLElement} btn - Button element
+     * @param {string} productId - Product ID
      */
-    _bindEvents: function () {
-      var self = this;
+    _updateButton: function (btn, productId) {
+      if (!btn) return;
 
-      // Use event delegation for all cart page interactions
-      document.addEventListener('click', function (e) {
-        // Remove item
-        var removeBtn = e.target.closest('[data-cart-remove]');
-        if (removeBtn && self._isInCartPage(removeBtn)) {
-          e.preventDefault();
-          var line = parseInt(removeBtn.dataset.cartRemove, 10);
-          if (line) {
-            self.removeItem(line);
-          }
-          return;
-        }
+      var isActive = this.isInWishlist(productId, btn.dataset.variantId);
+      btn.classList.toggle('is-active', isActive);
 
-        // Quantity minus
-        var minusBtn = e.target.closest('[data-quantity-minus][data-line]');
-        if (minusBtn && self._isInCartPage(minusBtn)) {
-          e.preventDefault();
-          var line = parseInt(minusBtn.dataset.line, 10);
-          var input = minusBtn.closest('[data-quantity-selector]').querySelector('[data-quantity-input]');
-          var currentQty = parseInt(input.value, 10) || 1;
-          if (currentQty > 1) {
-            self.updateQuantity(line, currentQty - 1);
-          }
-          return;
-        }
+      // Update aria-label
+      var label = isActive
+        ? (window.wishlistStrings?.removeFromWishlist || 'إزالة من المفضلة')
+        : (window.wishlistStrings?.addToWishlist || 'أضف للمفضلة');
+      btn.setAttribute('aria-label', label);
+      btn.setAttribute('title', label);
+    },
 
-        // Quantity plus
-        var plusBtn = e.target.closest('[data-quantity-plus][data-line]');
-        if (plusBtn && self._isInCartPage(plusBtn)) {
-          e.preventDefault();
-          var line = parseInt(plusBtn.dataset.line, 10);
-          var input = plusBtn.closest('[data-quantity-selector]').querySelector('[data-quantity-input]');
-          var currentQty = parseInt(input.value, 10) || 1;
-          self.updateQuantity(line, currentQty + 1);
-          return;
-        }
+    /**
+     * Update all wishlist buttons on the page
+     */
+    _updateAllButtons: function () {
+      var self = this;
+      document.querySelectorAll('[data-wishlist-add]').forEach(function (btn) {
+        var productId = btn.dataset.wishlistAdd;
+        self._updateButton(btn, productId);
       });
+    },
 
-      // Quantity input change
-      document.addEventListener('change', function (e) {
-        var input = e.target.closest('[data-quantity-input][data-line]');
-        if (input && self._isInCartPage(input)) {
-          var line = parseInt(input.dataset.line, 10);
-          var newQty = parseInt(input.value, 10) || 1;
-          if (newQty < 1) newQty = 1;
-          self.updateQuantity(line, newQty);
+    /**
+     * Update header wishlist count
+     */
+    _updateHeaderCount: function () {
+      var count = this.getCount();
+      var countElements = document.querySelectorAll('[data-wishlist-count]');
+
+      countElements.forEach(function (el) {
+        el.textContent = count;
+        el.setAttribute('data-count', count);
+        // Show/hide based on count
+        if (count > 0) {
+          el.classList.remove('hidden');
+          el.style.display = '';
+        } else {
+          el.classList.add('hidden');
         }
       });
 
-      // Cart note update (debounced)
-      var noteInput = this.section.querySelector('[data-cart-note]');
-      if (noteInput) {
-        noteInput.addEventListener('change', function () {
-          self.updateNote(noteInput.value);
-        });
-      }
+      // Dispatch event for other components listening
+      window.dispatchEvent(new CustomEvent('wishlist:updated', {
+        detail: { count: count, items: this.items }
+      }));
     },
 
     /**
-     * Check if element is inside cart page section
-     * @param {HTMLElement} element - Element to check
-     * @returns {boolean}
+     * Check and show empty state on wishlist page
      */
-    _isInCartPage: function (element) {
-      return element.closest('[data-section-type="cart"]') !== null;
+    _checkEmptyState: function () {
+      var container = document.querySelector('[data-wishlist-container]');
+      var emptyState = document.querySelector('[data-wishlist-empty]');
+      var grid = document.querySelector('[data-wishlist-grid]');
+
+      if (container && this.items.length === 0) {
+        var toolbar = document.querySelector('[data-wishlist-toolbar]');
+        if (grid) grid.classList.add('hidden');
+        if (toolbar) toolbar.classList.add('hidden');
+        if (emptyState) emptyState.classList.remove('hidden');
+      }
     },
 
     /**
-     * Remove item from cart
-     * @param {number} line - Line item index (1-based)
+     * Render wishlist page
+     * Fetches products by IDs and renders them
      */
-    removeItem: function (line) {
-      if (this.isUpdating) return;
-
+    renderWishlistPage: function () {
       var self = this;
-      var itemEl = this.section.querySelector('[data-cart-item][data-line="' + line + '"]');
+      var container = document.querySelector('[data-wishlist-container]');
+      var grid = document.querySelector('[data-wishlist-grid]');
+      var emptyState = document.querySelector('[data-wishlist-empty]');
+      var loading = document.querySelector('[data-wishlist-loading]');
 
-      // Animate the item out immediately for a smooth experience
-      if (itemEl) {
-        itemEl.classList.add('is-removing');
-        itemEl.style.pointerEvents = 'none';
-        // After slide-out animation, collapse the height smoothly
-        var itemHeight = itemEl.offsetHeight;
-        itemEl.style.maxHeight = itemHeight + 'px';
-        itemEl.style.overflow = 'hidden';
+      if (!container) return;
 
-        // Wait for slide-out animation, then collapse
-        setTimeout(function () {
-          itemEl.style.maxHeight = '0px';
-          itemEl.style.padding = '0';
-          itemEl.style.margin = '0';
-          itemEl.style.borderWidth = '0';
-        }, 280); // slightly less than the slideOut animation duration (300ms)
+      // A shared list is shown read-only instead of the shopper's own
+      var shared = this.getSharedEntries();
+      if (shared.length > 0) {
+        this.renderSharedWishlist(shared);
+        return;
       }
 
-      this._updateCart({ line: line, quantity: 0 })
-        .then(function (cart) {
-          self._onCartUpdated(cart);
-        })
-        .catch(function (error) {
-          console.error('[Sallety] Remove item error:', error);
-          if (itemEl) {
-            itemEl.classList.remove('is-removing');
-            itemEl.style.opacity = '';
-            itemEl.style.pointerEvents = '';
-            itemEl.style.maxHeight = '';
-            itemEl.style.overflow = '';
-            itemEl.style.padding = '';
-            itemEl.style.margin = '';
-            itemEl.style.borderWidth = '';
-          }
-          self._showError(error.message || 'حدث خطأ أثناء حذف المنتج');
-        });
-    },
+      // Show loading
+      if (loading) loading.classList.remove('hidden');
+      if (grid) grid.classList.add('hidden');
+      if (emptyState) emptyState.classList.add('hidden');
 
-    /**
-     * Update item quantity
-     * @param {number} line - Line item index (1-based)
-     * @param {number} quantity - New quantity
-     */
-    updateQuantity: function (line, quantity) {
-      if (this.isUpdating) return;
+      // Check if wishlist is empty
+      if (this.items.length === 0) {
+        if (loading) loading.classList.add('hidden');
+        if (emptyState) emptyState.classList.remove('hidden');
+        return;
+      }
 
-      var self = this;
-      var itemEl = this.section.querySelector('[data-cart-item][data-line="' + line + '"]');
-      var input = itemEl ? itemEl.querySelector('[data-quantity-input]') : null;
-      var previousQty = input ? parseInt(input.value, 10) : quantity;
+      var handles = this._getHandles();
 
-      // Show loading state on item
-      if (itemEl) {
-        itemEl.classList.add('is-loading');
+      if (handles.length === 0) {
+        // Fallback: render from stored data
+        this._renderFromStoredData(grid, loading, emptyState);
+        return;
       }
 
-      this._updateCart({ line: line, quantity: quantity })
-        .then(function (cart) {
-          self._onCartUpdated(cart);
-        })
-        .catch(function (error) {
-          console.error('[Sallety] Update quantity error:', error);
-          if (itemEl) {
-            itemEl.classList.remove('is-loading');
-          }
-          // Revert input to previous value
-          if (input) {
-            input.value = previousQty;
+      this._fetchProducts(handles)
+        .then(function (validProducts) {
+          if (validProducts.length === 0) {
+            // Fallback to stored data
+            self._renderFromStoredData(grid, loading, emptyState);
+            return;
           }
-          self._showError(error.message || 'حدث خطأ أثناء تحديث الكمية');
-        });
-    },
 
-    /**
-     * Update cart note
-     * @param {string} note - Cart note text
-     */
-    updateNote: function (note) {
-      fetch(window.routes?.cart_update_url + '.js' || '/cart/update.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify({ note: note })
-      })
-        .then(function (response) {
-          if (!response.ok) throw new Error('Failed to update note');
-          return response.json();
+          // Render products, then treat what the shopper sees as seen
+          self._renderProducts(grid, validProducts);
+          self._markSeen(validProducts);
+
+          if (loading) loading.classList.add('hidden');
+          if (grid) grid.classList.remove('hidden');
         })
         .catch(function (error) {
-          console.error('[Sallety] Update note error:', error);
+          console.error('[Sallety] Error fetching wishlist products:', error);
+          self._renderFromStoredData(grid, loading, emptyState);
         });
     },
 
     /**
-     * Update cart via AJAX
-     * @param {Object} data - Update data { line, quantity }
-     * @returns {Promise<Object>} Updated cart
+     * Render products from stored data (fallback)
      */
-    _updateCart: function (data) {
-      var self = this;
-      this.isUpdating = true;
+    _renderFromStoredData: function (grid, loading, emptyState) {
+      if (!grid) return;
 
-      return fetch(window.routes?.cart_change_url + '.js' || '/cart/change.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        body: JSON.stringify(data)
-      })
-        .then(function (response) {
-          if (!response.ok) {
-            return response.json().then(function (err) {
-              throw new Error(err.description || err.message || 'Cart update failed');
-            });
-          }
-          return response.json();
-        })
-        .finally(function () {
-          self.isUpdating = false;
-        });
-    },
+      if (this.items.length === 0) {
+        if (loading) loading.classList.add('hidden');
+        if (emptyState) emptyState.classList.remove('hidden');
+        return;
+      }
 
-    /**
-     * Handle cart updated
-     * @param {Object} cart - Updated cart object
-     */
-    _onCartUpdated: function (cart) {
-      // Update cart count in header
-      Sallety.cart.updateCount(cart.item_count);
+      var html = '';
+      var self = this;
 
-      // Refresh cart page content via AJAX
-      this.refresh();
+      this.items.forEach(function (item) {
+        html += self._createProductCardHtml(Object.assign({}, item, {
+          key: self._getItemKey(item),
+          addedAt: item.addedAt || '',
+          options: item.variantTitle,
+          cartVariantId: item.variantId
+        }));
+      });
 
-      // Dispatch event
-      Sallety.utils.dispatchEvent(EVENTS.CART_UPDATED, cart);
+      grid.innerHTML = html;
+      this._applySort();
+      this._updateSelection();
+      if (loading) loading.classList.add('hidden');
+      if (grid) grid.classList.remove('hidden');
     },
 
     /**
-     * Refresh cart page content via AJAX
+     * Render products from API data, one card per saved product or variant,
+     * with the live price and availability of the saved variant
+     * @param {HTMLElement} grid - Wishlist grid
+     * @param {Array<Object>} products - Product JSON
+     * @param {Array<Object>} [items] - Entries to render, defaults to the shopper's own
+     * @param {boolean} [readOnly=false] - Leave out remove buttons, for shared lists
      */
-    refresh: function () {
+    _renderProducts: function (grid, products, items, readOnly) {
+      if (!grid) return;
+
+      var html = '';
       var self = this;
-      var sectionId = this.section.dataset.sectionId;
 
-      // Add loading state
-      this.section.classList.add('is-loading');
+      (items || this.items).forEach(function (item) {
+        var product = self._findProduct(item, products);
+        if (!product) return;
 
-      // Fetch fresh cart page HTML using the section
-      var url = window.location.pathname + '?section_id=' + sectionId;
+        var live = self._getLive(item, product);
+        var variant = live.variant;
+        var savedPrice = parseInt(item.price, 10) || 0;
 
-      fetch(url, {
-        headers: {
-          'X-Requested-With': 'XMLHttpRequest'
-        }
-      })
-        .then(function (response) {
-          if (!response.ok) throw new Error('Failed to fetch cart');
-          return response.text();
-        })
-        .then(function (html) {
-          self._renderCartContent(html);
-        })
-        .catch(function (error) {
-          console.error('[Sallety] Refresh cart error:', error);
-          // Fallback: reload the page
-          window.location.reload();
-        })
-        .finally(function () {
-          self.section.classList.remove('is-loading');
+        html += self._createProductCardHtml({
+          key: self._getItemKey(item),
+          id: product.id,
+          variantId: item.variantId || '',
+          handle: product.handle,
+          title: product.title,
+          image: variant && variant.featured_image ? variant.featured_image.src : product.featured_image,
+          price: live.price,
+          compare_at_price: variant ? variant.compare_at_price : product.compare_at_price,
+          url: '/products/' + product.handle + (item.variantId ? '?variant=' + item.variantId : ''),
+          available: live.available,
+          options: variant ? self._describeVariant(product, variant) : item.variantTitle,
+          cartVariantId: variant && variant.available ? variant.id : '',
+          // Compared with the price and stock when the item was saved
+          priceDrop: savedPrice > live.price ? savedPrice - live.price : 0,
+          backInStock: live.available && (item.available === false || item.seenAvailable === false),
+          readOnly: Boolean(readOnly),
+          addedAt: item.addedAt || '',
+          vendor: product.vendor
         });
+      });
+
+      grid.innerHTML = html;
+
+      if (!readOnly) {
+        this._applySort();
+        this._updateSelection();
+      }
     },
 
     /**
-     * Render cart content from HTML
-     * @param {string} html - HTML string
+     * Unique handles of the saved products
+     * @returns {Array<string>}
      */
-    _renderCartContent: function (html) {
-      var parser = new DOMParser();
-      var doc = parser.parseFromString(html, 'text/html');
-
-      // Replace the entire section content
-      var newSection = doc.querySelector('[data-section-type="cart"]');
-
-      if (newSection && this.section) {
-        this.section.innerHTML = newSection.innerHTML;
-
-        // Re-cache references
-        this.itemsContainer = this.section.querySelector('[data-cart-items]');
+    _getHandles: function () {
+      return this.items.map(function (item) {
+        return item.handle;
+      }).filter(function (handle, index, list) {
+        return handle && list.indexOf(handle) === index;
+      });
+    },
 
-        // Re-bind cart note event
-        var noteInput = this.section.querySelector('[data-cart-note]');
-        if (noteInput) {
-          var self = this;
-          noteInput.addEventListener('change', function () {
-            self.updateNote(noteInput.value);
+    /**
+     * Fetch product JSON for each handle, skipping products that no longer exist
+     * @param {Array<string>} handles - Product handles
+     * @returns {Promise<Array<Object>>} Products found
+     */
+    _fetchProducts: function (handles) {
+      var fetchPromises = handles.map(function (handle) {
+        return fetch(window.Shopify.routes.root + 'products/' + encodeURIComponent(handle) + '.js')
+          .then(function (response) {
+            if (!response.ok) throw new Error('Product not found');
+            return response.json();
+          })
+          .catch(function () {
+            return null;
           });
-        }
+      });
 
+      return Promise.all(fetchPromises).then(function (products) {
+        return products.filter(Boolean);
+      });
+    },
+
+    /**
+     * Find the product a wishlist entry belongs to
+     * @param {Object} item - Wishlist item
+     * @param {Array<Object>} products - Product JSON
+     * @returns {Object|undefined}
+     */
+    _findProduct: function (item, products) {
+      return products.find(function (p) {
+        return p.handle === item.handle || String(p.id) === String(item.id);
+      });
+    },
 
+    /**
+     * Live price and availability of a wishlist entry
+     * @param {Object} item - Wishlist item
+     * @param {Object} product - Product JSON
+     * @returns {{variant: Object|null, price: number, available: boolean}}
+     */
+    _getLive: function (item, product) {
+      // The saved variant, or the only one for products without options
+      var variant = null;
+      if (item.variantId) {
+        variant = product.variants.find(function (v) {
+          return String(v.id) === String(item.variantId);
+        }) || null;
+      } else if (product.variants.length === 1) {
+        variant = product.variants[0];
       }
+
+      // Product-level entries are saved with the first available variant's
+      // price (see product-card), so compare on that rather than the lowest
+      // price, which may belong to a sold-out variant
+      var priceVariant = variant || product.variants.find(function (v) {
+        return v.available;
+      }) || product.variants[0];
+
+      return {
+        variant: variant,
+        price: priceVariant ? priceVariant.price : product.price,
+        // A saved variant that no longer exists can't be bought
+        available: variant ? variant.available : !item.variantId && product.available
+      };
     },
 
     /**
-     * Show error message
-     * @param {string} message - Error message
+     * Check saved items' live prices and stock in the background, at most once
+     * per CHECK_INTERVAL, and flag the header when something changed
      */
-    _showError: function (message) {
-      console.error('[Sallety] Cart Page Error:', message);
+    checkForChanges: function () {
+      var self = this;
 
-      // Use toast notification if available
-      if (window.Sallety && window.Sallety.toast) {
-        window.Sallety.toast.show(message, 'error');
+      // The wishlist page compares and marks items as seen itself
+      if (this.items.length === 0 || document.querySelector('[data-wishlist-container]')) {
+        this._updateChangeIndicator();
         return;
       }
 
-      // Fallback: Show inline error
-      var existingError = this.section.querySelector('.cart-page-error');
-      if (existingError) {
-        existingError.remove();
-      }
-
-      var errorHtml = '<div class="cart-page-error fixed top-4 left-4 right-4 z-[100] bg-error text-white px-4 py-3 rounded-lg shadow-lg flex items-center gap-2 animate-fade-in" dir="rtl">' +
-        '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">' +
-        '<circle cx="12" cy="12" r="10"></circle>' +
-        '<line x1="12" y1="8" x2="12" y2="12"></line>' +
-        '<line x1="12" y1="16" x2="12.01" y2="16"></line>' +
-        '</svg>' +
-        '<span class="text-sm font-medium flex-1">' + message + '</span>' +
-        '<button type="button" class="hover:opacity-70 transition-opacity" onclick="this.parentElement.remove()">' +
-        '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">' +
-        '<line x1="18" y1="6" x2="6" y2="18"></line>' +
-        '<line x1="6" y1="6" x2="18" y2="18"></line>' +
-        '</svg>' +
-        '</button>' +
-        '</div>';
+      var lastCheck = 0;
+      try {
+        lastCheck = parseInt(localStorage.getItem(this.CHECK_KEY), 10) || 0;
+      } catch (e) { /* ignore */ }
 
-      document.body.insertAdjacentHTML('afterbegin', errorHtml);
+      if (Date.now() - lastCheck < this.CHECK_INTERVAL) {
+        this._updateChangeIndicator();
+        return;
+      }
 
-      // Auto-remove after 5 seconds
-      setTimeout(function () {
-        var error = document.querySelector('.cart-page-error');
-        if (error) {
-          error.style.opacity = '0';
-          setTimeout(function () { error.remove(); }, 300);
-        }
-      }, 5000);
-    }
-  };
+      this._fetchProducts(this._getHandles())
+        .then(function (products) {
+          // Nothing came back, most likely offline: try again on the next page view
+          if (products.length === 0) return;
 
-  // ============================================================================
-  // WISHLIST MODULE
-  // ============================================================================
+          try {
+            localStorage.setItem(self.CHECK_KEY, String(Date.now()));
+          } catch (e) { /* ignore */ }
 
-  /**
-   * Wishlist Module
-   * Handles wishlist functionality with localStorage persistence
-   */
-  Sallety.wishlist = {
-    STORAGE_KEY: 'sallety_wishlist',
-    items: [],
+          self.items.forEach(function (item) {
+            var product = self._findProduct(item, products);
+            if (!product) return;
 
-    /**
-     * Initialize the wishlist module
-     */
-    init: function () {
-      this._loadFromStorage();
-      this._bindEvents();
-      this._updateAllButtons();
-      this._updateHeaderCount();
+            var live = self._getLive(item, product);
+            item.livePrice = live.price;
+            item.liveAvailable = live.available;
+          });
+          self._saveToStorage();
+          self._updateChangeIndicator();
+        })
+        .catch(function (error) {
+          console.error('[Sallety] Error checking wishlist changes:', error);
+        });
     },
 
     /**
-     * Load wishlist items from localStorage
+     * Remember the prices and stock shown on the wishlist page as seen
+     * @param {Array<Object>} products - Product JSON
      */
-    _loadFromStorage: function () {
-      try {
-        var stored = localStorage.getItem(this.STORAGE_KEY);
-        if (stored) {
-          this.items = JSON.parse(stored);
-        }
-      } catch (e) {
-        console.error('[Sallety] Error loading wishlist:', e);
-        this.items = [];
-      }
+    _markSeen: function (products) {
+      var self = this;
+
+      this.items.forEach(function (item) {
+        var product = self._findProduct(item, products);
+        if (!product) return;
+
+        var live = self._getLive(item, product);
+        item.livePrice = live.price;
+        item.liveAvailable = live.available;
+        item.seenPrice = live.price;
+        item.seenAvailable = live.available;
+      });
+      this._saveToStorage();
+      this._updateChangeIndicator();
     },
 
     /**
-     * Save wishlist items to localStorage
+     * Whether an item got cheaper or came back in stock since the wishlist page was last visited
+     * @param {Object} item - Wishlist item
+     * @returns {boolean}
      */
-    _saveToStorage: function () {
-      try {
-        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.items));
-      } catch (e) {
-        console.error('[Sallety] Error saving wishlist:', e);
-      }
+    _hasChanged: function (item) {
+      if (item.livePrice === undefined) return false;
+
+      var seenPrice = item.seenPrice !== undefined ? item.seenPrice : parseInt(item.price, 10) || 0;
+      var seenAvailable = item.seenAvailable !== undefined ? item.seenAvailable : item.available !== false;
+      return item.livePrice < seenPrice || (item.liveAvailable && !seenAvailable);
     },
 
     /**
-     * Bind event listeners
+     * Show or hide the header's changed-items indicator
      */
-    _bindEvents: function () {
-      var self = this;
-
-      // Wishlist add/remove buttons
-      document.addEventListener('click', function (e) {
-        var btn = e.target.closest('[data-wishlist-add]');
-        if (btn) {
-          e.preventDefault();
-          e.stopPropagation();
+    _updateChangeIndicator: function () {
+      var changed = this.items.some(this._hasChanged, this);
 
-          var productId = btn.dataset.wishlistAdd;
-          if (productId) {
-            self.toggle(productId, btn);
-          }
-        }
+      document.querySelectorAll('[data-wishlist-changed]').forEach(function (el) {
+        el.classList.toggle('hidden', !changed);
 
-        // Remove from wishlist page
-        var removeBtn = e.target.closest('[data-wishlist-remove]');
-        if (removeBtn) {
-          e.preventDefault();
-          var productId = removeBtn.dataset.wishlistRemove;
-          if (productId) {
-            self.remove(productId);
-            // Remove the card from DOM
-            var card = removeBtn.closest('[data-wishlist-item]');
-            if (card) {
-              card.style.opacity = '0';
-              card.style.transform = 'scale(0.9)';
-              setTimeout(function () {
-                card.remove();
-                self._checkEmptyState();
-              }, 300);
-            }
-          }
+        var link = el.closest('a');
+        var label = el.querySelector('[id]');
+        if (!link || !label) return;
+        if (changed) {
+          link.setAttribute('aria-describedby', label.id);
+        } else {
+          link.removeAttribute('aria-describedby');
         }
       });
     },
 
     /**
-     * Toggle product in wishlist
-     * @param {string} productId - Product ID
-     * @param {HTMLElement} btn - Button element
+     * Link to a read-only copy of the wishlist on the wishlist page, holding
+     * the first SHARE_LIMIT items since that's all a shared link is read for
+     * @returns {string} Absolute URL
      */
-    toggle: function (productId, btn) {
-      if (this.isInWishlist(productId)) {
-        this.remove(productId);
-        this._showToast('تمت إزالة المنتج من المفضلة', 'info');
-      } else {
-        // Get product data from button attributes
-        var productData = {
-          id: productId,
-          handle: btn.dataset.productHandle || '',
-          title: btn.dataset.productTitle || '',
-          image: btn.dataset.productImage || '',
-          price: btn.dataset.productPrice || '0',
-          url: btn.dataset.productUrl || ''
-        };
-        this.add(productData);
-        this._showToast('تمت إضافة المنتج إلى المفضلة', 'success');
-      }
-      this._updateButton(btn, productId);
-      this._updateHeaderCount();
+    getShareUrl: function () {
+      var entries = this._getShareableItems().slice(0, this.SHARE_LIMIT).map(function (item) {
+        return item.variantId ? item.handle + ':' + item.variantId : item.handle;
+      });
+
+      var url = new URL(window.Shopify.routes.root + 'pages/wishlist', window.location.origin);
+      url.searchParams.set(this.SHARE_PARAM, entries.join(','));
+      return url.toString();
     },
 
     /**
-     * Add product to wishlist
-     * @param {Object} product - Product data
+     * Items that can go in a share link, which needs their handle
+     * @returns {Array<Object>} Wishlist items
      */
-    add: function (product) {
-      if (!this.isInWishlist(product.id)) {
-        this.items.push({
-          id: product.id,
-          handle: product.handle,
-          title: product.title,
-          image: product.image,
-          price: product.price,
-          url: product.url,
-          addedAt: new Date().toISOString()
-        });
-        this._saveToStorage();
-      }
+    _getShareableItems: function () {
+      return this.items.filter(function (item) {
+        return item.handle;
+      });
     },
 
     /**
-     * Remove product from wishlist
-     * @param {string} productId - Product ID
+     * Entries of the shared list in the current URL
+     * @returns {Array<{handle: string, variantId: string}>} Empty when the page isn't a shared link
      */
-    remove: function (productId) {
-      this.items = this.items.filter(function (item) {
-        return item.id !== productId && item.id !== String(productId);
-      });
-      this._saveToStorage();
-      this._updateAllButtons();
-      this._updateHeaderCount();
+    getSharedEntries: function () {
+      var param = new URLSearchParams(window.location.search).get(this.SHARE_PARAM);
+      if (!param) return [];
+
+      var self = this;
+
+      // The link comes from someone else, so keep only well-formed handles
+      return param.split(',').map(function (entry) {
+        var parts = entry.trim().split(':');
+        return { handle: parts[0], variantId: /^\d+$/.test(parts[1] || '') ? parts[1] : '' };
+      }).filter(function (entry) {
+        return self.HANDLE_PATTERN.test(entry.handle);
+      }).slice(0, this.SHARE_LIMIT);
     },
 
     /**
-     * Check if product is in wishlist
-     * @param {string} productId - Product ID
-     * @returns {boolean}
+     * Render a shared list read-only, with an option to add it all to the cart
+     * @param {Array<{handle: string, variantId: string}>} entries - Shared entries
      */
-    isInWishlist: function (productId) {
-      return this.items.some(function (item) {
-        return item.id === productId || item.id === String(productId);
+    renderSharedWishlist: function (entries) {
+      var self = this;
+      var grid = document.querySelector('[data-wishlist-grid]');
+      var emptyState = document.querySelector('[data-wishlist-empty]');
+      var loading = document.querySelector('[data-wishlist-loading]');
+      var banner = document.querySelector('[data-wishlist-shared]');
+
+      if (!grid) return;
+
+      if (loading) loading.classList.remove('hidden');
+      grid.classList.add('hidden');
+      if (emptyState) emptyState.classList.add('hidden');
+
+      var handles = entries.map(function (entry) {
+        return entry.handle;
+      }).filter(function (handle, index, list) {
+        return list.indexOf(handle) === index;
       });
+
+      this._fetchProducts(handles)
+        .then(function (products) {
+          var items = entries.map(function (entry) {
+            var product = products.find(function (p) {
+              return p.handle === entry.handle;
+            });
+            return product ? { id: String(product.id), handle: product.handle, variantId: entry.variantId } : null;
+          }).filter(Boolean);
+
+          if (loading) loading.classList.add('hidden');
+
+          if (items.length === 0) {
+            if (emptyState) emptyState.classList.remove('hidden');
+            return;
+          }
+
+          self._renderProducts(grid, products, items, true);
+          grid.classList.remove('hidden');
+
+          if (banner) {
+            var countEl = banner.querySelector('[data-wishlist-shared-count]');
+            var addAllBtn = banner.querySelector('[data-wishlist-add-all]');
+            if (countEl) countEl.textContent = items.length;
+            // Only items that can be bought as they are go into "add all"
+            if (addAllBtn) addAllBtn.disabled = !grid.querySelector('[data-wishlist-add-to-cart]');
+            banner.classList.remove('hidden');
+          }
+        })
+        .catch(function (error) {
+          console.error('[Sallety] Error loading shared wishlist:', error);
+          if (loading) loading.classList.add('hidden');
+          if (emptyState) emptyState.classList.remove('hidden');
+        });
     },
 
     /**
-     * Get all wishlist items
-     * @returns {Array}
+     * Add every item of the shared list that can be bought right away, in one request
+     * @param {HTMLButtonElement} btn - Add all button
      */
-    getItems: function () {
-      return this.items;
+    _addAllToCart: function (btn) {
+      var items = Array.from(document.querySelectorAll('[data-wishlist-grid] [data-wishlist-add-to-cart]')).map(function (cartBtn) {
+        return { id: Number(cartBtn.dataset.wishlistAddToCart), quantity: 1 };
+      });
+      if (items.length === 0) return;
+
+      btn.disabled = true;
+      btn.classList.add('is-loading');
+      Sallety.cart.setIconLoading();
+
+      Sallety.cart.add(items)
+        .then(function () {
+          Sallety.cart.showAdded();
+        })
+        .catch(function (error) {
+          console.error('[Sallety] Wishlist add all error:', error);
+          Sallety.notify.error(error.message || window.cartStrings?.error || 'تعذرت الإضافة إلى السلة. يرجى المحاولة مرة أخرى.');
+        })
+        .finally(function () {
+          btn.disabled = false;
+          btn.classList.remove('is-loading');
+          Sallety.cart.clearIconLoading();
+        });
     },
 
     /**
-     * Get wishlist item IDs
-     * @returns {Array}
+     * Point the wishlist page's share links at the current list and show them
+     * while the shopper has items and isn't viewing someone else's list. Says
+     * so when the list is longer than a link holds.
      */
-    getItemIds: function () {
-      return this.items.map(function (item) {
-        return item.id;
-      });
+    _updateShareLinks: function () {
+      var share = document.querySelector('[data-wishlist-share]');
+      if (!share) return;
+
+      var hidden = this.items.length === 0 || this.getSharedEntries().length > 0;
+      share.classList.toggle('hidden', hidden);
+      if (hidden) return;
+
+      var url = this.getShareUrl();
+      var text = share.dataset.shareText;
+      var whatsapp = share.querySelector('[data-wishlist-share-whatsapp]');
+      if (whatsapp) {
+        whatsapp.href = 'https://wa.me/?text=' + encodeURIComponent(text ? text + ' ' + url : url);
+      }
+
+      var limitNote = share.querySelector('[data-wishlist-share-limit]');
+      if (limitNote) {
+        var overLimit = this._getShareableItems().length > this.SHARE_LIMIT;
+        var limitText = window.wishlistPageStrings?.shareLimit || 'يتضمن الرابط أول [count] منتجاً فقط';
+        limitNote.textContent = overLimit ? limitText.replace('[count]', this.SHARE_LIMIT) : '';
+        limitNote.classList.toggle('hidden', !overLimit);
+      }
     },
 
     /**
-     * Get wishlist count
-     * @returns {number}
+     * Copy the share link to the clipboard
+     * @param {HTMLElement} btn - Copy button with data-copied-message
      */
-    getCount: function () {
-      return this.items.length;
+    _copyShareLink: function (btn) {
+      Sallety.utils.copyToClipboard(this.getShareUrl(), btn.dataset.copiedMessage);
     },
 
     /**
-     * Clear all wishlist items
+     * Describe a variant's options, e.g. "Color: Blue / Size: M"
+     * @param {Object} product - Product JSON
+     * @param {Object} variant - Variant JSON
+     * @returns {string} Description, empty for products without options
      */
-    clear: function () {
-      this.items = [];
-      this._saveToStorage();
-      this._updateAllButtons();
-      this._updateHeaderCount();
+    _describeVariant: function (product, variant) {
+      if (!variant.options || (variant.options.length === 1 && variant.options[0] === 'Default Title')) return '';
+
+      return variant.options.map(function (value, index) {
+        var option = product.options && product.options[index];
+        var name = (typeof option === 'object' && option !== null) ? option.name : option;
+        return name ? name + ': ' + value : value;
+      }).join(' / ');
     },
 
     /**
-     * Update a single button state
-     * @param {HTMLElement} btn - Button element
-     * @param {string} productId - Product ID
+     * Add a saved variant to the cart
+     * @param {HTMLButtonElement} btn - Button with data-wishlist-add-to-cart
      */
-    _updateButton: function (btn, productId) {
-      if (!btn) return;
-
-      var isActive = this.isInWishlist(productId);
-      btn.classList.toggle('is-active', isActive);
+    _addToCart: function (btn) {
+      btn.disabled = true;
+      btn.classList.add('is-loading');
+      Sallety.cart.setIconLoading();
 
-      // Update aria-label
-      var label = isActive
-        ? (window.wishlistStrings?.removeFromWishlist || 'إزالة من المفضلة')
-        : (window.wishlistStrings?.addToWishlist || 'أضف للمفضلة');
-      btn.setAttribute('aria-label', label);
-      btn.setAttribute('title', label);
+      Sallety.cart.add([{ id: Number(btn.dataset.wishlistAddToCart), quantity: 1 }])
+        .then(function () {
+          Sallety.cart.showAdded();
+        })
+        .catch(function (error) {
+          console.error('[Sallety] Wishlist add to cart error:', error);
+          Sallety.notify.error(error.message || window.cartStrings?.error || 'تعذرت الإضافة إلى السلة. يرجى المحاولة مرة أخرى.');
+        })
+        .finally(function () {
+          btn.disabled = false;
+          btn.classList.remove('is-loading');
+          Sallety.cart.clearIconLoading();
+        });
     },
 
     /**
-     * Update all wishlist buttons on the page
+     * Wishlist page cards the shopper has ticked
+     * @returns {Array<HTMLElement>}
      */
-    _updateAllButtons: function () {
-      var self = this;
-      document.querySelectorAll('[data-wishlist-add]').forEach(function (btn) {
-        var productId = btn.dataset.wishlistAdd;
-        self._updateButton(btn, productId);
+    _getSelectedCards: function () {
+      return Array.from(document.querySelectorAll('[data-wishlist-grid] [data-wishlist-select]:checked')).map(function (input) {
+        return input.closest('[data-wishlist-item]');
       });
     },
 
     /**
-     * Update header wishlist count
+     * Tick or untick every card on the wishlist page
+     * @param {boolean} checked - Whether to select all
      */
-    _updateHeaderCount: function () {
-      var count = this.getCount();
-      var countElements = document.querySelectorAll('[data-wishlist-count]');
-
-      countElements.forEach(function (el) {
-        el.textContent = count;
-        el.setAttribute('data-count', count);
-        // Show/hide based on count
-        if (count > 0) {
-          el.classList.remove('hidden');
-          el.style.display = '';
-        } else {
-          el.classList.add('hidden');
-        }
+    _selectAll: function (checked) {
+      document.querySelectorAll('[data-wishlist-grid] [data-wishlist-select]').forEach(function (input) {
+        input.checked = checked;
       });
-
-      // Dispatch event for other components listening
-      window.dispatchEvent(new CustomEvent('wishlist:updated', {
-        detail: { count: count, items: this.items }
-      }));
+      this._updateSelection();
     },
 
     /**
-     * Check and show empty state on wishlist page
+     * Sync the bulk actions toolbar with the current selection
      */
-    _checkEmptyState: function () {
-      var container = document.querySelector('[data-wishlist-container]');
-      var emptyState = document.querySelector('[data-wishlist-empty]');
-      var grid = document.querySelector('[data-wishlist-grid]');
+    _updateSelection: function () {
+      var toolbar = document.querySelector('[data-wishlist-toolbar]');
+      if (!toolbar) return;
 
-      if (container && this.items.length === 0) {
-        if (grid) grid.classList.add('hidden');
-        if (emptyState) emptyState.classList.remove('hidden');
-      }
-    },
+      var total = document.querySelectorAll('[data-wishlist-grid] [data-wishlist-select]').length;
+      var selected = this._getSelectedCards().length;
+      var strings = window.wishlistPageStrings || {};
 
-    /**
-     * Show toast notification
-     * @param {string} message - Message to show
-     * @param {string} type - Type of toast (success, info, error)
-     */
-    _showToast: function (message, type) {
-      // Use existing toast system if available
-      if (window.Sallety && window.Sallety.toast) {
-        window.Sallety.toast.show(message, type);
-        return;
+      var selectAll = toolbar.querySelector('[data-wishlist-select-all]');
+      if (selectAll) {
+        selectAll.checked = total > 0 && selected === total;
+        selectAll.indeterminate = selected > 0 && selected < total;
       }
 
-      // Fallback: Create simple toast
-      var existingToast = document.querySelector('.wishlist-toast');
-      if (existingToast) {
-        existingToast.remove();
+      var countEl = toolbar.querySelector('[data-wishlist-selected-count]');
+      if (countEl) {
+        countEl.textContent = (strings.selectedCount || '[count] محدد').replace('[count]', selected);
       }
 
-      var bgColor = type === 'success' ? 'bg-green-600' : (type === 'error' ? 'bg-red-600' : 'bg-gray-800');
-      var toastHtml = '<div class="wishlist-toast fixed bottom-4 start-4 z-[1001] ' + bgColor + ' text-white px-4 py-3 rounded-lg shadow-lg flex items-center gap-2 animate-fade-in-up" style="animation: fadeInUp 0.3s ease-out;">' +
-        '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">' +
-        (type === 'success'
-          ? '<path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z" fill="currentColor"/>'
-          : '<path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/>') +
-        '</svg>' +
-        '<span class="text-sm font-medium">' + message + '</span>' +
-        '</div>';
-
-      document.body.insertAdjacentHTML('beforeend', toastHtml);
-
-      // Auto-remove after 3 seconds
-      setTimeout(function () {
-        var toast = document.querySelector('.wishlist-toast');
-        if (toast) {
-          toast.style.opacity = '0';
-          toast.style.transform = 'translateY(10px)';
-          setTimeout(function () { toast.remove(); }, 300);
-        }
-      }, 3000);
+      toolbar.querySelectorAll('[data-wishlist-bulk]').forEach(function (btn) {
+        btn.disabled = selected === 0;
+      });
     },
 
     /**
-     * Render wishlist page
-     * Fetches products by IDs and renders them
+     * Add the selected items to the cart in one request, skipping any that
+     * can't be bought as they are
+     * @param {HTMLButtonElement} btn - Bulk action button
+     * @param {boolean} [move=false] - Remove the added items from the wishlist
      */
-    renderWishlistPage: function () {
+    _addSelectedToCart: function (btn, move) {
       var self = this;
-      var container = document.querySelector('[data-wishlist-container]');
-      var grid = document.querySelector('[data-wishlist-grid]');
-      var emptyState = document.querySelector('[data-wishlist-empty]');
-      var loading = document.querySelector('[data-wishlist-loading]');
-
-      if (!container) return;
-
-      // Show loading
-      if (loading) loading.classList.remove('hidden');
-      if (grid) grid.classList.add('hidden');
-      if (emptyState) emptyState.classList.add('hidden');
-
-      // Check if wishlist is empty
-      if (this.items.length === 0) {
-        if (loading) loading.classList.add('hidden');
-        if (emptyState) emptyState.classList.remove('hidden');
-        return;
-      }
-
-      // Fetch products by handles
-      var handles = this.items.map(function (item) {
-        return item.handle;
-      }).filter(Boolean);
+      var strings = window.wishlistPageStrings || {};
+      var cards = this._getSelectedCards();
+      var addable = cards.filter(function (card) {
+        return card.querySelector('[data-wishlist-add-to-cart]');
+      });
 
-      if (handles.length === 0) {
-        // Fallback: render from stored data
-        this._renderFromStoredData(grid, loading, emptyState);
+      if (addable.length === 0) {
+        Sallety.notify.error(strings.noneAvailable || 'المنتجات المحددة غير متوفرة حالياً');
         return;
       }
 
-      // Fetch products via AJAX
-      var fetchPromises = handles.map(function (handle) {
-        return fetch(window.Shopify.routes.root + 'products/' + handle + '.js')
-          .then(function (response) {
-            if (!response.ok) throw new Error('Product not found');
-            return response.json();
-          })
-          .catch(function () {
-            return null;
-          });
+      var items = addable.map(function (card) {
+        return { id: Number(card.querySelector('[data-wishlist-add-to-cart]').dataset.wishlistAddToCart), quantity: 1 };
       });
 
-      Promise.all(fetchPromises)
-        .then(function (products) {
-          var validProducts = products.filter(Boolean);
+      btn.disabled = true;
+      btn.classList.add('is-loading');
+      Sallety.cart.setIconLoading();
 
-          if (validProducts.length === 0) {
-            // Fallback to stored data
-            self._renderFromStoredData(grid, loading, emptyState);
-            return;
+      Sallety.cart.add(items)
+        .then(function () {
+          if (move) self._removeCards(addable);
+          Sallety.cart.showAdded();
+          if (addable.length < cards.length) {
+            Sallety.notify.info(strings.someUnavailable || 'تم تخطي المنتجات غير المتوفرة');
           }
-
-          // Render products
-          self._renderProducts(grid, validProducts);
-
-          if (loading) loading.classList.add('hidden');
-          if (grid) grid.classList.remove('hidden');
         })
         .catch(function (error) {
-          console.error('[Sallety] Error fetching wishlist products:', error);
-          self._renderFromStoredData(grid, loading, emptyState);
+          console.error('[Sallety] Wishlist bulk add to cart error:', error);
+          Sallety.notify.error(error.message || window.cartStrings?.error || 'تعذرت الإضافة إلى السلة. يرجى المحاولة مرة أخرى.');
+        })
+        .finally(function () {
+          btn.classList.remove('is-loading');
+          Sallety.cart.clearIconLoading();
+          self._updateSelection();
         });
     },
 
     /**
-     * Render products from stored data (fallback)
+     * Remove wishlist page cards and their entries
+     * @param {Array<HTMLElement>} cards - Cards with data-wishlist-key
      */
-    _renderFromStoredData: function (grid, loading, emptyState) {
-      if (!grid) return;
+    _removeCards: function (cards) {
+      var self = this;
+      if (cards.length === 0) return;
 
-      if (this.items.length === 0) {
-        if (loading) loading.classList.add('hidden');
-        if (emptyState) emptyState.classList.remove('hidden');
-        return;
-      }
+      var keys = cards.map(function (card) {
+        return card.dataset.wishlistKey;
+      });
 
-      var html = '';
-      var self = this;
+      this._removeWhere(function (item) {
+        return keys.indexOf(self._getItemKey(item)) !== -1;
+      });
 
-      this.items.forEach(function (item) {
-        html += self._createProductCardHtml(item);
+      cards.forEach(function (card) {
+        card.style.opacity = '0';
+        card.style.transform = 'scale(0.9)';
       });
 
-      grid.innerHTML = html;
-      if (loading) loading.classList.add('hidden');
-      if (grid) grid.classList.remove('hidden');
+      setTimeout(function () {
+        cards.forEach(function (card) {
+          card.remove();
+        });
+        self._checkEmptyState();
+        self._updateSelection();
+      }, 300);
     },
 
     /**
-     * Render products from API data
+     * Order the wishlist page cards by the sort select's value
      */
-    _renderProducts: function (grid, products) {
-      if (!grid) return;
+    _applySort: function () {
+      var grid = document.querySelector('[data-wishlist-grid]');
+      var select = document.querySelector('[data-wishlist-sort]');
+      if (!grid || !select) return;
 
-      var html = '';
-      var self = this;
+      var byDate = function (a, b) {
+        return (b.dataset.addedAt || '').localeCompare(a.dataset.addedAt || '');
+      };
+      var byPrice = function (a, b) {
+        return Number(a.dataset.price) - Number(b.dataset.price);
+      };
+      var comparators = {
+        'added-desc': byDate,
+        'added-asc': function (a, b) {
+          return byDate(b, a);
+        },
+        'price-asc': byPrice,
+        'price-desc': function (a, b) {
+          return byPrice(b, a);
+        },
+        // Available first, newest first within each group
+        availability: function (a, b) {
+          return (b.dataset.available === 'true') - (a.dataset.available === 'true') || byDate(a, b);
+        }
+      };
 
-      products.forEach(function (product) {
-        var storedItem = self.items.find(function (item) {
-          return item.handle === product.handle || item.id === String(product.id);
-        });
+      var compare = comparators[select.value];
+      if (!compare) return;
 
-        html += self._createProductCardHtml({
-          id: product.id,
-          handle: product.handle,
-          title: product.title,
-          image: product.featured_image,
-          price: product.price,
-          compare_at_price: product.compare_at_price,
-          url: '/products/' + product.handle,
-          available: product.available,
-          vendor: product.vendor
-        });
+      Array.from(grid.querySelectorAll('[data-wishlist-item]')).sort(compare).forEach(function (card) {
+        grid.appendChild(card);
       });
+    },
 
-      grid.innerHTML = html;
+    /**
+     * Save a cart line to the wishlist and take it out of the cart
+     * @param {HTMLButtonElement} btn - Button with data-cart-move-to-wishlist and the product's data attributes
+     */
+    moveFromCart: function (btn) {
+      var self = this;
+      var itemEl = btn.closest('[data-cart-item]');
+      if (!itemEl) return;
+
+      var key = Sallety.cartDrawer._getLineKey(itemEl, parseInt(itemEl.dataset.line, 10));
+
+      btn.disabled = true;
+      itemEl.classList.add('is-loading');
+
+      Sallety.cart.change(key, 0)
+        .then(function () {
+          self.add({
+            id: btn.dataset.productId,
+            variantId: btn.dataset.variantId || '',
+            variantTitle: btn.dataset.variantTitle || '',
+            handle: btn.dataset.productHandle || '',
+            title: btn.dataset.productTitle || '',
+            image: btn.dataset.productImage || '',
+            price: btn.dataset.productPrice || '0',
+            available: btn.dataset.productAvailable !== 'false',
+            url: btn.dataset.productUrl || ''
+          });
+          self._updateAllButtons();
+          self._updateHeaderCount();
+          Sallety.notify.success(window.cartStrings?.moved_to_wishlist || 'تم نقل المنتج إلى المفضلة');
+        })
+        .catch(function (error) {
+          console.error('[Sallety] Move to wishlist error:', error);
+          btn.disabled = false;
+          itemEl.classList.remove('is-loading');
+          Sallety.notify.error(error.message || window.cartStrings?.error || 'حدث خطأ أثناء نقل المنتج');
+        });
     },
 
     /**
@@ -5353,32 +9434,55 @@
       var outOfStockText = strings.outOfStock || 'نفذت الكمية';
       var viewProductText = strings.viewProduct || 'عرض المنتج';
       var notAvailableText = strings.notAvailable || 'غير متوفر';
+      var addToCartText = window.variantStrings?.addToCart || 'أضف إلى السلة';
+      var priceDropText = strings.priceDrop || 'انخفض السعر بمقدار [amount]';
+      var backInStockText = strings.backInStock || 'عاد إلى المخزون';
+      var selectText = Sallety.utils.escapeAttr((strings.selectItem || 'تحديد [title]').replace('[title]', function () {
+        return product.title || '';
+      }));
+      var variantId = product.variantId || '';
 
-      return '<div class="wishlist-item group relative bg-[var(--color-background)] rounded-xl overflow-hidden shadow-sm hover:shadow-lg transition-all duration-300" dir="rtl" data-wishlist-item data-product-id="' + product.id + '">' +
+      return '<div class="wishlist-item group relative bg-[var(--color-background)] rounded-xl overflow-hidden shadow-sm hover:shadow-lg transition-all duration-300" dir="rtl" data-wishlist-item data-product-id="' + product.id + '" data-variant-id="' + variantId + '" data-wishlist-key="' + (product.key || '') + '" data-added-at="' + (product.addedAt || '') + '" data-price="' + price + '" data-available="' + available + '">' +
         '<div class="relative aspect-[3/4] overflow-hidden bg-[var(--color-surface)]">' +
         '<a href="' + (product.url || '/products/' + product.handle) + '" class="block w-full h-full">' +
         (imageUrl
-          ? '<img src="' + imageUrl + '" alt="' + (product.title || '').replace(/"/g, '&quot;') + '" class="w-full h-full object-cover transition-transform duration-300 group-hover:scale-105" loading="lazy">'
+          ? '<img src="' + imageUrl + '" alt="' + Sallety.utils.escapeAttr(product.title) + '" class="w-full h-full object-cover transition-transform duration-300 group-hover:scale-105" loading="lazy">'
           : '<div class="w-full h-full flex items-center justify-center text-[var(--color-secondary)]"><svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1"><rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect><circle cx="8.5" cy="8.5" r="1.5"></circle><polyline points="21 15 16 10 5 21"></polyline></svg></div>') +
         '</a>' +
         (isOnSale ? '<span class="absolute top-2 start-2 bg-red-500 text-white text-xs font-bold px-2 py-1 rounded">-' + Math.round((1 - price / comparePrice) * 100) + '%</span>' : '') +
         (!available ? '<span class="absolute top-2 start-2 bg-gray-600 text-white text-xs font-bold px-2 py-1 rounded">' + outOfStockText + '</span>' : '') +
-        '<button type="button" class="absolute top-2 end-2 w-9 h-9 flex items-center justify-center rounded-full bg-white/90 text-red-500 shadow-sm hover:bg-red-500 hover:text-white transition-all duration-200" data-wishlist-remove="' + product.id + '" aria-label="' + removeText + '" title="' + removeText + '">' +
-        '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="currentColor" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">' +
-        '<path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/>' +
-        '</svg>' +
-        '</button>' +
+        (product.readOnly ? '' :
+          '<button type="button" class="absolute top-2 end-2 w-9 h-9 flex items-center justify-center rounded-full bg-white/90 text-red-500 shadow-sm hover:bg-red-500 hover:text-white transition-all duration-200" data-wishlist-remove="' + product.id + '" data-variant-id="' + variantId + '" aria-label="' + removeText + '" title="' + removeText + '">' +
+          '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="currentColor" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">' +
+          '<path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/>' +
+          '</svg>' +
+          '</button>' +
+          '<label class="absolute bottom-2 start-2 w-9 h-9 flex items-center justify-center rounded-full bg-white/90 shadow-sm cursor-pointer">' +
+          '<input type="checkbox" class="w-4 h-4 cursor-pointer accent-[var(--color-primary)]" value="' + (product.key || '') + '" aria-label="' + selectText + '" data-wishlist-select>' +
+          '</label>') +
         '</div>' +
         '<div class="p-4 text-right">' +
-        (product.vendor ? '<p class="text-xs text-[var(--color-secondary)] uppercase tracking-wider mb-1">' + product.vendor + '</p>' : '') +
+        (product.vendor ? '<p class="text-xs text-[var(--color-secondary)] uppercase tracking-wider mb-1">' + Sallety.utils.escapeHtml(product.vendor) + '</p>' : '') +
         '<h3 class="text-sm font-medium text-[var(--color-foreground)] line-clamp-2 mb-2">' +
-        '<a href="' + (product.url || '/products/' + product.handle) + '" class="hover:text-[var(--color-primary)] transition-colors">' + (product.title || 'منتج') + '</a>' +
+        '<a href="' + (product.url || '/products/' + product.handle) + '" class="hover:text-[var(--color-primary)] transition-colors">' + Sallety.utils.escapeHtml(product.title || 'منتج') + '</a>' +
         '</h3>' +
+        (product.options ? '<p class="text-xs text-[var(--color-secondary)] mb-2" data-wishlist-options>' + Sallety.utils.escapeHtml(product.options) + '</p>' : '') +
         '<div class="flex items-center gap-2 justify-start">' +
         '<span class="text-base font-bold text-[var(--color-foreground)]">' + Sallety.utils.formatMoney(price) + '</span>' +
         (isOnSale ? '<span class="text-sm text-[var(--color-secondary)] line-through">' + Sallety.utils.formatMoney(comparePrice) + '</span>' : '') +
         '</div>' +
-        (available
+        (product.priceDrop || product.backInStock
+          ? '<div class="flex flex-wrap gap-1.5 mt-2">' +
+          (product.priceDrop ? '<span class="wishlist-item__badge wishlist-item__badge--price-drop" data-wishlist-badge="price-drop">' + priceDropText.replace('[amount]', Sallety.utils.formatMoney(product.priceDrop)) + '</span>' : '') +
+          (product.backInStock ? '<span class="wishlist-item__badge wishlist-item__badge--back-in-stock" data-wishlist-badge="back-in-stock">' + backInStockText + '</span>' : '') +
+          '</div>'
+          : '') +
+        (product.cartVariantId
+          ? '<button type="button" class="mt-3 w-full flex items-center justify-center gap-2 py-2.5 px-4 bg-[var(--color-primary)] text-white text-sm font-medium rounded-lg hover:opacity-90 transition-opacity" data-wishlist-add-to-cart="' + product.cartVariantId + '">' +
+          '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="9" cy="21" r="1"/><circle cx="20" cy="21" r="1"/><path d="M1 1h4l2.68 13.39a2 2 0 0 0 2 1.61h9.72a2 2 0 0 0 2-1.61L23 6H6"/></svg>' +
+          '<span>' + addToCartText + '</span>' +
+          '</button>'
+          : available
           ? '<a href="' + (product.url || '/products/' + product.handle) + '" class="mt-3 w-full flex items-center justify-center gap-2 py-2.5 px-4 bg-[var(--color-primary)] text-white text-sm font-medium rounded-lg hover:opacity-90 transition-opacity">' +
           '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="9" cy="21" r="1"/><circle cx="20" cy="21" r="1"/><path d="M1 1h4l2.68 13.39a2 2 0 0 0 2 1.61h9.72a2 2 0 0 0 2-1.61L23 6H6"/></svg>' +
           '<span>' + viewProductText + '</span>' +
@@ -5391,6 +9495,293 @@
     }
   };
 
+  // ============================================================================
+  // WISHLIST SYNC
+  // ============================================================================
+
+  /**
+   * Wishlist Sync Module
+   * Optional adapter that keeps a logged-in customer's wishlist on the server so
+   * it follows them across devices. Enabled by the wishlist sync endpoint theme
+   * setting; without it, for guests, or while offline the wishlist stays local.
+   *
+   * The endpoint answers GET with { items, removed } and stores the same shape
+   * on PUT. `removed` maps item keys to the time they were removed, so a removal
+   * on one device isn't undone by another device's older copy.
+   *
+   * The endpoint must be a Shopify app proxy and must identify the customer by
+   * the signed `logged_in_customer_id` Shopify adds to proxied requests. The
+   * theme sends no customer ID, since anything the browser sends can be forged.
+   */
+  Sallety.wishlistSync = {
+    REMOVED_KEY: 'sallety_wishlist_removed',
+    OWNER_KEY: 'sallety_wishlist_owner',
+    LOCAL_SERVER_KEY: 'sallety_wishlist_server:',
+
+    /** @type {number} Delay before local changes are pushed, in ms */
+    PUSH_DELAY: 1000,
+
+    endpoint: '',
+    customerId: null,
+    _pushTimeout: null,
+    _syncing: null,
+    _resync: false,
+
+    /**
+     * Initialize sync when an endpoint is configured and a customer is logged in
+     */
+    init: function () {
+      var settings = window.wishlistSettings || {};
+      this.endpoint = settings.syncEndpoint || '';
+      this.customerId = settings.customerId || null;
+
+      this._checkOwner();
+
+      if (!this.isEnabled()) return;
+
+      var self = this;
+      window.addEventListener('online', function () {
+        self.sync();
+      });
+
+      this.sync();
+    },
+
+    /**
+     * Whether the wishlist is synced to the customer's account
+     * @returns {boolean}
+     */
+    isEnabled: function () {
+      return Boolean(this.endpoint && this.customerId);
+    },
+
+    /**
+     * Merge the local and server lists, then store the result on both sides
+     * @returns {Promise<void>}
+     */
+    sync: function () {
+      var self = this;
+
+      if (!this.isEnabled() || !navigator.onLine) return Promise.resolve();
+
+      // Changes made while a sync is in flight are picked up by one more round
+      if (this._syncing) {
+        this._resync = true;
+        return this._syncing;
+      }
+
+      this._syncing = this._request('GET')
+        .then(function (remote) {
+          remote = remote || {};
+          var merged = self.merge(
+            Sallety.wishlist.getItems(),
+            self._getRemoved(),
+            remote.items || [],
+            remote.removed || {}
+          );
+
+          self._setRemoved(merged.removed);
+          Sallety.wishlist._applySynced(merged.items);
+          // The local list now holds this customer's account
+          self._setOwner(self.customerId);
+
+          return self._request('PUT', { items: merged.items, removed: merged.removed });
+        })
+        .catch(function (error) {
+          // The local list keeps working; the next change or reconnect retries
+          console.error('[Sallety] Wishlist sync error:', error);
+        })
+        .finally(function () {
+          self._syncing = null;
+          if (self._resync) {
+            self._resync = false;
+            self.sync();
+          }
+        });
+
+      return this._syncing;
+    },
+
+    /**
+     * Sync shortly after a local change, batching quick successive changes
+     */
+    schedulePush: function () {
+      if (!this.isEnabled()) return;
+
+      var self = this;
+      clearTimeout(this._pushTimeout);
+      this._pushTimeout = setTimeout(function () {
+        self.sync();
+      }, this.PUSH_DELAY);
+    },
+
+    /**
+     * Remember removed items so the removal wins over older copies elsewhere
+     * @param {Array<string>} keys - Removed item keys
+     */
+    recordRemoval: function (keys) {
+      if (!this.isEnabled() || keys.length === 0) return;
+
+      var removed = this._getRemoved();
+      var now = new Date().toISOString();
+      keys.forEach(function (key) {
+        removed[key] = now;
+      });
+      this._setRemoved(removed);
+      this.schedulePush();
+    },
+
+    /**
+     * Merge two copies of the wishlist. The newest addedAt wins for an item on
+     * both sides, and an item stays removed unless it was added after its removal.
+     * @param {Array<Object>} localItems - Items on this device
+     * @param {Object<string, string>} localRemoved - Removal times on this device
+     * @param {Array<Object>} remoteItems - Items on the server
+     * @param {Object<string, string>} remoteRemoved - Removal times on the server
+     * @returns {{items: Array<Object>, removed: Object<string, string>}} Merged list
+     */
+    merge: function (localItems, localRemoved, remoteItems, remoteRemoved) {
+      var removed = {};
+      [localRemoved, remoteRemoved].forEach(function (map) {
+        Object.keys(map).forEach(function (id) {
+          if (!removed[id] || map[id] > removed[id]) removed[id] = map[id];
+        });
+      });
+
+      var byKey = {};
+      localItems.concat(remoteItems).forEach(function (item) {
+        var key = Sallety.wishlist._getItemKey(item);
+        if (!byKey[key] || (item.addedAt || '') > (byKey[key].addedAt || '')) byKey[key] = item;
+      });
+
+      var items = Object.keys(byKey).filter(function (key) {
+        var removedAt = removed[key];
+        if (removedAt && (byKey[key].addedAt || '') <= removedAt) return false;
+
+        // Added again after it was removed
+        delete removed[key];
+        return true;
+      }).map(function (key) {
+        return byKey[key];
+      });
+
+      // Oldest first, the order items are added in
+      items.sort(function (a, b) {
+        return (a.addedAt || '') < (b.addedAt || '') ? -1 : (a.addedAt || '') > (b.addedAt || '') ? 1 : 0;
+      });
+
+      return { items: items, removed: removed };
+    },
+
+    /**
+     * Send a request to the sync endpoint
+     * @param {string} method - GET or PUT
+     * @param {Object} [body] - List to store
+     * @returns {Promise<Object>} Server list
+     */
+    _request: function (method, body) {
+      if (this.endpoint === 'local') return this._localRequest(method, body);
+
+      // The app proxy adds the signed customer ID; none is sent from here
+      return fetch(this.endpoint, {
+        method: method,
+        credentials: 'same-origin',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: body ? JSON.stringify(body) : undefined
+      }).then(function (response) {
+        if (!response.ok) throw new Error('Wishlist sync request failed: ' + response.status);
+        return response.status === 204 ? {} : response.json();
+      });
+    },
+
+    /**
+     * Stand-in for the endpoint that keeps the "server" list in localStorage,
+     * for trying sync without an app
+     * @param {string} method - GET or PUT
+     * @param {Object} [body] - List to store
+     * @returns {Promise<Object>} Stored list
+     */
+    _localRequest: function (method, body) {
+      var key = this.LOCAL_SERVER_KEY + this.customerId;
+
+      try {
+        if (method === 'PUT') {
+          localStorage.setItem(key, JSON.stringify(body));
+          return Promise.resolve(body);
+        }
+        return Promise.resolve(JSON.parse(localStorage.getItem(key)) || {});
+      } catch (e) {
+        return Promise.reject(e);
+      }
+    },
+
+    /**
+     * The local list holds the account of the customer it was last synced for.
+     * When someone else is logged in, or nobody is, it's cleared so one
+     * customer's list is never shown to, or merged into, another's account
+     * on a shared device. A guest's list merges into the account they log in to.
+     */
+    _checkOwner: function () {
+      var owner = this._getOwner();
+      if (!owner || owner === String(this.customerId)) return;
+
+      this._setRemoved({});
+      this._setOwner(null);
+      Sallety.wishlist._applySynced([]);
+    },
+
+    /**
+     * Customer the local list was last synced for
+     * @returns {string|null}
+     */
+    _getOwner: function () {
+      try {
+        return localStorage.getItem(this.OWNER_KEY);
+      } catch (e) {
+        return null;
+      }
+    },
+
+    /**
+     * Store the customer the local list was synced for
+     * @param {string|number|null} customerId - Customer ID, or null to forget it
+     */
+    _setOwner: function (customerId) {
+      try {
+        if (customerId) {
+          localStorage.setItem(this.OWNER_KEY, String(customerId));
+        } else {
+          localStorage.removeItem(this.OWNER_KEY);
+        }
+      } catch (e) { /* ignore */ }
+    },
+
+    /**
+     * Removal times recorded on this device
+     * @returns {Object<string, string>}
+     */
+    _getRemoved: function () {
+      try {
+        return JSON.parse(localStorage.getItem(this.REMOVED_KEY)) || {};
+      } catch (e) {
+        return {};
+      }
+    },
+
+    /**
+     * Store removal times
+     * @param {Object<string, string>} removed - Removal times by item key
+     */
+    _setRemoved: function (removed) {
+      try {
+        localStorage.setItem(this.REMOVED_KEY, JSON.stringify(removed));
+      } catch (e) { /* ignore */ }
+    }
+  };
+
   // ============================================================================
   // QUICK ADD MODAL (Variant selector for product cards)
   // ============================================================================
@@ -5595,6 +9986,8 @@
 
       this._updatePrice(variant);
       this._renderOptions(product);
+      Sallety.productForm.filterProperties(this.contentEl, product);
+      Sallety.productForm.renderSellingPlans(this.contentEl, product, variant);
       this._updateSubmitState();
     },
 
@@ -5730,6 +10123,7 @@
 
       this._updatePrice(variant);
       this._updateImage(variant);
+      Sallety.productForm.renderSellingPlans(this.contentEl, this.currentProduct, variant);
       this._updateSubmitState();
     },
 
@@ -5775,10 +10169,16 @@
     _addToCart: async function () {
       var variant = this.currentVariant;
       if (!variant || !variant.available) return;
+      if (!Sallety.productForm.validateProperties(this.contentEl)) return;
 
       var self = this;
       var qty = parseInt(this.qtyInput ? this.qtyInput.value : 1) || 1;
 
+      var formData = new FormData();
+      formData.append('id', variant.id);
+      formData.append('quantity', qty);
+      Sallety.productForm.collectLineItemFields(this.contentEl, formData);
+
       this.submitBtn.disabled = true;
       this.submitBtn.classList.add('is-loading');
 
@@ -5786,21 +10186,13 @@
       Sallety.cart.setIconLoading();
 
       try {
-        await Sallety.cart.add([{ id: variant.id, quantity: qty }]);
-        var cart = await Sallety.cart.get();
-        Sallety.cart.updateCount(cart.item_count);
+        await Sallety.cart.add(formData);
 
         self.close();
-
-        var cartDrawer = document.querySelector(SELECTORS.CART_DRAWER);
-        if (cartDrawer) {
-          Sallety.drawer.open('cart-drawer');
-        }
-
-        Sallety.utils.dispatchEvent(EVENTS.CART_UPDATED, cart);
+        Sallety.cart.showAdded();
       } catch (error) {
         console.error('[Sallety] Quick add to cart error:', error);
-        alert(error.message || 'حدث خطأ أثناء الإضافة للسلة');
+        Sallety.notify.error(error.message || 'حدث خطأ أثناء الإضافة للسلة');
       } finally {
         if (self.submitBtn) {
           self.submitBtn.disabled = false;
@@ -5821,22 +10213,26 @@
     document.addEventListener('DOMContentLoaded', () => {
       Sallety.init();
       Sallety.collection.init();
+      Sallety.searchQuery.init();
       Sallety.searchModal.init();
       Sallety.quickView.init();
       Sallety.quickAdd.init();
       Sallety.cartDrawer.init();
       Sallety.cartPage.init();
       Sallety.wishlist.init();
+      Sallety.wishlistSync.init();
     });
   } else {
     Sallety.init();
     Sallety.collection.init();
+    Sallety.searchQuery.init();
     Sallety.searchModal.init();
     Sallety.quickView.init();
     Sallety.quickAdd.init();
     Sallety.cartDrawer.init();
     Sallety.cartPage.init();
     Sallety.wishlist.init();
+    Sallety.wishlistSync.init();
   }
 
 })();